@@ -14,6 +14,12 @@
 
 module.exports.Repository = require('./lib/repository');
 module.exports.InMemoryRepository = require('./lib/backends/in-memory/repository');
+module.exports.FileSystemRepository = require('./lib/backends/filesystem/repository');
+module.exports.CachingRepository = require('./lib/backends/caching/repository');
 module.exports.Constants = require('./lib/constants');
 module.exports.Utils = require('./lib/utils');
 module.exports.Logger = require('./lib/logger');
+module.exports.Query = require('./lib/query');
+module.exports.Paging = require('./lib/paging');
+module.exports.Errors = require('./lib/errors');
+module.exports.Renditions = require('./lib/renditions');
@@ -0,0 +1,454 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var util = require('util');
+
+var Repository = require('../../repository');
+var utils = require('../../utils');
+var paging = require('../../paging');
+
+var DEFAULT_TTL = 30000;
+var DEFAULT_MAX_ENTRIES = 1000;
+
+var EXISTS_PREFIX = 'exists:';
+var INFO_PREFIX = 'info:';
+var LIST_PREFIX = 'list:';
+
+/**
+ * Methods implemented by child classes that don't change any items in a repository, and therefore don't require any
+ * cached results to be invalidated.
+ */
+var READ_METHODS = ['_getAsset', '_getAssetThumbnail', '_getAssetPreview', '_findAssets', '_listVersions',
+  '_getAssetVersion', '_initiateUpload', '_uploadPart', '_abortUpload', '_getRendition', '_listRenditions', '_listTrash',
+  '_purgeTrash'];
+
+/**
+ * Implementation of a Repository that wraps another repository, caching the results of its exists, getInfo, and list
+ * methods. Because the wrapper's own methods perform their work through the wrapped repository's implementation, the
+ * repeated lookups that many operations require are served from the cache.
+ *
+ * Changes made through the wrapper invalidate the cached results of the affected paths, their parents, and their
+ * ancestors (and, for directories, their descendants). Changes made directly to the wrapped repository will not be
+ * seen until the cached results expire.
+ * @param {Repository} repository The repository to wrap.
+ * @param [Object] options Controls how the repository behaves.
+ * @param [Number] options.ttl The number of milliseconds for which a result is cached. Defaults to 30 seconds.
+ * @param [Number] options.maxEntries The maximum number of results to cache. When exceeded, the least recently used
+ *  results are removed. Defaults to 1000.
+ * @constructor
+ */
+function CachingRepository(repository, options) {
+  if (!repository) {
+    throw new Error('repository to cache is required');
+  }
+
+  options = options || {};
+  Repository.call(this, {
+    userId: repository.userId,
+    lockTimeout: repository.lockTimeout,
+    maxVersions: repository.maxVersions,
+    md5: repository.md5,
+    uploadTimeout: repository.uploadTimeout,
+    maxConcurrentTransfers: repository.transferQueue.maxConcurrent,
+    trash: repository.trash
+  });
+
+  var self = this;
+  this.repository = repository;
+  this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+  this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+  this.cache = {};
+  this.generation = 0;
+  this.cacheStats = {hits: 0, misses: 0, evictions: 0};
+
+  // the wrapped repository's implementation may report progress of its own transfers
+  repository.on('transferprogress', function (data) {
+    self.emit('transferprogress', data);
+  });
+}
+
+util.inherits(CachingRepository, Repository);
+
+/**
+ * Invokes one of the wrapped repository's methods, allowing the method to either invoke its callback or return a
+ * Promise.
+ * @param {String} name Name of the method.
+ * @param {Array} args Arguments to pass to the method. The callback will be appended to these.
+ * @param {Function} callback Invoked with the method's result.
+ * @private
+ */
+function _invokeWrapped(name, args, callback) {
+  _invokeMethod(this.repository, name, args, callback);
+}
+
+/**
+ * Invokes a method of an object, allowing the method to either invoke its callback or return a Promise.
+ * @param {Object} target The object whose method to invoke.
+ * @param {String} name Name of the method.
+ * @param {Array} args Arguments to pass to the method. The callback will be appended to these.
+ * @param {Function} callback Invoked with the method's result.
+ * @private
+ */
+function _invokeMethod(target, name, args, callback) {
+  var called = false;
+
+  function _methodCallback() {
+    if (!called) {
+      called = true;
+      callback.apply(null, arguments);
+    }
+  }
+
+  var result = target[name].apply(target, args.concat([_methodCallback]));
+  if (result && (typeof result.then) === 'function') {
+    result.then(function (value) {
+      process.nextTick(function () {
+        _methodCallback(undefined, value);
+      });
+    }, function (err) {
+      process.nextTick(function () {
+        _methodCallback(err || 'unknown error');
+      });
+    });
+  }
+}
+
+/**
+ * Creates a copy of an item's info, so that callers can't modify the cached value.
+ * @param {Object} info Info to copy.
+ * @returns {Object} The copied info.
+ * @private
+ */
+function _copyInfo(info) {
+  if (!info || (typeof info) !== 'object') {
+    return info;
+  }
+  var copy = {};
+  for (var key in info) {
+    copy[key] = info[key];
+  }
+  if (info.metadata) {
+    copy.metadata = {};
+    for (var name in info.metadata) {
+      copy.metadata[name] = info.metadata[name];
+    }
+  }
+  return copy;
+}
+
+/**
+ * Creates a copy of a cached value.
+ * @param {*} value Value to copy.
+ * @returns {*} The copied value.
+ * @private
+ */
+function _copyValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(_copyInfo);
+  }
+  return _copyInfo(value);
+}
+
+/**
+ * Retrieves a cached value, or invokes one of the wrapped repository's methods and caches its result. The result isn't
+ * cached if any values were invalidated while the method was running, since it may reflect the item from before the
+ * change.
+ * @param {String} key Key of the value in the cache.
+ * @param {String} name Name of the method to invoke if the value isn't cached.
+ * @param {Array} args Arguments for the method.
+ * @param {Function} callback Invoked with the result.
+ * @private
+ */
+function _getCached(key, name, args, callback) {
+  var self = this;
+  var now = new Date().getTime();
+  var entry = this.cache[key];
+
+  if (entry && entry.expires > now) {
+    this.cacheStats.hits++;
+    // re-insert the entry so that it becomes the most recently used
+    delete this.cache[key];
+    this.cache[key] = entry;
+    callback(undefined, _copyValue(entry.value));
+    return;
+  }
+
+  this.cacheStats.misses++;
+  if (entry) {
+    delete this.cache[key];
+  }
+
+  var generation = this.generation;
+  _invokeWrapped.call(this, name, args, function (err, value) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (self.ttl > 0 && self.maxEntries > 0 && self.generation === generation) {
+      self.cache[key] = {value: _copyValue(value), expires: new Date().getTime() + self.ttl};
+      _evict.call(self);
+    }
+    callback(undefined, value);
+  });
+}
+
+/**
+ * Removes the least recently used values from the cache until it no longer exceeds its maximum size.
+ * @private
+ */
+function _evict() {
+  var keys = Object.keys(this.cache);
+  for (var i = 0; i < keys.length - this.maxEntries; i++) {
+    delete this.cache[keys[i]];
+    this.cacheStats.evictions++;
+  }
+}
+
+/**
+ * Removes the cached values of a path, its parent, and its ancestors.
+ * @param {String} path Full path of the item that changed.
+ * @param [Boolean] descendants If true, cached values for any path beneath the item will also be removed.
+ * @private
+ */
+function _invalidate(path, descendants) {
+  var self = this;
+  var currPath = path;
+  this.generation++;
+
+  while (currPath) {
+    [EXISTS_PREFIX, INFO_PREFIX, LIST_PREFIX].forEach(function (prefix) {
+      delete self.cache[prefix + currPath];
+    });
+    currPath = utils.isRoot(currPath) ? null : utils.getParentPath(currPath);
+  }
+
+  if (descendants) {
+    var pathPrefix = path + utils.sep();
+    Object.keys(this.cache).forEach(function (key) {
+      if (key.substr(key.indexOf(':') + 1).indexOf(pathPrefix) === 0) {
+        delete self.cache[key];
+      }
+    });
+  }
+}
+
+/**
+ * Creates a method that invokes one of the wrapped repository's methods, then invalidates the cached values of the
+ * paths that the method changed.
+ * @param {String} name Name of the method.
+ * @param {Function} getPaths Invoked with the method's arguments. Should return an array of the paths that changed, or
+ *  undefined if the entire cache should be cleared.
+ * @param [Boolean] descendants If true, cached values beneath the changed paths will also be invalidated.
+ * @returns {Function} The method.
+ * @private
+ */
+function _invalidatingMethod(name, getPaths, descendants) {
+  return function () {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments);
+    var callback = args.pop();
+    var paths = getPaths.apply(null, args);
+
+    _invokeWrapped.call(this, name, args, function () {
+      if (paths) {
+        paths.forEach(function (path) {
+          _invalidate.call(self, path, descendants);
+        });
+      } else {
+        self.clearCache();
+      }
+      callback.apply(null, arguments);
+    });
+  };
+}
+
+/**
+ * Retrieves a value indicating whether a path exists, from the cache if possible.
+ */
+CachingRepository.prototype._exists = function (path, options, callback) {
+  _getCached.call(this, EXISTS_PREFIX + path, '_exists', [path, options], callback);
+};
+
+/**
+ * Retrieves the info of an item, from the cache if possible.
+ */
+CachingRepository.prototype._getInfo = function (path, options, callback) {
+  _getCached.call(this, INFO_PREFIX + path, '_getInfo', [path, options], callback);
+};
+
+/**
+ * Lists the children of a directory, from the cache if possible. Lists that are sorted or paged aren't cached.
+ */
+CachingRepository.prototype._list = function (path, options, info, callback) {
+  if (paging.isRequested(options)) {
+    _invokeWrapped.call(this, '_list', [path, options, info], callback);
+    return;
+  }
+  _getCached.call(this, LIST_PREFIX + path, '_list', [path, options, info], callback);
+};
+
+/**
+ * Retrieves a writable stream from the wrapped repository, invalidating the asset's cached values when the write
+ * completes.
+ */
+CachingRepository.prototype._getAssetWriteStream = function (path, isCreate, options, info, streamCallback, finishedCallback) {
+  var self = this;
+  _invalidate.call(this, path);
+
+  var result = this.repository._getAssetWriteStream(path, isCreate, options, info, streamCallback, function (err) {
+    _invalidate.call(self, path);
+    finishedCallback(err);
+  });
+  if (result && (typeof result.then) === 'function') {
+    return result.then(function (stream) {
+      stream.on('finish', function () {
+        _invalidate.call(self, path);
+      });
+      return stream;
+    });
+  }
+};
+
+CachingRepository.prototype._createDirectory = _invalidatingMethod('_createDirectory', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._deleteDirectory = _invalidatingMethod('_deleteDirectory', function (path) {
+  return [path];
+}, true);
+
+CachingRepository.prototype._deleteAsset = _invalidatingMethod('_deleteAsset', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._updateAssetInfo = _invalidatingMethod('_updateAssetInfo', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._move = _invalidatingMethod('_move', function (path, targetPath) {
+  return [path, targetPath];
+}, true);
+
+CachingRepository.prototype._copy = _invalidatingMethod('_copy', function (path, targetPath) {
+  return [targetPath];
+});
+
+CachingRepository.prototype._setMetadata = _invalidatingMethod('_setMetadata', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._completeUpload = _invalidatingMethod('_completeUpload', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._setContentHash = _invalidatingMethod('_setContentHash', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._abortWrite = _invalidatingMethod('_abortWrite', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._putRendition = _invalidatingMethod('_putRendition', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._deleteRendition = _invalidatingMethod('_deleteRendition', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._moveToTrash = _invalidatingMethod('_moveToTrash', function (path) {
+  return [path];
+}, true);
+
+CachingRepository.prototype._restoreFromTrash = _invalidatingMethod('_restoreFromTrash', function (id, targetPath) {
+  return [targetPath];
+}, true);
+
+CachingRepository.prototype._restoreVersion = _invalidatingMethod('_restoreVersion', function (path) {
+  return [path];
+});
+
+CachingRepository.prototype._deleteVersion = _invalidatingMethod('_deleteVersion', function (path) {
+  return [path];
+});
+
+/**
+ * Begins a transaction in the wrapped repository. The transaction's own operations aren't cached; committing it clears
+ * the cache, since any of the wrapped repository's items may have changed.
+ */
+CachingRepository.prototype._beginTransaction = function (options, callback) {
+  var self = this;
+  _invokeWrapped.call(this, '_beginTransaction', [options], function (err, transaction) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(undefined, {
+      repository: transaction.repository,
+      commit: function (commitCallback) {
+        _invokeMethod(transaction, 'commit', [], function (err) {
+          self.clearCache();
+          commitCallback(err);
+        });
+      },
+      rollback: function (rollbackCallback) {
+        _invokeMethod(transaction, 'rollback', [], rollbackCallback);
+      }
+    });
+  });
+};
+
+// pass any other methods through to the wrapped repository. Methods that only read are passed through directly;
+// methods that may change the repository clear the cache when they complete.
+Object.keys(Repository.prototype).forEach(function (name) {
+  if (name.charAt(0) !== '_' || (typeof Repository.prototype[name]) !== 'function' ||
+      CachingRepository.prototype.hasOwnProperty(name)) {
+    return;
+  }
+  if (READ_METHODS.indexOf(name) >= 0) {
+    CachingRepository.prototype[name] = function () {
+      return this.repository[name].apply(this.repository, arguments);
+    };
+  } else {
+    CachingRepository.prototype[name] = _invalidatingMethod(name, function () {
+      return undefined;
+    });
+  }
+});
+
+/**
+ * Removes all results from the cache.
+ */
+CachingRepository.prototype.clearCache = function () {
+  this.cache = {};
+  this.generation++;
+};
+
+/**
+ * Retrieves statistics about the cache's effectiveness.
+ * @returns {Object} Contains the number of cache "hits" and "misses", the number of results that were removed because
+ *  the cache was full ("evictions"), and the number of results currently cached ("entries").
+ */
+CachingRepository.prototype.getCacheStats = function () {
+  return {
+    hits: this.cacheStats.hits,
+    misses: this.cacheStats.misses,
+    evictions: this.cacheStats.evictions,
+    entries: Object.keys(this.cache).length
+  };
+};
+
+module.exports = CachingRepository;
@@ -0,0 +1,1007 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var Path = require('path');
+var util = require('util');
+var async = require('async');
+var mime = require('mime');
+var uuid = require('uuid/v4');
+
+var Repository = require('../../repository');
+var utils = require('../../utils');
+var constants = require('../../constants');
+var errors = require('../../errors');
+
+/**
+ * Prefix of all files that the repository uses for its own purposes. Files with this prefix are not exposed as
+ * entities in the repository.
+ */
+var INTERNAL_PREFIX = '.asset-repository.';
+var SIDECAR_SUFFIX = '.json';
+var TEMP_SUFFIX = '.tmp';
+
+/**
+ * Info fields that are determined from the file system (or, like the etag, from other fields), and will therefore not
+ * be stored in an entity's sidecar.
+ */
+var FILE_SYSTEM_FIELDS = ['name', 'type', 'created', 'modified', 'contentType', 'size', 'etag'];
+
+/**
+ * Info fields that the repository keeps in an entity's sidecar. Any other fields in the sidecar are custom fields that
+ * were provided when updating an asset's info.
+ */
+var SIDECAR_FIELDS = ['metadata', 'checkedOut', 'checkedOutBy', 'checkedOutUntil', 'hash', 'md5'];
+
+/**
+ * Repository errors that correspond to the codes of file system errors.
+ */
+var FILE_SYSTEM_ERRORS = {
+  ENOENT: errors.NotFoundError,
+  EEXIST: errors.AlreadyExistsError,
+  ENOTDIR: errors.NotDirectoryError,
+  ENOTEMPTY: errors.NotEmptyError,
+  EISDIR: errors.NotAssetError
+};
+
+/**
+ * Implementation of a Repository that stores its directories and assets in a directory on the local file system.
+ *
+ * Information that the file system cannot represent, such as an asset's checked out state, is stored in a hidden
+ * sidecar file alongside the entity.
+ *
+ * The parts of resumable uploads are staged in a hidden directory beneath the root. Staged parts that haven't changed
+ * within the repository's uploadTimeout are removed when the repository is created.
+ *
+ * File system errors are provided as repository errors (i.e. a missing file is a NotFoundError). Those that don't
+ * correspond to one of the repository's codes are provided as a RepositoryError with the file system's code (i.e.
+ * EACCES), and the original error as its "cause".
+ * @param {Object} options Controls how the repository behaves.
+ * @param {String} options.root Full path to the directory on disk that will serve as the repository's root.
+ * @param [String] options.userId ID of the user interacting with the repository.
+ * @constructor
+ */
+function FileSystemRepository(options) {
+  Repository.call(this, options);
+
+  options = options || {};
+  if (!options.root) {
+    throw new Error('root directory is required');
+  }
+  this.root = Path.resolve(options.root);
+  this.sidecarUpdates = {};
+  _removeStaleUploads.call(this);
+}
+
+util.inherits(FileSystemRepository, Repository);
+
+/**
+ * Converts an error provided by the file system to a repository error.
+ * @param {*} err The error to convert.
+ * @param {String} path Full path of the item that the error concerns.
+ * @returns {RepositoryError|undefined} The converted error, or undefined if there was no error.
+ * @private
+ */
+function _convertError(err, path) {
+  if (!err || err instanceof errors.RepositoryError) {
+    return err || undefined;
+  }
+
+  var ErrorType = FILE_SYSTEM_ERRORS[err.code];
+  var converted = ErrorType ? new ErrorType(err.message, path) : new errors.RepositoryError(err.code, String(err.message || err), path);
+  converted.cause = err;
+  return converted;
+}
+
+/**
+ * Creates a callback that converts the error it receives, if any, to a repository error before invoking another
+ * callback.
+ * @param {String} path Full path of the item that the operation concerns.
+ * @param {Function} callback Invoked with the converted error, followed by any other arguments that were received.
+ * @returns {Function} The callback.
+ * @private
+ */
+function _convertingCallback(path, callback) {
+  return function (err) {
+    var args = Array.prototype.slice.call(arguments);
+    args[0] = _convertError(err, path);
+    callback.apply(null, args);
+  };
+}
+
+/**
+ * Retrieves a value indicating whether a name is used by the repository for its own files.
+ * @param {String} name Name of a file.
+ * @returns {Boolean} True if the name is internal, false otherwise.
+ * @private
+ */
+function _isInternalName(name) {
+  return String(name).indexOf(INTERNAL_PREFIX) === 0;
+}
+
+/**
+ * Retrieves a value indicating whether a name can be used for a new directory or asset.
+ * @param {String} name Name of an entity.
+ * @returns {Boolean} True if the name can be used, false otherwise.
+ * @private
+ */
+function _isValidName(name) {
+  return !!name && name !== '.' && name !== '..' && !_isInternalName(name);
+}
+
+/**
+ * Converts a path in the repository to the full path of its file on disk.
+ * @param {String} path Full path of an entity in the repository.
+ * @returns {String|null} Full path on disk, or null if the path is not a valid path in the repository.
+ * @private
+ */
+function _getFilePath(path) {
+  var segments = String(path).split(utils.sep()).filter(function (segment) {
+    return !!segment;
+  });
+
+  for (var i = 0; i < segments.length; i++) {
+    if (segments[i] === '.' || segments[i] === '..' || _isInternalName(segments[i])) {
+      return null;
+    }
+  }
+
+  return Path.join.apply(null, [this.root].concat(segments));
+}
+
+/**
+ * Retrieves the full path on disk of the sidecar file that stores additional information for an entity.
+ * @param {String} filePath Full path on disk of an entity.
+ * @returns {String} Full path of the entity's sidecar.
+ * @private
+ */
+function _getSidecarPath(filePath) {
+  return Path.join(Path.dirname(filePath), INTERNAL_PREFIX + Path.basename(filePath) + SIDECAR_SUFFIX);
+}
+
+/**
+ * Reads the additional information that has been stored for an entity.
+ * @param {String} filePath Full path on disk of an entity.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.sidecar The entity's stored information. Will be empty if there is none.
+ * @private
+ */
+function _readSidecar(filePath, callback) {
+  fs.readFile(_getSidecarPath(filePath), 'utf8', function (err, data) {
+    if (err) {
+      callback(err.code === 'ENOENT' ? undefined : err, {});
+      return;
+    }
+
+    var sidecar;
+    try {
+      sidecar = JSON.parse(data);
+    } catch (e) {
+      callback(new errors.IntegrityError('unable to parse information for ' + filePath));
+      return;
+    }
+    callback(undefined, sidecar);
+  });
+}
+
+/**
+ * Stores additional information for an entity, replacing any information that was previously stored. The information
+ * is written to a temporary file that replaces the sidecar once it's complete, so that the sidecar is never read while
+ * partially written.
+ * @param {String} filePath Full path on disk of an entity.
+ * @param {Object} info Information to store. Fields that are determined by the file system will be ignored.
+ * @param {Function} callback Invoked when the information has been written.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _writeSidecar(filePath, info, callback) {
+  var sidecar = {};
+  for (var key in info) {
+    if (FILE_SYSTEM_FIELDS.indexOf(key) < 0 && info[key] !== undefined) {
+      sidecar[key] = info[key];
+    }
+  }
+
+  var tempPath = Path.join(Path.dirname(filePath), INTERNAL_PREFIX + uuid() + TEMP_SUFFIX);
+  fs.writeFile(tempPath, JSON.stringify(sidecar), function (err) {
+    if (err) {
+      _removeFile(tempPath, function () {
+        callback(err);
+      });
+      return;
+    }
+    fs.rename(tempPath, _getSidecarPath(filePath), function (err) {
+      if (err) {
+        _removeFile(tempPath, function () {
+          callback(err);
+        });
+        return;
+      }
+      callback();
+    });
+  });
+}
+
+/**
+ * Changes the additional information stored for an entity. Updates to the same sidecar are applied one at a time, so
+ * that an update doesn't replace the changes of another that was in progress.
+ * @param {String} filePath Full path on disk of an entity.
+ * @param {Function} update Invoked with the entity's stored information, which it should modify.
+ * @param {Function} callback Invoked when the information has been written.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _updateSidecar(filePath, update, callback) {
+  var updates = this.sidecarUpdates;
+
+  function _applyUpdate() {
+    _readSidecar(filePath, function (err, sidecar) {
+      if (err) {
+        _finishUpdate(err);
+        return;
+      }
+      update(sidecar);
+      _writeSidecar(filePath, sidecar, _finishUpdate);
+    });
+  }
+
+  function _finishUpdate(err) {
+    var pending = updates[filePath];
+    pending.shift();
+    if (pending.length) {
+      pending[0]();
+    } else {
+      delete updates[filePath];
+    }
+    callback(err);
+  }
+
+  if (updates[filePath]) {
+    updates[filePath].push(_applyUpdate);
+    return;
+  }
+  updates[filePath] = [_applyUpdate];
+  _applyUpdate();
+}
+
+/**
+ * Removes a file, ignoring the error if the file does not exist.
+ * @param {String} filePath Full path on disk of the file.
+ * @param {Function} callback Invoked when the file has been removed.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _removeFile(filePath, callback) {
+  fs.unlink(filePath, function (err) {
+    callback(err && err.code !== 'ENOENT' ? err : undefined);
+  });
+}
+
+/**
+ * Removes a directory and everything beneath it from disk.
+ * @param {String} filePath Full path on disk of the directory.
+ * @param {Function} callback Invoked when the directory has been removed.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _removeDirectory(filePath, callback) {
+  fs.readdir(filePath, function (err, names) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    async.eachSeries(names, function (name, eachCb) {
+      var childPath = Path.join(filePath, name);
+      fs.lstat(childPath, function (err, stat) {
+        if (err) {
+          eachCb(err);
+          return;
+        }
+        if (stat.isDirectory()) {
+          _removeDirectory(childPath, eachCb);
+        } else {
+          _removeFile(childPath, eachCb);
+        }
+      });
+    }, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      fs.rmdir(filePath, callback);
+    });
+  });
+}
+
+/**
+ * Moves the file of an entity on disk to a new location, along with its sidecar.
+ * @param {String} filePath Full path on disk of the entity.
+ * @param {String} targetFilePath Full path on disk to which the entity should be moved.
+ * @param {Function} callback Invoked when the entity has been moved.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _moveFile(filePath, targetFilePath, callback) {
+  fs.rename(filePath, targetFilePath, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    fs.rename(_getSidecarPath(filePath), _getSidecarPath(targetFilePath), function (err) {
+      callback(err && err.code !== 'ENOENT' ? err : undefined);
+    });
+  });
+}
+
+/**
+ * Builds an entity's information from its file system stats and its stored information.
+ * @param {String} filePath Full path on disk of the entity.
+ * @param {String} name Name of the entity.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info The entity's information.
+ * @private
+ */
+function _getInfo(filePath, name, callback) {
+  fs.stat(filePath, function (err, stat) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    _readSidecar(filePath, function (err, sidecar) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var info = {
+        name: name,
+        created: Math.round(stat.birthtimeMs || stat.ctimeMs),
+        type: stat.isDirectory() ? constants.DIR_TYPE : constants.ASSET_TYPE,
+        metadata: sidecar.metadata || {}
+      };
+
+      if (info.type === constants.ASSET_TYPE) {
+        for (var key in sidecar) {
+          if (SIDECAR_FIELDS.indexOf(key) < 0) {
+            info[key] = sidecar[key];
+          }
+        }
+        info.modified = Math.round(stat.mtimeMs);
+        info.contentType = mime.getType(name);
+        info.size = stat.size;
+        info.checkedOut = sidecar.checkedOut || false;
+        info.checkedOutBy = sidecar.checkedOutBy || '';
+        info.checkedOutUntil = sidecar.checkedOutUntil || 0;
+        if (sidecar.hash) {
+          info.hash = sidecar.hash;
+          info.md5 = sidecar.md5;
+          info.etag = '"' + sidecar.hash + '"';
+        }
+      }
+
+      callback(undefined, info);
+    });
+  });
+}
+
+/**
+ * Determines if a given path exists on disk.
+ */
+FileSystemRepository.prototype._exists = function (path, options, callback) {
+  callback = _convertingCallback(path, callback);
+  var filePath = _getFilePath.call(this, path);
+  if (!filePath) {
+    callback(undefined, false);
+    return;
+  }
+
+  fs.stat(filePath, function (err) {
+    if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+      callback(err);
+      return;
+    }
+    callback(undefined, !err);
+  });
+};
+
+/**
+ * Retrieves the information for a path on disk.
+ */
+FileSystemRepository.prototype._getInfo = function (path, options, callback) {
+  var filePath = _getFilePath.call(this, path);
+  callback = _convertingCallback(path, callback);
+  if (!filePath) {
+    callback(new errors.NotFoundError('not found ' + path, path));
+    return;
+  }
+  _getInfo(filePath, utils.getPathName(path), callback);
+};
+
+/**
+ * Lists all children items of a directory on disk.
+ */
+FileSystemRepository.prototype._list = function (path, options, info, callback) {
+  callback = _convertingCallback(path, callback);
+  var filePath = _getFilePath.call(this, path);
+  fs.readdir(filePath, function (err, names) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    names = names.filter(function (name) {
+      return !_isInternalName(name);
+    });
+
+    async.mapSeries(names, function (name, mapCb) {
+      _getInfo(Path.join(filePath, name), name, mapCb);
+    }, callback);
+  });
+};
+
+/**
+ * Creates a new directory on disk.
+ */
+FileSystemRepository.prototype._createDirectory = function (path, options, parentInfo, callback) {
+  callback = _convertingCallback(path, callback);
+  if (!_isValidName(utils.getPathName(path))) {
+    callback(new errors.InvalidArgumentError('invalid directory name ' + path, path));
+    return;
+  }
+  fs.mkdir(_getFilePath.call(this, path), callback);
+};
+
+/**
+ * Removes an empty directory from disk, along with any files that the repository stored in it for its own purposes.
+ */
+FileSystemRepository.prototype._deleteDirectory = function (path, options, info, callback) {
+  callback = _convertingCallback(path, callback);
+  var filePath = _getFilePath.call(this, path);
+  fs.readdir(filePath, function (err, names) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (names.some(function (name) {
+      return !_isInternalName(name);
+    })) {
+      callback(new errors.NotEmptyError('directory not empty ' + path, path));
+      return;
+    }
+    _removeDirectory(filePath, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      _removeFile(_getSidecarPath(filePath), callback);
+    });
+  });
+};
+
+/**
+ * Retrieves a stream to an asset's content on disk.
+ */
+FileSystemRepository.prototype._getAsset = function (path, options, info, callback) {
+  callback = _convertingCallback(path, callback);
+  var readOptions = {};
+  if (options.start !== undefined && options.end !== undefined) {
+    readOptions.start = options.start;
+    readOptions.end = options.end;
+  }
+  callback(undefined, fs.createReadStream(_getFilePath.call(this, path), readOptions));
+};
+
+/**
+ * Retrieves a stream for writing an asset's content to disk. The content is written to a temporary file that
+ * replaces the asset once the write is complete, so that a failed or aborted write does not leave partial content behind.
+ */
+FileSystemRepository.prototype._getAssetWriteStream = function (path, isCreate, options, info, streamCallback, finishedCallback) {
+  streamCallback = _convertingCallback(path, streamCallback);
+  finishedCallback = _convertingCallback(path, finishedCallback);
+  if (!_isValidName(utils.getPathName(path))) {
+    streamCallback(new errors.InvalidArgumentError('invalid asset name ' + path, path));
+    return;
+  }
+
+  var filePath = _getFilePath.call(this, path);
+  var tempPath = Path.join(Path.dirname(filePath), INTERNAL_PREFIX + uuid() + TEMP_SUFFIX);
+  var stream = fs.createWriteStream(tempPath);
+  var failed = false;
+  var finished = false;
+
+  stream.on('error', function () {
+    failed = true;
+    _removeFile(tempPath, function () {});
+  });
+  stream.on('finish', function () {
+    finished = true;
+  });
+  stream.on('close', function () {
+    if (failed) {
+      return;
+    } else if (!finished) {
+      // the stream was destroyed before all of the content was written (i.e. the transfer was aborted)
+      _removeFile(tempPath, function () {});
+      return;
+    }
+    fs.rename(tempPath, filePath, function (err) {
+      if (err) {
+        _removeFile(tempPath, function () {
+          finishedCallback(err);
+        });
+        return;
+      }
+      finishedCallback();
+    });
+  });
+
+  streamCallback(undefined, stream);
+};
+
+/**
+ * Merges an existing asset's updated information into its sidecar on disk.
+ */
+FileSystemRepository.prototype._updateAssetInfo = function (path, options, info, newInfo, callback) {
+  callback = _convertingCallback(path, callback);
+  _updateSidecar.call(this, _getFilePath.call(this, path), function (sidecar) {
+    for (var key in newInfo) {
+      sidecar[key] = newInfo[key];
+    }
+  }, callback);
+};
+
+/**
+ * Stores the custom metadata of an asset or directory in its sidecar on disk.
+ */
+FileSystemRepository.prototype._setMetadata = function (path, options, info, metadata, callback) {
+  callback = _convertingCallback(path, callback);
+  _updateSidecar.call(this, _getFilePath.call(this, path), function (sidecar) {
+    sidecar.metadata = metadata;
+  }, callback);
+};
+
+/**
+ * Stores the hashes of an asset's content in its sidecar on disk.
+ */
+FileSystemRepository.prototype._setContentHash = function (path, options, hashes, callback) {
+  callback = _convertingCallback(path, callback);
+  _updateSidecar.call(this, _getFilePath.call(this, path), function (sidecar) {
+    sidecar.hash = hashes.sha256;
+    sidecar.md5 = hashes.md5;
+  }, callback);
+};
+
+/**
+ * Removes an existing asset from disk.
+ */
+FileSystemRepository.prototype._deleteAsset = function (path, options, info, callback) {
+  callback = _convertingCallback(path, callback);
+  var filePath = _getFilePath.call(this, path);
+  fs.unlink(filePath, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    _removeFile(_getSidecarPath(filePath), callback);
+  });
+};
+
+/**
+ * Moves an asset or directory, along with its stored information, to a new path on disk.
+ */
+FileSystemRepository.prototype._move = function (path, targetPath, options, info, targetParentInfo, callback) {
+  var filePath = _getFilePath.call(this, path);
+  var targetFilePath = _getFilePath.call(this, targetPath);
+  callback = _convertingCallback(path, callback);
+  if (!targetFilePath || !_isValidName(utils.getPathName(targetPath))) {
+    callback(new errors.InvalidArgumentError('invalid target path ' + targetPath, path));
+    return;
+  }
+
+  _moveFile(filePath, targetFilePath, callback);
+};
+
+/**
+ * Copies an asset's content to a new path on disk without streaming it through the repository.
+ */
+FileSystemRepository.prototype._copy = function (path, targetPath, isCreate, options, info, targetInfo, callback) {
+  var targetFilePath = _getFilePath.call(this, targetPath);
+  callback = _convertingCallback(path, callback);
+  if (!targetFilePath || !_isValidName(utils.getPathName(targetPath))) {
+    callback(new errors.InvalidArgumentError('invalid target path ' + targetPath, path));
+    return;
+  }
+  fs.copyFile(_getFilePath.call(this, path), targetFilePath, callback);
+};
+
+/**
+ * Retrieves the full path on disk of the directory that holds a trash entry, or of the trash itself.
+ * @param [String] id If specified, the ID of a trash entry.
+ * @returns {String} Full path on disk.
+ * @private
+ */
+function _getTrashFilePath(id) {
+  var trashPath = Path.join(this.root, INTERNAL_PREFIX + 'trash');
+  return id === undefined ? trashPath : Path.join(trashPath, id);
+}
+
+/**
+ * Retrieves the full path on disk of the file that stores a trash entry.
+ * @param {String} entryPath Full path on disk of the entry's directory.
+ * @returns {String} Full path of the entry's file.
+ * @private
+ */
+function _getTrashEntryPath(entryPath) {
+  return Path.join(entryPath, INTERNAL_PREFIX + 'entry' + SIDECAR_SUFFIX);
+}
+
+/**
+ * Moves an asset or directory into its own directory in the trash on disk, alongside a file that stores its trash entry.
+ */
+FileSystemRepository.prototype._moveToTrash = function (path, options, info, callback) {
+  callback = _convertingCallback(path, callback);
+  var name = utils.getPathName(path);
+  var entry = {
+    id: uuid(),
+    path: path,
+    name: name,
+    type: info.type,
+    deleted: new Date().getTime(),
+    deletedBy: this.getUserId(options)
+  };
+  var filePath = _getFilePath.call(this, path);
+  var entryPath = _getTrashFilePath.call(this, entry.id);
+
+  fs.mkdir(Path.dirname(entryPath), function (err) {
+    if (err && err.code !== 'EEXIST') {
+      callback(err);
+      return;
+    }
+    fs.mkdir(entryPath, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      fs.writeFile(_getTrashEntryPath(entryPath), JSON.stringify(entry), function (err) {
+        if (err) {
+          _removeDirectory(entryPath, function () {
+            callback(err);
+          });
+          return;
+        }
+        _moveFile(filePath, Path.join(entryPath, name), function (err) {
+          if (err) {
+            _removeDirectory(entryPath, function () {
+              callback(err);
+            });
+            return;
+          }
+          callback(undefined, entry);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Lists the entries stored in the trash on disk.
+ */
+FileSystemRepository.prototype._listTrash = function (options, callback) {
+  var trashPath = _getTrashFilePath.call(this);
+  callback = _convertingCallback(utils.sep(), callback);
+  fs.readdir(trashPath, function (err, ids) {
+    if (err) {
+      callback(err.code === 'ENOENT' ? undefined : err, []);
+      return;
+    }
+
+    async.mapSeries(ids, function (id, mapCb) {
+      fs.readFile(_getTrashEntryPath(Path.join(trashPath, id)), 'utf8', function (err, data) {
+        if (err) {
+          mapCb(err);
+          return;
+        }
+
+        var entry;
+        try {
+          entry = JSON.parse(data);
+        } catch (e) {
+          mapCb(new errors.IntegrityError('unable to parse trash entry ' + id));
+          return;
+        }
+        mapCb(undefined, entry);
+      });
+    }, callback);
+  });
+};
+
+/**
+ * Moves an item from its directory in the trash on disk back into the repository, then removes the entry's directory.
+ */
+FileSystemRepository.prototype._restoreFromTrash = function (id, targetPath, options, entry, callback) {
+  var entryPath = _getTrashFilePath.call(this, id);
+  var targetFilePath = _getFilePath.call(this, targetPath);
+  callback = _convertingCallback(targetPath, callback);
+  if (!targetFilePath || !_isValidName(utils.getPathName(targetPath))) {
+    callback(new errors.InvalidArgumentError('invalid target path ' + targetPath, targetPath));
+    return;
+  }
+
+  _moveFile(Path.join(entryPath, entry.name), targetFilePath, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    _removeDirectory(entryPath, callback);
+  });
+};
+
+/**
+ * Permanently removes an entry's directory, and the item in it, from the trash on disk.
+ */
+FileSystemRepository.prototype._purgeTrash = function (id, options, entry, callback) {
+  _removeDirectory(_getTrashFilePath.call(this, id), _convertingCallback(entry.path, callback));
+};
+
+/**
+ * Retrieves the full path on disk of the directory that stages an upload's parts, of one of its parts, or of the
+ * directory that holds all staged uploads.
+ * @param [Object] upload If specified, the upload session.
+ * @param [Number] index If specified, the index of a part.
+ * @returns {String} Full path on disk.
+ * @private
+ */
+function _getUploadFilePath(upload, index) {
+  var uploadsPath = Path.join(this.root, INTERNAL_PREFIX + 'uploads');
+  if (!upload) {
+    return uploadsPath;
+  }
+  var uploadPath = Path.join(uploadsPath, upload.id);
+  return index === undefined ? uploadPath : Path.join(uploadPath, String(index));
+}
+
+/**
+ * Removes the staged parts of uploads that haven't received a part within the repository's uploadTimeout, such as those
+ * left behind when the process exited before the uploads were completed or expired.
+ * @private
+ */
+function _removeStaleUploads() {
+  var self = this;
+  var uploadsPath = _getUploadFilePath.call(this);
+  var log = Repository.getLogger({});
+  fs.readdir(uploadsPath, function (err, ids) {
+    if (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn('unable to read staged uploads in %s', uploadsPath, err);
+      }
+      return;
+    }
+
+    var now = new Date().getTime();
+    async.eachSeries(ids, function (id, eachCb) {
+      var uploadPath = Path.join(uploadsPath, id);
+      fs.stat(uploadPath, function (err, stat) {
+        if (err || now - stat.mtimeMs < self.uploadTimeout) {
+          eachCb();
+          return;
+        }
+        _removeDirectory(uploadPath, function (err) {
+          if (err) {
+            log.warn('unable to remove stale upload %s', uploadPath, err);
+          }
+          eachCb();
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Creates the directory on disk that will stage the upload's parts, so that they aren't kept in memory.
+ */
+FileSystemRepository.prototype._initiateUpload = function (path, options, upload, callback) {
+  callback = _convertingCallback(path, callback);
+  var uploadPath = _getUploadFilePath.call(this, upload);
+  fs.mkdir(_getUploadFilePath.call(this), function (err) {
+    if (err && err.code !== 'EEXIST') {
+      callback(err);
+      return;
+    }
+    fs.mkdir(uploadPath, callback);
+  });
+};
+
+/**
+ * Writes one part of an upload to its staging directory on disk. The part is written to a temporary file that replaces
+ * any previous version of the part once the write is complete.
+ */
+FileSystemRepository.prototype._uploadPart = function (path, index, readStream, options, upload, callback) {
+  callback = _convertingCallback(path, callback);
+  var partPath = _getUploadFilePath.call(this, upload, index);
+  var tempPath = partPath + '.' + uuid() + TEMP_SUFFIX;
+  var stream = fs.createWriteStream(tempPath);
+  var size = 0;
+  var called = false;
+
+  function _sendCallback(err) {
+    if (!called) {
+      called = true;
+      if (err) {
+        stream.destroy();
+        _removeFile(tempPath, function () {
+          callback(err);
+        });
+        return;
+      }
+      callback(undefined, size);
+    }
+  }
+
+  readStream.on('data', function (chunk) {
+    size += chunk.length;
+  });
+  readStream.on('error', _sendCallback);
+  stream.on('error', _sendCallback);
+  stream.on('finish', function () {
+    fs.rename(tempPath, partPath, _sendCallback);
+  });
+  readStream.pipe(stream);
+};
+
+/**
+ * Writes the parts staged on disk, in order, as the asset's content, then removes them.
+ */
+FileSystemRepository.prototype._completeUpload = function (path, isCreate, options, upload, info, callback) {
+  var self = this;
+  callback = _convertingCallback(path, callback);
+  var indexes = Object.keys(upload.parts).map(Number).sort(function (a, b) {
+    return a - b;
+  });
+  var sha256 = crypto.createHash('sha256');
+  var md5 = this.md5 ? crypto.createHash('md5') : undefined;
+  var called = false;
+
+  function _sendCallback(err) {
+    if (!called) {
+      called = true;
+      callback(err);
+    }
+  }
+
+  this._getAssetWriteStream(path, isCreate, options, info, function (err, writeStream) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+
+    writeStream.on('error', _sendCallback);
+    async.eachSeries(indexes, function (index, eachCb) {
+      var partStream = fs.createReadStream(_getUploadFilePath.call(self, upload, index));
+      partStream.on('data', function (chunk) {
+        sha256.update(chunk);
+        if (md5) {
+          md5.update(chunk);
+        }
+      });
+      partStream.on('error', eachCb);
+      partStream.on('end', function () {
+        eachCb();
+      });
+      partStream.pipe(writeStream, {end: false});
+    }, function (err) {
+      if (err) {
+        // destroying the stream before it finishes discards its content
+        writeStream.destroy();
+        _sendCallback(err);
+        return;
+      }
+      writeStream.end();
+    });
+  }, function (err) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+    self._setContentHash(path, options, {sha256: sha256.digest('hex'), md5: md5 ? md5.digest('hex') : undefined}, function (err) {
+      if (err) {
+        _sendCallback(err);
+        return;
+      }
+      _removeDirectory(_getUploadFilePath.call(self, upload), function () {
+        _sendCallback();
+      });
+    });
+  });
+};
+
+/**
+ * Removes an upload's staged parts from disk.
+ */
+FileSystemRepository.prototype._abortUpload = function (path, options, upload, callback) {
+  callback = _convertingCallback(path, callback);
+  _removeDirectory(_getUploadFilePath.call(this, upload), function (err) {
+    callback(err && err.code !== 'ENOENT' ? err : undefined);
+  });
+};
+
+/**
+ * Searches for all assets on disk, beneath a given directory, whose name matches a specified search term.
+ */
+FileSystemRepository.prototype._findAssets = function (searchTerm, options, callback) {
+  var path = Repository.getPathFromOptions(options);
+  callback = _convertingCallback(path, callback);
+  var searchQueue = [{filePath: _getFilePath.call(this, path), path: path, depth: 0}];
+  var matches = [];
+
+  async.whilst(function () { return searchQueue.length > 0; }, function (whileCb) {
+    var dir = searchQueue.pop();
+
+    fs.readdir(dir.filePath, function (err, names) {
+      if (err) {
+        whileCb(err);
+        return;
+      }
+
+      async.eachSeries(names, function (name, eachCb) {
+        if (_isInternalName(name)) {
+          eachCb();
+          return;
+        }
+
+        var childPath = Path.join(dir.filePath, name);
+        var childRepositoryPath = utils.joinPath(dir.path, name);
+        fs.stat(childPath, function (err, stat) {
+          if (err) {
+            eachCb(err);
+            return;
+          }
+
+          var isDirectory = stat.isDirectory();
+          if (isDirectory && (options.maxDepth === undefined || dir.depth + 1 < options.maxDepth)) {
+            searchQueue.push({filePath: childPath, path: childRepositoryPath, depth: dir.depth + 1});
+          }
+
+          if ((isDirectory && !options.includeDirectories) || !String(name).match(searchTerm)) {
+            eachCb();
+            return;
+          }
+
+          _getInfo(childPath, name, function (err, info) {
+            if (err) {
+              eachCb(err);
+              return;
+            }
+            info.path = childRepositoryPath;
+            matches.push(info);
+            eachCb();
+          });
+        });
+      }, whileCb);
+    });
+  }, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(undefined, matches);
+  });
+};
+
+module.exports = FileSystemRepository;
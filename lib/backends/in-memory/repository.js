@@ -16,25 +16,39 @@ var util = require('util');
 var async = require('async');
 var MemoryStream = require('memorystream');
 var mime = require('mime');
+var uuid = require('uuid/v4');
 
 var Repository = require('../../repository');
 var utils = require('../../utils');
 var constants = require('../../constants');
+var query = require('../../query');
+var paging = require('../../paging');
+var errors = require('../../errors');
+
+/**
+ * Info fields that are stored directly on an asset's entity. Any other fields provided when updating an asset's info
+ * are kept with the entity's custom info.
+ */
+var CHECK_OUT_FIELDS = ['checkedOut', 'checkedOutBy', 'checkedOutUntil'];
 
 /**
  * Implementation of a Repository that uses an in-memory object for storage.
  * @param [Object] options Controls how the repository behaves.
  * @param [Number] options.delay If specified, indicates how long (in seconds) the repository should pause before
  *   returning results.
+ * @param [String] options.userId ID of the user interacting with the repository.
+ * @param [Number] options.maxVersions If specified, the maximum number of previous versions to keep for each asset.
  * @constructor
  */
 function InMemoryRepository(options) {
-  Repository.call(this);
+  Repository.call(this, options);
 
   options = options || {};
   this.repository = _getDirectoryInfo(utils.sep());
+  // deleted items are kept with the root entity, outside of the tree, so that transactions include them
+  this.repository.trash = {};
   this.delay = options.delay || 0;
-  this.userId = options.userId || '';
+  this.openTransactions = 0;
 }
 
 util.inherits(InMemoryRepository, Repository);
@@ -65,7 +79,8 @@ function _getDirectoryInfo(path) {
     name: utils.getPathName(path),
     type: constants.DIR_TYPE,
     children: {},
-    created: new Date().getTime()
+    created: new Date().getTime(),
+    metadata: {}
   };
 }
 
@@ -85,11 +100,18 @@ function _getAssetInfo(path) {
     modified: now,
     checkedOut: false,
     checkedOutBy: '',
+    checkedOutUntil: 0,
+    modifiedBy: '',
+    versions: [],
+    nextVersionId: 1,
+    renditions: {},
+    metadata: {},
     updateModified: function() {
       this.modified = new Date().getTime()
     },
-    updateContent: function (newContent) {
+    updateContent: function (newContent, hashes) {
       this.content = newContent;
+      this.hashes = hashes;
     }
   }
 }
@@ -121,12 +143,12 @@ function _getEntity(path, callback) {
     }
 
     if (!currEntity.children) {
-      eachCb('not found - not an entity that has children');
+      eachCb(new errors.NotDirectoryError('not found - not an entity that has children ' + path, path));
       return;
     }
 
     if (!currEntity.children[name]) {
-      eachCb('not found');
+      eachCb(new errors.NotFoundError('not found ' + path, path));
       return;
     }
     parent = currEntity;
@@ -142,6 +164,74 @@ function _getEntity(path, callback) {
   });
 }
 
+/**
+ * Creates a copy of an entity that can be modified without affecting the original. The copy shares the original's
+ * children, versions, renditions, and trash items, but not the objects that contain them.
+ * @param {Object} entity The raw entity from the store.
+ * @returns {Object} The copy.
+ * @private
+ */
+function _copyEntity(entity) {
+  var copy = {};
+  for (var key in entity) {
+    copy[key] = entity[key];
+  }
+  if (entity.children) {
+    copy.children = {};
+    for (var name in entity.children) {
+      copy.children[name] = entity.children[name];
+    }
+  }
+  if (entity.versions) {
+    copy.versions = entity.versions.slice();
+  }
+  if (entity.renditions) {
+    copy.renditions = {};
+    for (var rendition in entity.renditions) {
+      copy.renditions[rendition] = entity.renditions[rendition];
+    }
+  }
+  if (entity.trash) {
+    copy.trash = {};
+    for (var id in entity.trash) {
+      copy.trash[id] = entity.trash[id];
+    }
+  }
+  copy.metadata = _copyMetadata(entity.metadata);
+  return copy;
+}
+
+/**
+ * Retrieves an entity from the in-memory store so that it can be modified. While the store is shared with a
+ * transaction, the entity and each of its ancestors are copied (once) before they're provided, so that the changes
+ * don't affect the other copy of the store.
+ * @param {String} path Full path of an entity.
+ * @param {Function} callback Invoked with the result, as provided by _getEntity.
+ * @private
+ */
+function _getWritableEntity(path, callback) {
+  var copied = this.copied;
+  if (copied) {
+    if (copied.indexOf(this.repository) < 0) {
+      this.repository = _copyEntity(this.repository);
+      copied.push(this.repository);
+    }
+
+    var names = new String(path).split(utils.sep());
+    var entity = this.repository;
+    for (var i = 0; i < names.length && entity; i++) {
+      var child = names[i] && entity.children ? entity.children[names[i]] : undefined;
+      if (child && copied.indexOf(child) < 0) {
+        child = _copyEntity(child);
+        entity.children[names[i]] = child;
+        copied.push(child);
+      }
+      entity = names[i] ? child : entity;
+    }
+  }
+  _getEntity.call(this, path, callback);
+}
+
 /**
  * Creates a new entity in the in-memory store.
  * @param {String} path Full path of an entity.
@@ -155,7 +245,7 @@ function _createEntity(path, entityInfo, callback) {
   var parentPath = utils.getParentPath(path);
   var name = utils.getPathName(path);
 
-  _getEntity.call(this, parentPath, function (err, parent) {
+  _getWritableEntity.call(this, parentPath, function (err, parent) {
     if (err) {
       callback(err);
       return;
@@ -167,28 +257,38 @@ function _createEntity(path, entityInfo, callback) {
 }
 
 /**
- * Updates an asset's information in the in-memory store.
+ * Updates an asset's information in the in-memory store, leaving fields that aren't provided unchanged.
  * @param {String} path Full path of an asset.
- * @param {Object} info The new info.
+ * @param {Object} info The fields to update.
  * @param {Function} callback Invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
  * @private
  */
 function _updateAsset(path, info, callback) {
-  _getEntity.call(this, path, function (err, entity, parent, entityName) {
+  _getWritableEntity.call(this, path, function (err, entity) {
     if (err) {
       callback(err);
       return;
     }
 
     if (entity.type !== constants.ASSET_TYPE) {
-      callback('asset to update is not an asset');
+      callback(new errors.NotAssetError('asset to update is not an asset ' + path, path));
       return;
     }
 
-    for (var key in info) {
-      parent.children[entityName][key] = info[key];
+    var customInfo = {};
+    var key;
+    for (key in entity.info) {
+      customInfo[key] = entity.info[key];
+    }
+    for (key in info) {
+      if (CHECK_OUT_FIELDS.indexOf(key) >= 0) {
+        entity[key] = info[key];
+      } else {
+        customInfo[key] = info[key];
+      }
     }
+    entity.info = customInfo;
 
     callback();
   });
@@ -203,7 +303,7 @@ function _updateAsset(path, info, callback) {
  */
 function _deleteEntity(path, callback) {
   var self = this;
-  _getEntity.call(self, utils.getParentPath(path), function (err, parent) {
+  _getWritableEntity.call(self, utils.getParentPath(path), function (err, parent) {
     if (err) {
       callback(err);
       return;
@@ -213,25 +313,153 @@ function _deleteEntity(path, callback) {
   });
 }
 
+/**
+ * Calculates the total size of an asset's content.
+ * @param {Array} content The asset's content chunks.
+ * @returns {Number} Size of the content, in bytes.
+ * @private
+ */
+function _getContentSize(content) {
+  var size = 0;
+  if (content) {
+    for (var i = 0; i < content.length; i++) {
+      size += content[i].length;
+    }
+  }
+  return size;
+}
+
+/**
+ * Retrieves a range of an asset's content. The chunks within the range are shared with the stored content rather than
+ * copied; only the first and last chunks are sliced, which also shares their memory.
+ * @param {Array} content The asset's content chunks.
+ * @param {Number} start Position of the first byte in the range.
+ * @param {Number} end Position of the last byte (inclusive) in the range.
+ * @returns {Array} The chunks making up the range.
+ * @private
+ */
+function _getContentRange(content, start, end) {
+  var first = -1;
+  var last = -1;
+  var firstOffset = 0;
+  var lastOffset = 0;
+  var position = 0;
+  for (var i = 0; i < content.length && last < 0; i++) {
+    var chunkEnd = position + content[i].length;
+    if (first < 0 && start < chunkEnd) {
+      first = i;
+      firstOffset = start - position;
+    }
+    if (first >= 0 && end < chunkEnd) {
+      last = i;
+      lastOffset = end - position + 1;
+    }
+    position = chunkEnd;
+  }
+  if (first < 0 || last < 0) {
+    return [];
+  }
+
+  var range = content.slice(first, last + 1);
+  if (first === last) {
+    range[0] = range[0].slice(firstOffset, lastOffset);
+  } else {
+    range[0] = range[0].slice(firstOffset);
+    range[range.length - 1] = range[range.length - 1].slice(0, lastOffset);
+  }
+  return range;
+}
+
+/**
+ * Replaces an asset's content, keeping its current content as a previous version. The oldest versions will be
+ * discarded according to the repository's maxVersions option.
+ * @param {Object} entity The asset's raw entity from the store.
+ * @param {Array} content The asset's new content chunks.
+ * @param {Object} options Options received from the caller.
+ * @param [Object] hashes Hashes of the new content, if known.
+ * @private
+ */
+function _replaceContent(entity, content, options, hashes) {
+  if (entity.content) {
+    entity.versions.push({
+      id: String(entity.nextVersionId++),
+      content: entity.content,
+      hashes: entity.hashes,
+      modified: entity.modified,
+      modifiedBy: entity.modifiedBy
+    });
+    if (this.maxVersions) {
+      entity.versions.splice(0, Math.max(entity.versions.length - this.maxVersions, 0));
+    }
+  }
+  entity.updateContent(content, hashes);
+  entity.updateModified();
+  entity.modifiedBy = this.getUserId(options);
+}
+
+/**
+ * Retrieves one of an asset's previous versions.
+ * @param {Object} entity The asset's raw entity from the store.
+ * @param {String} versionId ID of the version.
+ * @returns {Object|undefined} The version, or undefined if not found.
+ * @private
+ */
+function _getVersion(entity, versionId) {
+  for (var i = 0; i < entity.versions.length; i++) {
+    if (entity.versions[i].id === String(versionId)) {
+      return entity.versions[i];
+    }
+  }
+}
+
+/**
+ * Sends a list of items to a callback, sorting and paging the list first if the caller requested it.
+ * @param {Array} items Each entry is an item's info.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Invoked with the list, whose "paged" property is true if paging was applied.
+ * @private
+ */
+function _sendList(items, options, callback) {
+  if (paging.isRequested(options)) {
+    var page = paging.apply(items, options);
+    page.paged = true;
+    callback(undefined, page);
+  } else {
+    callback(undefined, items);
+  }
+}
+
+function _copyMetadata(metadata) {
+  var copy = {};
+  for (var key in metadata) {
+    copy[key] = metadata[key];
+  }
+  return copy;
+}
+
 function _infoFromEntity(entity) {
   var info = {
     name: entity.name,
     created: entity.created,
-    type: entity.type
+    type: entity.type,
+    metadata: _copyMetadata(entity.metadata)
   };
 
   if (entity.type === constants.ASSET_TYPE) {
-    var size = 0;
-    if (entity.content) {
-      for (var i = 0; i < entity.content.length; i++) {
-        size += entity.content[i].length;
-      }
+    for (var key in entity.info) {
+      info[key] = entity.info[key];
     }
     info.modified = entity.modified;
     info.contentType = mime.getType(entity.name);
-    info.size = size || 0;
+    info.size = _getContentSize(entity.content);
     info.checkedOut = entity.checkedOut || false;
     info.checkedOutBy = entity.checkedOutBy || '';
+    info.checkedOutUntil = entity.checkedOutUntil || 0;
+    if (entity.hashes) {
+      info.hash = entity.hashes.sha256;
+      info.md5 = entity.hashes.md5;
+      info.etag = '"' + entity.hashes.sha256 + '"';
+    }
   }
 
   return info;
@@ -289,7 +517,7 @@ InMemoryRepository.prototype._list = function (path, options, info, callback) {
     }
 
     if (entity.type !== constants.DIR_TYPE) {
-      callback('path to list is not a directory ' + path);
+      callback(new errors.NotDirectoryError('path to list is not a directory ' + path, path));
       return;
     }
 
@@ -310,7 +538,7 @@ InMemoryRepository.prototype._list = function (path, options, info, callback) {
           return;
         }
 
-        callback(undefined, children);
+        _sendList(children, options, callback);
       });
     });
   });
@@ -334,7 +562,18 @@ InMemoryRepository.prototype._createDirectory = function (path, options, info, c
 InMemoryRepository.prototype._deleteDirectory = function (path, options, info, callback) {
   var self = this;
   _doDelay.call(this, function () {
-    _deleteEntity.call(self, path, callback);
+    _getEntity.call(self, path, function (err, entity) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (Object.keys(entity.children).length) {
+        callback(new errors.NotEmptyError('directory not empty ' + path, path));
+        return;
+      }
+      _deleteEntity.call(self, path, callback);
+    });
   });
 };
 
@@ -350,36 +589,20 @@ InMemoryRepository.prototype._getAsset = function (path, options, info, callback
         return;
       }
 
-      callback(undefined, new MemoryStream(entity.content, {readable: true, writable: false}));
+      var content = entity.content;
+      if (options.start !== undefined && options.end !== undefined) {
+        content = _getContentRange(content, options.start, options.end);
+      }
+      callback(undefined, new MemoryStream(content, {readable: true, writable: false}));
     });
   });
 };
 
-/**
- * Retrieves an asset's thumbnail from the in-memory store.
- */
-InMemoryRepository.prototype._getAssetThumbnail = function (path, options, info, callback) {
-  this._getAsset(path, options, info, function (err, stream) {
-    if (err) {
-      callback(err);
-      return;
-    }
-    callback(undefined, stream, mime.getType(path));
-  });
-};
-
-/**
- * Retrieves an asset's preview from the in-memory store.
- */
-InMemoryRepository.prototype._getAssetPreview = function (path, options, info, callback) {
-  this._getAssetThumbnail(path, options, info, callback);
-};
-
 function _createOrGetEntity(path, isCreate, callback) {
   if (isCreate) {
     _createEntity.call(this, path, _getAssetInfo(path), callback);
   } else {
-    _getEntity.call(this, path, callback);
+    _getWritableEntity.call(this, path, callback);
   }
 }
 
@@ -396,7 +619,7 @@ InMemoryRepository.prototype._getAssetWriteStream = function (path, isCreate, op
           finishedCallback(err);
           return;
         }
-        entity.updateContent(stream.queue);
+        _replaceContent.call(self, entity, stream.queue, options);
         finishedCallback();
       });
     });
@@ -428,35 +651,510 @@ InMemoryRepository.prototype._deleteAsset = function (path, options, info, callb
 };
 
 /**
- * Searches for all assets in the in-memory store that match a specified search term.
+ * Moves an asset or directory in the in-memory store by relinking it beneath its new parent.
  */
-Repository.prototype._findAssets = function (searchTerm, options, callback) {
+InMemoryRepository.prototype._move = function (path, targetPath, options, info, targetParentInfo, callback) {
   var self = this;
-  var searchQueue = [this.repository];
-  var matches = [];
+  _getWritableEntity.call(self, path, function (err, entity, parent, entityName) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    _getWritableEntity.call(self, utils.getParentPath(targetPath), function (err, targetParent) {
+      _doDelay.call(self, function () {
+        if (err) {
+          callback(err);
+          return;
+        }
 
-  async.whilst(function () { return searchQueue.length > 0;}, function (whileCb) {
-    var item = searchQueue.pop();
+        var targetName = utils.getPathName(targetPath);
+        delete parent.children[entityName];
+        entity.name = targetName;
+        targetParent.children[targetName] = entity;
+        callback();
+      });
+    });
+  });
+};
 
-    for (var key in item.children) {
-      var currChild = item.children[key];
-      if (currChild.type === constants.DIR_TYPE) {
-        searchQueue.push(currChild);
-      } else {
-        if (new String(currChild.name).match(searchTerm)) {
-          matches.push(_infoFromEntity(currChild));
+/**
+ * Copies an asset in the in-memory store. The copy shares the original's content buffers, which is safe because an
+ * asset's content is replaced rather than modified when it's updated.
+ */
+InMemoryRepository.prototype._copy = function (path, targetPath, isCreate, options, info, targetInfo, callback) {
+  var self = this;
+  _getEntity.call(self, path, function (err, entity) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    _createOrGetEntity.call(self, targetPath, isCreate, function (err, target) {
+      _doDelay.call(self, function () {
+        if (err) {
+          callback(err);
+          return;
         }
+
+        _replaceContent.call(self, target, entity.content ? entity.content.slice() : [], options, entity.hashes);
+        callback();
+      });
+    });
+  });
+};
+
+/**
+ * Replaces the custom metadata of an asset or directory in the in-memory store.
+ */
+InMemoryRepository.prototype._setMetadata = function (path, options, info, metadata, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      entity.metadata = _copyMetadata(metadata);
+      callback();
+    });
+  });
+};
+
+/**
+ * Stores the hashes of an asset's content in the in-memory store.
+ */
+InMemoryRepository.prototype._setContentHash = function (path, options, hashes, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      entity.hashes = hashes;
+      callback();
+    });
+  });
+};
+
+/**
+ * Lists the previous versions of an asset in the in-memory store.
+ */
+InMemoryRepository.prototype._listVersions = function (path, options, info, callback) {
+  var self = this;
+  _getEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(undefined, entity.versions.map(function (version) {
+        return {
+          id: version.id,
+          size: _getContentSize(version.content),
+          modified: version.modified,
+          author: version.modifiedBy
+        };
+      }).reverse());
+    });
+  });
+};
+
+/**
+ * Retrieves the content of one of an asset's previous versions from the in-memory store.
+ */
+InMemoryRepository.prototype._getAssetVersion = function (path, versionId, options, info, callback) {
+  var self = this;
+  _getEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var version = _getVersion(entity, versionId);
+      if (!version) {
+        callback(new errors.NotFoundError('version ' + versionId + ' does not exist for ' + path, path));
+        return;
+      }
+      callback(undefined, new MemoryStream(version.content, {readable: true, writable: false}));
+    });
+  });
+};
+
+/**
+ * Makes one of an asset's previous versions its current content in the in-memory store.
+ */
+InMemoryRepository.prototype._restoreVersion = function (path, versionId, options, info, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var version = _getVersion(entity, versionId);
+      if (!version) {
+        callback(new errors.NotFoundError('version ' + versionId + ' does not exist for ' + path, path));
+        return;
+      }
+      _replaceContent.call(self, entity, version.content.slice(), options, version.hashes);
+      callback();
+    });
+  });
+};
+
+/**
+ * Removes one of an asset's previous versions from the in-memory store.
+ */
+InMemoryRepository.prototype._deleteVersion = function (path, versionId, options, info, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var version = _getVersion(entity, versionId);
+      if (!version) {
+        callback(new errors.NotFoundError('version ' + versionId + ' does not exist for ' + path, path));
+        return;
       }
+      entity.versions.splice(entity.versions.indexOf(version), 1);
+      callback();
+    });
+  });
+};
+
+/**
+ * Stores one of an asset's renditions in the in-memory store, with the asset's entity so that it's moved and removed
+ * along with the asset.
+ */
+InMemoryRepository.prototype._putRendition = function (path, name, contentType, readStream, options, info, callback) {
+  var self = this;
+  var content = [];
+  var called = false;
+
+  function _sendCallback(err) {
+    if (!called) {
+      called = true;
+      callback(err);
     }
-    whileCb();
-  }, function (err) {
+  }
+
+  readStream.on('data', function (chunk) {
+    content.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  });
+  readStream.on('error', _sendCallback);
+  readStream.on('end', function () {
+    _getWritableEntity.call(self, path, function (err, entity) {
+      _doDelay.call(self, function () {
+        if (err) {
+          _sendCallback(err);
+          return;
+        }
+
+        entity.renditions[name] = {
+          content: content,
+          contentType: contentType,
+          modified: new Date().getTime()
+        };
+        _sendCallback();
+      });
+    });
+  });
+};
+
+/**
+ * Retrieves one of an asset's renditions from the in-memory store.
+ */
+InMemoryRepository.prototype._getRendition = function (path, name, options, info, callback) {
+  var self = this;
+  _getEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var rendition = entity.renditions[name];
+      if (!rendition) {
+        callback(new errors.NotFoundError('rendition ' + name + ' does not exist for ' + path, path));
+        return;
+      }
+      callback(undefined, new MemoryStream(rendition.content.slice(), {readable: true, writable: false}), rendition.contentType);
+    });
+  });
+};
+
+/**
+ * Lists the renditions of an asset in the in-memory store.
+ */
+InMemoryRepository.prototype._listRenditions = function (path, options, info, callback) {
+  var self = this;
+  _getEntity.call(self, path, function (err, entity) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(undefined, Object.keys(entity.renditions).sort().map(function (name) {
+        var rendition = entity.renditions[name];
+        return {
+          name: name,
+          contentType: rendition.contentType,
+          size: _getContentSize(rendition.content),
+          modified: rendition.modified
+        };
+      }));
+    });
+  });
+};
+
+/**
+ * Removes one of an asset's renditions from the in-memory store.
+ */
+InMemoryRepository.prototype._deleteRendition = function (path, name, options, info, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity) {
     _doDelay.call(self, function () {
       if (err) {
         callback(err);
         return;
       }
 
-      callback(undefined, matches);
+      if (!entity.renditions[name]) {
+        callback(new errors.NotFoundError('rendition ' + name + ' does not exist for ' + path, path));
+        return;
+      }
+      delete entity.renditions[name];
+      callback();
+    });
+  });
+};
+
+/**
+ * Creates the description of an item in the trash.
+ * @param {Object} item The item, as kept in the root entity's trash.
+ * @returns {Object} The item's trash entry.
+ * @private
+ */
+function _getTrashEntry(item) {
+  return {
+    id: item.id,
+    path: item.path,
+    name: item.entity.name,
+    type: item.entity.type,
+    deleted: item.deleted,
+    deletedBy: item.deletedBy
+  };
+}
+
+/**
+ * Moves an asset or directory from the in-memory store's tree into its trash.
+ */
+InMemoryRepository.prototype._moveToTrash = function (path, options, info, callback) {
+  var self = this;
+  _getWritableEntity.call(self, path, function (err, entity, parent, entityName) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var item = {
+        id: uuid(),
+        path: path,
+        deleted: new Date().getTime(),
+        deletedBy: self.getUserId(options),
+        entity: entity
+      };
+      delete parent.children[entityName];
+      self.repository.trash[item.id] = item;
+      callback(undefined, _getTrashEntry(item));
+    });
+  });
+};
+
+/**
+ * Lists the items in the in-memory store's trash.
+ */
+InMemoryRepository.prototype._listTrash = function (options, callback) {
+  var self = this;
+  _doDelay.call(this, function () {
+    callback(undefined, Object.keys(self.repository.trash).map(function (id) {
+      return _getTrashEntry(self.repository.trash[id]);
+    }));
+  });
+};
+
+/**
+ * Moves an item from the in-memory store's trash back into its tree.
+ */
+InMemoryRepository.prototype._restoreFromTrash = function (id, targetPath, options, entry, callback) {
+  var self = this;
+  _getWritableEntity.call(self, utils.getParentPath(targetPath), function (err, parent) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var item = self.repository.trash[id];
+      if (!item) {
+        callback(new errors.NotFoundError('trash entry ' + id + ' does not exist'));
+        return;
+      }
+
+      var targetName = utils.getPathName(targetPath);
+      var entity = _copyEntity(item.entity);
+      entity.name = targetName;
+      parent.children[targetName] = entity;
+      delete self.repository.trash[id];
+      callback();
+    });
+  });
+};
+
+/**
+ * Permanently removes an item from the in-memory store's trash.
+ */
+InMemoryRepository.prototype._purgeTrash = function (id, options, entry, callback) {
+  var self = this;
+  _getWritableEntity.call(self, utils.sep(), function (err, root) {
+    _doDelay.call(self, function () {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (!root.trash[id]) {
+        callback(new errors.NotFoundError('trash entry ' + id + ' does not exist'));
+        return;
+      }
+      delete root.trash[id];
+      callback();
+    });
+  });
+};
+
+/**
+ * Begins a transaction whose repository shares the in-memory store until either side changes it. Changed entities (and
+ * their ancestors) are copied first, so the transaction's changes aren't seen by other callers until it's committed,
+ * at which point its copy of the store replaces this repository's. A transaction can't be committed if this repository
+ * was changed while it was open, even if the change doesn't involve any of the items that the transaction changed,
+ * since replacing the store would discard the change.
+ */
+InMemoryRepository.prototype._beginTransaction = function (options, callback) {
+  var self = this;
+  var snapshot = this.repository;
+  var staged = new InMemoryRepository({
+    userId: this.userId,
+    lockTimeout: this.lockTimeout,
+    maxVersions: this.maxVersions,
+    md5: this.md5,
+    uploadTimeout: this.uploadTimeout,
+    trash: this.trash,
+    delay: this.delay
+  });
+  staged.renditionGenerators = this.renditionGenerators;
+  staged.repository = snapshot;
+  staged.copied = [];
+
+  // the store is now shared, so this repository must also copy entities before changing them
+  this.copied = [];
+  this.openTransactions++;
+  var finished = false;
+
+  function _finish(commit, finishCallback) {
+    if (finished) {
+      finishCallback(new errors.InvalidArgumentError('transaction has already finished'));
+      return;
+    }
+    finished = true;
+    self.openTransactions--;
+
+    var err;
+    if (commit && self.repository !== snapshot) {
+      err = new errors.PreconditionFailedError('repository was changed while the transaction was open');
+    } else if (commit) {
+      self.repository = staged.repository;
+    }
+
+    // neither repository may change entities that the other might still be using
+    staged.copied = [];
+    self.copied = self.openTransactions ? [] : undefined;
+    _doDelay.call(self, function () {
+      finishCallback(err);
+    });
+  }
+
+  callback(undefined, {
+    repository: staged,
+    commit: function (commitCallback) {
+      _finish(true, commitCallback);
+    },
+    rollback: function (rollbackCallback) {
+      _finish(false, rollbackCallback);
+    }
+  });
+};
+
+/**
+ * Searches for all assets in the in-memory store, beneath a given directory, that match a specified search term and
+ * query.
+ */
+InMemoryRepository.prototype._findAssets = function (searchTerm, options, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  var matches = [];
+
+  _getEntity.call(this, path, function (err, entity) {
+    if (err) {
+      _doDelay.call(self, function () {
+        callback(err);
+      });
+      return;
+    }
+
+    var searchQueue = [{entity: entity, path: path, depth: 0}];
+    async.whilst(function () { return searchQueue.length > 0;}, function (whileCb) {
+      var item = searchQueue.pop();
+
+      for (var key in item.entity.children) {
+        var currChild = item.entity.children[key];
+        var currPath = utils.joinPath(item.path, currChild.name);
+        var isDirectory = currChild.type === constants.DIR_TYPE;
+        if (isDirectory && (options.maxDepth === undefined || item.depth + 1 < options.maxDepth)) {
+          searchQueue.push({entity: currChild, path: currPath, depth: item.depth + 1});
+        }
+        if (isDirectory && !options.includeDirectories) {
+          continue;
+        }
+
+        var currInfo = _infoFromEntity(currChild);
+        currInfo.path = currPath;
+        if (new String(currChild.name).match(searchTerm) && (!options.query || query.matches(currInfo, options.query))) {
+          matches.push(currInfo);
+        }
+      }
+      whileCb();
+    }, function (err) {
+      _doDelay.call(self, function () {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        _sendList(matches, options, callback);
+      });
     });
   });
 };
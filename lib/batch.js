@@ -0,0 +1,240 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * The operations that a batch may contain, keyed by the name of the repository method that performs them. Each value
+ * lists the properties of an operation descriptor that are passed to the method as arguments, in order; the
+ * descriptor's remaining properties (other than "op") are passed as the method's options.
+ */
+var OPERATIONS = {
+  createDirectory: [],
+  deleteDirectory: [],
+  createAsset: ['stream'],
+  updateAsset: ['stream'],
+  deleteAsset: [],
+  updateAssetInfo: ['info'],
+  setMetadata: ['metadata'],
+  removeMetadata: ['keys'],
+  moveAsset: ['targetPath'],
+  moveDirectory: ['targetPath'],
+  rename: ['name'],
+  copyAsset: ['targetPath'],
+  copyDirectory: ['targetPath'],
+  checkOut: [],
+  cancelCheckOut: []
+};
+
+/**
+ * Retrieves the paths that an operation affects.
+ * @param {Object} operation The operation's descriptor.
+ * @returns {Array} Full paths of the items that the operation reads or changes.
+ * @private
+ */
+function _getPaths(operation) {
+  var paths = [operation.path];
+  if (operation.targetPath) {
+    paths.push(operation.targetPath);
+  }
+  if (operation.op === 'rename' && operation.name) {
+    paths.push(utils.joinPath(utils.getParentPath(operation.path), operation.name));
+  }
+  return paths;
+}
+
+/**
+ * Determines whether a path is another path, or beneath it.
+ * @param {String} path Full path to check.
+ * @param {String} parentPath Full path of the possible ancestor.
+ * @returns {Boolean} True if the path is the same as parentPath or beneath it, otherwise false.
+ * @private
+ */
+function _isSameOrBeneath(path, parentPath) {
+  return path === parentPath || path.indexOf(utils.isRoot(parentPath) ? parentPath : parentPath + utils.sep()) === 0;
+}
+
+/**
+ * Determines whether two operations affect any of the same items, including one operation affecting a directory that
+ * contains an item affected by the other.
+ * @param {Object} first The first operation's descriptor.
+ * @param {Object} second The second operation's descriptor.
+ * @returns {Boolean} True if the operations are related, otherwise false.
+ * @private
+ */
+function _isRelated(first, second) {
+  var firstPaths = _getPaths(first);
+  var secondPaths = _getPaths(second);
+  return firstPaths.some(function (firstPath) {
+    return secondPaths.some(function (secondPath) {
+      return _isSameOrBeneath(firstPath, secondPath) || _isSameOrBeneath(secondPath, firstPath);
+    });
+  });
+}
+
+/**
+ * Verifies that an operation descriptor can be performed.
+ * @param {Object} operation The operation's descriptor.
+ * @returns {String|undefined} A description of the problem if the operation is invalid, otherwise undefined.
+ */
+function validate(operation) {
+  if (!operation || (typeof operation) !== 'object') {
+    return 'operation must be an object';
+  } else if (!OPERATIONS.hasOwnProperty(operation.op)) {
+    return 'unsupported batch operation ' + operation.op;
+  } else if (!operation.path || (typeof operation.path) !== 'string') {
+    return 'batch operation ' + operation.op + ' requires a path';
+  }
+  var missing = OPERATIONS[operation.op].filter(function (name) {
+    return operation[name] === undefined;
+  });
+  if (missing.length) {
+    return 'batch operation ' + operation.op + ' requires ' + missing.join(', ');
+  }
+}
+
+/**
+ * Determines the order in which a batch's operations should run. Operations generally run in the order provided, except
+ * that each createDirectory operation runs before any operation beneath its path, so that parents are created before
+ * their children. An operation must wait for each operation before it that affects the same item, or an item beneath
+ * or above it; unrelated operations may run at the same time.
+ * @param {Array} operations The batch's operation descriptors. Invalid descriptors should be omitted.
+ * @returns {Array} The order in which to run the operations. Each entry contains the "index" of an operation in the
+ *  provided array, and "dependencies", which contains the indexes of the operations that must finish first.
+ */
+function plan(operations) {
+  var order = operations.map(function (operation, index) {
+    return index;
+  });
+
+  // move each directory creation ahead of the operations beneath it, shallowest directories first
+  order.filter(function (index) {
+    return operations[index].op === 'createDirectory';
+  }).sort(function (first, second) {
+    return operations[first].path.split(utils.sep()).length - operations[second].path.split(utils.sep()).length;
+  }).forEach(function (index) {
+    var path = operations[index].path;
+    var current = order.indexOf(index);
+    for (var i = 0; i < current; i++) {
+      if (_getPaths(operations[order[i]]).some(function (otherPath) {
+        return otherPath !== path && _isSameOrBeneath(otherPath, path);
+      })) {
+        order.splice(current, 1);
+        order.splice(i, 0, index);
+        break;
+      }
+    }
+  });
+
+  return order.map(function (index, position) {
+    return {
+      index: index,
+      dependencies: order.slice(0, position).filter(function (otherIndex) {
+        return _isRelated(operations[index], operations[otherIndex]);
+      })
+    };
+  });
+}
+
+/**
+ * Runs a batch's operations according to a plan. An operation is skipped if any operation it depends on fails or is
+ * skipped.
+ * @param {Array} steps The plan, as provided by plan().
+ * @param {Object} options Controls how the operations run.
+ * @param [Number] options.concurrency The maximum number of operations to run at once. Defaults to 1.
+ * @param [Boolean] options.stopOnError If true, operations that haven't started when an operation fails will be
+ *  skipped.
+ * @param {Function} execute Invoked with the index of an operation to run, and a callback to invoke with the
+ *  operation's error or result.
+ * @param {Function} callback Invoked when all operations have finished or been skipped, with an object keyed by
+ *  operation index. Each value contains the operation's "error" or "result", or "skipped" if it didn't run. Operations
+ *  skipped because of a failed dependency also include the "dependency" index of the operation that failed or was skipped.
+ */
+function run(steps, options, execute, callback) {
+  var concurrency = Math.max(options.concurrency || 1, 1);
+  var remaining = steps.slice();
+  var finished = {};
+  var unsuccessful = {};
+  var outcomes = {};
+  var running = 0;
+  var failed = false;
+
+  function _isReady(step) {
+    return step.dependencies.every(function (index) {
+      return finished[index];
+    });
+  }
+
+  function _next() {
+    if (failed && options.stopOnError) {
+      remaining.forEach(function (step) {
+        outcomes[step.index] = {skipped: true};
+      });
+      remaining = [];
+    }
+
+    // dependencies precede their dependents in the plan, so skipping in order also skips dependents of skipped steps
+    remaining = remaining.filter(function (step) {
+      var dependency = step.dependencies.filter(function (index) {
+        return unsuccessful[index];
+      })[0];
+      if (dependency === undefined) {
+        return true;
+      }
+      finished[step.index] = true;
+      unsuccessful[step.index] = true;
+      outcomes[step.index] = {skipped: true, dependency: dependency};
+      return false;
+    });
+
+    for (var i = 0; i < remaining.length && running < concurrency; i++) {
+      if (_isReady(remaining[i])) {
+        _start(remaining.splice(i, 1)[0]);
+        i--;
+      }
+    }
+
+    if (!remaining.length && !running) {
+      var done = callback;
+      callback = function () {};
+      done(outcomes);
+    }
+  }
+
+  function _start(step) {
+    var called = false;
+    running++;
+    execute(step.index, function (err, result) {
+      if (called) {
+        return;
+      }
+      called = true;
+      running--;
+      finished[step.index] = true;
+      outcomes[step.index] = err ? {error: err} : {result: result};
+      if (err) {
+        failed = true;
+        unsuccessful[step.index] = true;
+      }
+      _next();
+    });
+  }
+
+  _next();
+}
+
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.validate = validate;
+module.exports.plan = plan;
+module.exports.run = run;
@@ -1,2 +1,9 @@
 module.exports.DIR_TYPE = 'directory';
-module.exports.ASSET_TYPE = 'asset';
\ No newline at end of file
+module.exports.ASSET_TYPE = 'asset';
+module.exports.CONFLICT_FAIL = 'fail';
+module.exports.CONFLICT_OVERWRITE = 'overwrite';
+module.exports.CONFLICT_SKIP = 'skip';
+module.exports.SORT_ASCENDING = 'ascending';
+module.exports.SORT_DESCENDING = 'descending';
+module.exports.RENDITION_THUMBNAIL = 'thumbnail';
+module.exports.RENDITION_PREVIEW = 'preview';
@@ -0,0 +1,112 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var util = require('util');
+
+var ENOTFOUND = 'ENOTFOUND';
+var EEXIST = 'EEXIST';
+var ENOTDIR = 'ENOTDIR';
+var ENOTASSET = 'ENOTASSET';
+var ENOTEMPTY = 'ENOTEMPTY';
+var ELOCKED = 'ELOCKED';
+var ENOTLOCKED = 'ENOTLOCKED';
+var ENOTIMPL = 'ENOTIMPL';
+var EROOT = 'EROOT';
+var EINVAL = 'EINVAL';
+var EPARTIAL = 'EPARTIAL';
+var ECANCELED = 'ECANCELED';
+var EINTEGRITY = 'EINTEGRITY';
+var EPRECONDITION = 'EPRECONDITION';
+
+/**
+ * Base class for all errors provided by the repository. Callers should use an error's code, rather than its message,
+ * to determine what went wrong.
+ * @param {String} code Machine-readable value identifying the kind of error.
+ * @param {String} message Description of the error.
+ * @param [String] path Full path of the item that the error concerns.
+ * @param [String] contextId ID of the operation's context, as provided in its options.
+ * @constructor
+ */
+function RepositoryError(code, message, path, contextId) {
+  Error.call(this, message);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name = 'RepositoryError';
+  this.code = code;
+  this.message = message;
+  this.path = path;
+  this.contextId = contextId;
+}
+
+util.inherits(RepositoryError, Error);
+
+/**
+ * Creates a class of error with a specific code.
+ * @param {String} name Name of the class.
+ * @param {String} code Code that all errors of the class will have.
+ * @returns {Function} Constructor that accepts a message, path, and context id.
+ * @private
+ */
+function _createErrorType(name, code) {
+  function ErrorType(message, path, contextId) {
+    RepositoryError.call(this, code, message, path, contextId);
+    this.name = name;
+  }
+  util.inherits(ErrorType, RepositoryError);
+  ErrorType.code = code;
+  return ErrorType;
+}
+
+/**
+ * Determines whether an error is a repository error with a given code.
+ * @param {*} err The error to check.
+ * @param {String} code The code to check for.
+ * @returns {Boolean} True if the error has the code, false otherwise.
+ */
+function hasCode(err, code) {
+  return !!err && err.code === code;
+}
+
+module.exports.ENOTFOUND = ENOTFOUND;
+module.exports.EEXIST = EEXIST;
+module.exports.ENOTDIR = ENOTDIR;
+module.exports.ENOTASSET = ENOTASSET;
+module.exports.ENOTEMPTY = ENOTEMPTY;
+module.exports.ELOCKED = ELOCKED;
+module.exports.ENOTLOCKED = ENOTLOCKED;
+module.exports.ENOTIMPL = ENOTIMPL;
+module.exports.EROOT = EROOT;
+module.exports.EINVAL = EINVAL;
+module.exports.EPARTIAL = EPARTIAL;
+module.exports.ECANCELED = ECANCELED;
+module.exports.EINTEGRITY = EINTEGRITY;
+module.exports.EPRECONDITION = EPRECONDITION;
+
+module.exports.RepositoryError = RepositoryError;
+module.exports.NotFoundError = _createErrorType('NotFoundError', ENOTFOUND);
+module.exports.AlreadyExistsError = _createErrorType('AlreadyExistsError', EEXIST);
+module.exports.NotDirectoryError = _createErrorType('NotDirectoryError', ENOTDIR);
+module.exports.NotAssetError = _createErrorType('NotAssetError', ENOTASSET);
+module.exports.NotEmptyError = _createErrorType('NotEmptyError', ENOTEMPTY);
+module.exports.LockedError = _createErrorType('LockedError', ELOCKED);
+module.exports.NotLockedError = _createErrorType('NotLockedError', ENOTLOCKED);
+module.exports.NotImplementedError = _createErrorType('NotImplementedError', ENOTIMPL);
+module.exports.RootError = _createErrorType('RootError', EROOT);
+module.exports.InvalidArgumentError = _createErrorType('InvalidArgumentError', EINVAL);
+module.exports.PartialFailureError = _createErrorType('PartialFailureError', EPARTIAL);
+module.exports.CancelledError = _createErrorType('CancelledError', ECANCELED);
+module.exports.IntegrityError = _createErrorType('IntegrityError', EINTEGRITY);
+module.exports.PreconditionFailedError = _createErrorType('PreconditionFailedError', EPRECONDITION);
+module.exports.hasCode = hasCode;
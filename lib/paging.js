@@ -0,0 +1,191 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var constants = require('./constants');
+
+/**
+ * Fields by which lists of items can be sorted.
+ */
+var SORT_FIELDS = ['name', 'created', 'modified', 'size', 'type'];
+
+/**
+ * Options that control the sorting and paging of lists of items.
+ */
+var PAGING_OPTIONS = ['limit', 'offset', 'cursor', 'sortBy', 'sortOrder', 'directoriesFirst'];
+
+/**
+ * Creates an opaque cursor that can be used to retrieve the page starting at a given position.
+ * @param {Number} offset Position of the first item in the page.
+ * @returns {String} A cursor value.
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({offset: offset})).toString('base64');
+}
+
+/**
+ * Retrieves the position that a cursor represents.
+ * @param {String} cursor A cursor created by encodeCursor.
+ * @returns {Number} The position, or -1 if the cursor is invalid.
+ */
+function decodeCursor(cursor) {
+  var decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+  } catch (e) {
+    return -1;
+  }
+  if (!decoded || !_isCount(decoded.offset)) {
+    return -1;
+  }
+  return decoded.offset;
+}
+
+/**
+ * Determines whether a value can be used as a limit or offset.
+ * @param {*} value Value to check.
+ * @returns {Boolean} True if the value is a non-negative integer.
+ * @private
+ */
+function _isCount(value) {
+  return ((typeof value) === 'number') && value >= 0 && Math.floor(value) === value;
+}
+
+/**
+ * Determines whether any sorting or paging options were provided.
+ * @param {Object} options Options received from the caller.
+ * @returns {Boolean} True if the list should be sorted and paged.
+ */
+function isRequested(options) {
+  return PAGING_OPTIONS.some(function (key) {
+    return options[key] !== undefined;
+  });
+}
+
+/**
+ * Verifies that sorting and paging options are valid.
+ * @param {Object} options Options received from the caller.
+ * @returns {String|undefined} An error if the options are invalid, otherwise undefined.
+ */
+function validate(options) {
+  if (options.limit !== undefined && !_isCount(options.limit)) {
+    return 'limit must be a non-negative integer';
+  }
+  if (options.offset !== undefined && !_isCount(options.offset)) {
+    return 'offset must be a non-negative integer';
+  }
+  if (options.cursor !== undefined && decodeCursor(options.cursor) < 0) {
+    return 'invalid cursor';
+  }
+  if (options.sortBy !== undefined && SORT_FIELDS.indexOf(options.sortBy) < 0) {
+    return 'unsupported sort field ' + options.sortBy;
+  }
+  if (options.sortOrder !== undefined && options.sortOrder !== constants.SORT_ASCENDING &&
+      options.sortOrder !== constants.SORT_DESCENDING) {
+    return 'unsupported sort order ' + options.sortOrder;
+  }
+}
+
+/**
+ * Compares two field values. Missing values are sorted after all others.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {Number} Negative if a comes first, positive if b comes first, 0 if they're equal.
+ * @private
+ */
+function _compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  } else if (a === undefined || a === null) {
+    return 1;
+  } else if (b === undefined || b === null) {
+    return -1;
+  }
+  if ((typeof a) === 'string' && (typeof b) === 'string') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Sorts a list of items according to the caller's options. Items that are equal keep their relative order, so the
+ * result is stable across calls.
+ * @param {Array} items Each entry is an item's info.
+ * @param {Object} options Options received from the caller. Items are sorted by name if no sortBy option is provided.
+ * @returns {Array} A new, sorted list.
+ */
+function sort(items, options) {
+  var sortBy = options.sortBy || 'name';
+  var direction = options.sortOrder === constants.SORT_DESCENDING ? -1 : 1;
+
+  var indexed = items.map(function (item, index) {
+    return {item: item, index: index};
+  });
+  indexed.sort(function (a, b) {
+    if (options.directoriesFirst && a.item.type !== b.item.type) {
+      return a.item.type === constants.DIR_TYPE ? -1 : 1;
+    }
+    var result = _compareValues(a.item[sortBy], b.item[sortBy]) * direction;
+    if (!result && sortBy !== 'name') {
+      result = _compareValues(a.item.name, b.item.name) * direction;
+    }
+    return result || (a.index - b.index);
+  });
+  return indexed.map(function (entry) {
+    return entry.item;
+  });
+}
+
+/**
+ * Sorts a list of items, then retrieves the page requested by the caller's options. The returned list has a "total"
+ * property containing the number of items in the full list, and a "nextCursor" property that can be provided as the
+ * cursor option to retrieve the following page. nextCursor is undefined if there are no more items, or if the page is
+ * empty (i.e. with a limit of 0, which only retrieves the total) so that following it can't repeat the same page.
+ * @param {Array} items Each entry is an item's info.
+ * @param {Object} options Options received from the caller. The options are assumed to be valid.
+ * @returns {Array} The requested page.
+ */
+function apply(items, options) {
+  var start = options.cursor !== undefined ? decodeCursor(options.cursor) : (options.offset || 0);
+  var end = options.limit !== undefined ? start + options.limit : items.length;
+
+  var page = sort(items, options).slice(start, end);
+  page.total = items.length;
+  page.nextCursor = page.length && end < items.length ? encodeCursor(end) : undefined;
+  return page;
+}
+
+/**
+ * Creates a copy of options that doesn't include any sorting or paging options.
+ * @param {Object} options Options to copy.
+ * @returns {Object} The copied options.
+ */
+function withoutPaging(options) {
+  var copied = {};
+  for (var key in options) {
+    if (PAGING_OPTIONS.indexOf(key) < 0) {
+      copied[key] = options[key];
+    }
+  }
+  return copied;
+}
+
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
+module.exports.isRequested = isRequested;
+module.exports.validate = validate;
+module.exports.sort = sort;
+module.exports.apply = apply;
+module.exports.withoutPaging = withoutPaging;
@@ -0,0 +1,223 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var zlib = require('zlib');
+
+var SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Number of channels in each pixel, keyed by PNG color type.
+ */
+var CHANNELS = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4};
+
+var CRC_TABLE = (function () {
+  var table = [];
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Calculates the CRC of a PNG chunk's type and data.
+ * @param {Buffer} buffer The chunk's type followed by its data.
+ * @returns {Number} The CRC.
+ * @private
+ */
+function _crc32(buffer) {
+  var crc = 0xffffffff;
+  for (var i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Predicts a byte's value using the Paeth filter.
+ * @private
+ */
+function _paeth(left, up, upLeft) {
+  var p = left + up - upLeft;
+  var pLeft = Math.abs(p - left);
+  var pUp = Math.abs(p - up);
+  var pUpLeft = Math.abs(p - upLeft);
+  if (pLeft <= pUp && pLeft <= pUpLeft) {
+    return left;
+  }
+  return pUp <= pUpLeft ? up : upLeft;
+}
+
+/**
+ * Decodes a PNG image. Only non-interlaced images with a bit depth of 8 or 16 are supported.
+ * @param {Buffer} buffer The PNG's content.
+ * @returns {Object} The image's width, height, bitDepth, colorType, bytesPerPixel, and unfiltered pixel data. If
+ *  present, the image's palette and transparency chunks are provided as "palette" and "transparency".
+ * @throws {Error} If the content isn't a supported PNG.
+ */
+function decode(buffer) {
+  if (buffer.length < SIGNATURE.length || !buffer.slice(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error('content is not a PNG image');
+  }
+
+  var image = {};
+  var idat = [];
+  var offset = SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    var length = buffer.readUInt32BE(offset);
+    var type = buffer.toString('ascii', offset + 4, offset + 8);
+    var data = buffer.slice(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      image.width = data.readUInt32BE(0);
+      image.height = data.readUInt32BE(4);
+      image.bitDepth = data[8];
+      image.colorType = data[9];
+      if (data[12]) {
+        throw new Error('interlaced PNG images are not supported');
+      }
+    } else if (type === 'PLTE') {
+      image.palette = data;
+    } else if (type === 'tRNS') {
+      image.transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!image.width || CHANNELS[image.colorType] === undefined || (image.bitDepth !== 8 && image.bitDepth !== 16)) {
+    throw new Error('unsupported PNG image');
+  }
+
+  image.bytesPerPixel = CHANNELS[image.colorType] * image.bitDepth / 8;
+  var stride = image.width * image.bytesPerPixel;
+  var filtered = zlib.inflateSync(Buffer.concat(idat));
+  var pixels = Buffer.alloc(stride * image.height);
+
+  for (var y = 0; y < image.height; y++) {
+    var filter = filtered[y * (stride + 1)];
+    var row = y * stride;
+    var source = y * (stride + 1) + 1;
+    for (var x = 0; x < stride; x++) {
+      var left = x >= image.bytesPerPixel ? pixels[row + x - image.bytesPerPixel] : 0;
+      var up = y > 0 ? pixels[row - stride + x] : 0;
+      var upLeft = (y > 0 && x >= image.bytesPerPixel) ? pixels[row - stride + x - image.bytesPerPixel] : 0;
+      var value = filtered[source + x];
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += (left + up) >> 1;
+      } else if (filter === 4) {
+        value += _paeth(left, up, upLeft);
+      }
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  image.data = pixels;
+  return image;
+}
+
+/**
+ * Creates a PNG chunk.
+ * @private
+ */
+function _chunk(type, data) {
+  var length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  var typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  var crc = Buffer.alloc(4);
+  crc.writeUInt32BE(_crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encodes an image, as provided by decode, as a PNG.
+ * @param {Object} image The image to encode.
+ * @returns {Buffer} The PNG's content.
+ */
+function encode(image) {
+  var header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = image.bitDepth;
+  header[9] = image.colorType;
+
+  var stride = image.width * image.bytesPerPixel;
+  var filtered = Buffer.alloc((stride + 1) * image.height);
+  for (var y = 0; y < image.height; y++) {
+    // each row uses filter type 0 (none)
+    image.data.copy(filtered, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  var chunks = [SIGNATURE, _chunk('IHDR', header)];
+  if (image.palette) {
+    chunks.push(_chunk('PLTE', image.palette));
+  }
+  if (image.transparency) {
+    chunks.push(_chunk('tRNS', image.transparency));
+  }
+  chunks.push(_chunk('IDAT', zlib.deflateSync(filtered)));
+  chunks.push(_chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Scales an image, as provided by decode, so that neither of its dimensions exceeds a maximum size. Pixels are sampled
+ * from the nearest source pixel, which works for every supported color type (including palettes).
+ * @param {Object} image The image to scale.
+ * @param {Number} maxSize The maximum width and height of the scaled image.
+ * @returns {Object} The scaled image, or the original image if it already fits.
+ */
+function scale(image, maxSize) {
+  var ratio = Math.max(image.width, image.height) / maxSize;
+  if (ratio <= 1) {
+    return image;
+  }
+
+  var width = Math.max(1, Math.round(image.width / ratio));
+  var height = Math.max(1, Math.round(image.height / ratio));
+  var bpp = image.bytesPerPixel;
+  var data = Buffer.alloc(width * height * bpp);
+  for (var y = 0; y < height; y++) {
+    var sourceY = Math.min(image.height - 1, Math.floor(y * image.height / height));
+    for (var x = 0; x < width; x++) {
+      var sourceX = Math.min(image.width - 1, Math.floor(x * image.width / width));
+      image.data.copy(data, (y * width + x) * bpp, (sourceY * image.width + sourceX) * bpp, (sourceY * image.width + sourceX + 1) * bpp);
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    bitDepth: image.bitDepth,
+    colorType: image.colorType,
+    bytesPerPixel: bpp,
+    palette: image.palette,
+    transparency: image.transparency,
+    data: data
+  };
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
+module.exports.scale = scale;
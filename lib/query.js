@@ -0,0 +1,153 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Evaluates structured queries against item information. A query is an object whose keys are conditions that must
+ * all be met for an item to match. Supported keys are:
+ *
+ * name, path, type, contentType, size, created, modified, checkedOut, checkedOutBy, hash, md5: The item info field to
+ * compare.
+ * metadata: An object whose keys are custom metadata names, and whose values are the conditions for each.
+ * and: An array of queries that must all match.
+ * or: An array of queries where at least one must match.
+ * not: A query that must not match.
+ *
+ * A condition may be a RegExp, which is tested against the value; an object with "min" and/or "max" values, which is an
+ * inclusive range; or any other value, which must be equal to the item's value. Dates may be used anywhere that a
+ * timestamp is expected. If an item's value is an array, the condition must match at least one of its elements.
+ */
+
+var INFO_FIELDS = ['name', 'path', 'type', 'contentType', 'size', 'created', 'modified', 'checkedOut', 'checkedOutBy',
+  'hash', 'md5'];
+
+/**
+ * Converts a value to a form that can be compared against other values.
+ * @param {*} value Value to convert.
+ * @returns {*} The converted value.
+ */
+function toComparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+/**
+ * Determines whether a condition is a range.
+ * @param {*} condition Condition to check.
+ * @returns {Boolean} True if the condition is a range, false otherwise.
+ */
+function isRange(condition) {
+  return !!condition && ((typeof condition) === 'object') && !(condition instanceof RegExp) &&
+    !(condition instanceof Date) && !Array.isArray(condition) && (('min' in condition) || ('max' in condition));
+}
+
+/**
+ * Determines whether a value meets a condition.
+ * @param {*} value The item's value.
+ * @param {*} condition The condition to check.
+ * @returns {Boolean} True if the value meets the condition, false otherwise.
+ */
+function matchesCondition(value, condition) {
+  if (Array.isArray(value)) {
+    return value.some(function (element) {
+      return matchesCondition(element, condition);
+    });
+  }
+  if (condition instanceof RegExp) {
+    return value !== undefined && value !== null && String(value).match(condition) !== null;
+  }
+  value = toComparable(value);
+  if (isRange(condition)) {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    if (condition.min !== undefined && value < toComparable(condition.min)) {
+      return false;
+    }
+    return !(condition.max !== undefined && value > toComparable(condition.max));
+  }
+  return value === toComparable(condition);
+}
+
+/**
+ * Verifies that a query is structured correctly.
+ * @param {Object} query The query to verify.
+ * @returns {String|undefined} An error if the query is invalid, otherwise undefined.
+ */
+function validate(query) {
+  if (!query || ((typeof query) !== 'object') || Array.isArray(query)) {
+    return 'query must be an object';
+  }
+  for (var key in query) {
+    var err;
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(query[key])) {
+        return 'query ' + key + ' must be an array';
+      }
+      for (var i = 0; i < query[key].length && !err; i++) {
+        err = validate(query[key][i]);
+      }
+    } else if (key === 'not') {
+      err = validate(query[key]);
+    } else if (key === 'metadata') {
+      if (!query[key] || ((typeof query[key]) !== 'object')) {
+        return 'query metadata must be an object';
+      }
+    } else if (INFO_FIELDS.indexOf(key) < 0) {
+      return 'unsupported query field ' + key;
+    }
+    if (err) {
+      return err;
+    }
+  }
+}
+
+/**
+ * Determines whether an item matches a query. The query is assumed to be valid.
+ * @param {Object} info Information about the item, as returned by a repository's getInfo.
+ * @param {Object} query The query to evaluate.
+ * @returns {Boolean} True if the item matches, false otherwise.
+ */
+function matches(info, query) {
+  for (var key in query) {
+    var condition = query[key];
+    var matched;
+    if (key === 'and') {
+      matched = condition.every(function (subQuery) {
+        return matches(info, subQuery);
+      });
+    } else if (key === 'or') {
+      matched = condition.some(function (subQuery) {
+        return matches(info, subQuery);
+      });
+    } else if (key === 'not') {
+      matched = !matches(info, condition);
+    } else if (key === 'metadata') {
+      var metadata = info.metadata || {};
+      matched = Object.keys(condition).every(function (name) {
+        return matchesCondition(metadata[name], condition[name]);
+      });
+    } else {
+      matched = matchesCondition(info[key], condition);
+    }
+    if (!matched) {
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports.validate = validate;
+module.exports.matches = matches;
@@ -0,0 +1,204 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var constants = require('./constants');
+var png = require('./png');
+
+var DEFAULT_THUMBNAIL_SIZE = 256;
+var DEFAULT_PREVIEW_SIZE = 1024;
+var DEFAULT_THUMBNAIL_LINES = 10;
+var DEFAULT_PREVIEW_LINES = 100;
+
+/**
+ * Keeps the generators that create an asset's renditions (such as its thumbnail or preview) from its content, keyed by
+ * the type of rendition and the asset's content type.
+ *
+ * A generator is a function that receives a readable stream to an asset's content, the asset's info, the options of
+ * the operation, and a callback. It should invoke the callback with an error, the rendition's content (as a Buffer, a
+ * string, or a readable stream), and the rendition's content type. It may instead return a Promise that resolves with an object
+ * containing "content" and "contentType".
+ * @constructor
+ */
+function RenditionRegistry() {
+  this.generators = {};
+}
+
+/**
+ * Registers a generator, replacing any generator already registered for the same rendition and content type.
+ * @param {String} renditionType Type of rendition that the generator creates, i.e. constants.RENDITION_THUMBNAIL.
+ * @param {String} contentType The content type of the assets that the generator supports. May be an exact type (i.e.
+ *  "image/png"), a family of types (i.e. "image/*"), or all types ("*\/*").
+ * @param {Function} generator The generator.
+ */
+RenditionRegistry.prototype.register = function (renditionType, contentType, generator) {
+  this.generators[renditionType] = this.generators[renditionType] || {};
+  this.generators[renditionType][contentType] = generator;
+};
+
+/**
+ * Removes the generator registered for a rendition and content type.
+ * @param {String} renditionType Type of rendition.
+ * @param {String} contentType The content type, as provided to register.
+ */
+RenditionRegistry.prototype.unregister = function (renditionType, contentType) {
+  if (this.generators[renditionType]) {
+    delete this.generators[renditionType][contentType];
+  }
+};
+
+/**
+ * Finds the generator for a rendition of an asset. Generators registered for the asset's exact content type are
+ * preferred over those registered for its family of types, which are preferred over those registered for all types.
+ * @param {String} renditionType Type of rendition.
+ * @param [String] contentType The asset's content type.
+ * @returns {Function|undefined} The generator, or undefined if there isn't one.
+ */
+RenditionRegistry.prototype.find = function (renditionType, contentType) {
+  var generators = this.generators[renditionType] || {};
+  contentType = String(contentType || '').toLowerCase();
+  var family = contentType.split('/')[0] + '/*';
+  return generators[contentType] || generators[family] || generators['*/*'];
+};
+
+/**
+ * Reads all of a stream's content.
+ * @param {Stream} stream The stream to read.
+ * @param {Function} callback Invoked with an error or the content as a Buffer.
+ * @private
+ */
+function _readAll(stream, callback) {
+  var chunks = [];
+  var called = false;
+
+  function _sendCallback(err, content) {
+    if (!called) {
+      called = true;
+      callback(err, content);
+    }
+  }
+
+  stream.on('data', function (chunk) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  });
+  stream.on('error', _sendCallback);
+  stream.on('end', function () {
+    _sendCallback(undefined, Buffer.concat(chunks));
+  });
+}
+
+/**
+ * Creates a generator for text assets whose rendition is the first lines of the asset's content. Only as much of the
+ * content as is needed is read.
+ * @param [Number] maxLines The maximum number of lines in the rendition. Defaults to 100.
+ * @returns {Function} The generator.
+ */
+function textLines(maxLines) {
+  maxLines = maxLines || DEFAULT_PREVIEW_LINES;
+  return function (stream, info, options, callback) {
+    var chunks = [];
+    var lines = 0;
+    var done = false;
+
+    function _finish(err) {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var content = Buffer.concat(chunks);
+      var end = -1;
+      for (var i = 0; i < maxLines; i++) {
+        end = content.indexOf('\n', end + 1);
+        if (end < 0) {
+          break;
+        }
+      }
+      callback(undefined, end < 0 ? content : content.slice(0, end + 1), 'text/plain');
+    }
+
+    function _onData(chunk) {
+      chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      chunks.push(chunk);
+      for (var i = 0; i < chunk.length; i++) {
+        if (chunk[i] === 10) {
+          lines++;
+        }
+      }
+      if (lines >= maxLines) {
+        stream.removeListener('data', _onData);
+        if ((typeof stream.destroy) === 'function') {
+          stream.destroy();
+        }
+        _finish();
+      }
+    }
+
+    stream.on('data', _onData);
+    stream.on('error', _finish);
+    stream.on('end', function () {
+      _finish();
+    });
+  };
+}
+
+/**
+ * Creates a generator for PNG images whose rendition is the image scaled down to fit a maximum size. Images that are
+ * already small enough are provided as-is.
+ * @param [Number] maxSize The maximum width and height of the rendition, in pixels. Defaults to 256.
+ * @returns {Function} The generator.
+ */
+function pngScale(maxSize) {
+  maxSize = maxSize || DEFAULT_THUMBNAIL_SIZE;
+  return function (stream, info, options, callback) {
+    _readAll(stream, function (err, content) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var scaled;
+      try {
+        var image = png.decode(content);
+        var result = png.scale(image, maxSize);
+        scaled = result === image ? content : png.encode(result);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(undefined, scaled, 'image/png');
+    });
+  };
+}
+
+/**
+ * Creates a registry containing the built-in generators: scaled PNG images, and the first lines of text assets.
+ * @returns {RenditionRegistry} The registry.
+ */
+function createDefaultRegistry() {
+  var registry = new RenditionRegistry();
+  registry.register(constants.RENDITION_THUMBNAIL, 'image/png', pngScale(DEFAULT_THUMBNAIL_SIZE));
+  registry.register(constants.RENDITION_PREVIEW, 'image/png', pngScale(DEFAULT_PREVIEW_SIZE));
+  registry.register(constants.RENDITION_THUMBNAIL, 'text/*', textLines(DEFAULT_THUMBNAIL_LINES));
+  registry.register(constants.RENDITION_PREVIEW, 'text/*', textLines(DEFAULT_PREVIEW_LINES));
+  return registry;
+}
+
+module.exports.RenditionRegistry = RenditionRegistry;
+module.exports.textLines = textLines;
+module.exports.pngScale = pngScale;
+module.exports.createDefaultRegistry = createDefaultRegistry;
@@ -14,16 +14,57 @@
 
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
+var crypto = require('crypto');
+var PassThrough = require('stream').PassThrough;
+var Transform = require('stream').Transform;
+var async = require('async');
 var uuid = require('uuid/v4');
 
 var constants = require('./constants');
 var utils = require('./utils');
 var Logger = require('./logger');
+var query = require('./query');
+var paging = require('./paging');
+var Watcher = require('./watcher');
+var TransferQueue = require('./transferqueue');
+var batch = require('./batch');
+var renditions = require('./renditions');
+var errors = require('./errors');
 
 var EMIT_DELAY = 1000;
+var DEFAULT_UPLOAD_TIMEOUT = 24 * 60 * 60 * 1000;
+var DEFAULT_MAX_CACHED_RENDITIONS = 100;
 var TRANSFER_TYPE_CREATE = 'create';
 var TRANSFER_TYPE_UPDATE = 'update';
 var TRANSFER_TYPE_READ = 'read';
+var TRANSFER_TYPE_COPY = 'copy';
+var COPY_ACTION_CREATE = 'create';
+var CHECK_OUT = 'check out';
+var CHECK_IN = 'check in';
+var CANCEL_CHECK_OUT = 'cancel check out';
+var FORCE_CHECK_IN = 'force check in';
+var CHANGE_CREATED = 'created';
+var CHANGE_UPDATED = 'updated';
+var CHANGE_INFO_UPDATED = 'infoupdated';
+var CHANGE_DELETED = 'deleted';
+var CHANGE_MOVED = 'moved';
+var CHANGE_CHECKED_OUT = 'checkedout';
+var CHANGE_CHECKED_IN = 'checkedin';
+
+/**
+ * Methods implemented by child classes that provide the well-known renditions, keyed by rendition name. Used when an
+ * asset has no stored rendition of the name.
+ */
+var RENDITION_HOOKS = {};
+RENDITION_HOOKS[constants.RENDITION_THUMBNAIL] = '_getAssetThumbnail';
+RENDITION_HOOKS[constants.RENDITION_PREVIEW] = '_getAssetPreview';
+
+/**
+ * Info fields that are maintained by the repository, and cannot be modified through updateAssetInfo or used as
+ * metadata keys. An asset's check out fields only change through checkOut, checkIn, cancelCheckOut, and forceCheckIn.
+ */
+var SYSTEM_FIELDS = ['name', 'type', 'created', 'modified', 'contentType', 'size', 'metadata', 'hash', 'md5', 'etag',
+  'path', 'checkedOut', 'checkedOutBy', 'checkedOutUntil'];
 
 /**
  * Base class representing a repository that stores assets. Provides methods for interacting with assets and directories
@@ -34,15 +75,85 @@ var TRANSFER_TYPE_READ = 'read';
  * Each method accepts an options object, which generally supports the following values:
  * {String} path: Full path to an entity. Required unless specified otherwise.
  * [String|RegExp] searchTerm: Term to use when searching for items. Optional unless specified otherwise.
+ * [String] conflict: How to handle an item that already exists at a copy's target path. One of constants.CONFLICT_FAIL
+ *                   (the default), constants.CONFLICT_OVERWRITE, or constants.CONFLICT_SKIP.
  * [String] subscriberId: If specified, the ID of the subscriber invoking the method. The method's callback(s) will
  *                        only be invoked if the subscriber is still registered at the time of invocation.
+ * [String] userId: If specified, the ID of the user invoking the method. Overrides the repository's userId option.
+ * [Object] metadata: Custom metadata to assign to a new directory or asset.
+ * [Number] limit: The maximum number of items that list and findAssets should return.
+ * [Number] offset: The number of items that list and findAssets should skip.
+ * [String] cursor: The nextCursor value of a previous list or findAssets result, to retrieve the following page.
+ * [String] sortBy: One of name, created, modified, size, or type. The field by which list and findAssets should sort.
+ * [String] sortOrder: One of the constants SORT_ASCENDING (the default) or SORT_DESCENDING.
+ * [Boolean] directoriesFirst: If true, list will return all directories before any assets.
+ * [Number] start: Position of the first byte that getAsset should read. Defaults to the beginning of the asset.
+ * [Number] end: Position of the last byte (inclusive) that getAsset should read. Defaults to the end of the asset.
+ * [Boolean] verify: If true, the stream provided by getAsset will fail if its content doesn't match the asset's hash.
+ * [String|Array] ifMatch: If specified, createAsset, updateAsset, updateAssetInfo, and deleteAsset will fail unless the
+ *                        asset exists and its etag is one of the provided etags. "*" matches any existing asset.
+ * [String|Array] ifNoneMatch: If specified, the same methods will fail if the asset's etag is one of the provided
+ *                            etags. "*" fails if the asset exists, which ensures that createAsset never replaces an asset.
+ * [Date|Number] ifUnmodifiedSince: If specified, the same methods will fail if the asset was modified after the time.
+ * [AbortSignal] signal: If specified, aborting the signal (i.e. through an AbortController) will stop the transfer of
+ *                       getAsset, createAsset, or updateAsset. Any object with an "aborted" property that emits an
+ *                       "abort" event (through addEventListener or on) may be provided.
+ * [Number] priority: Priority of the transfer performed by getAsset, createAsset, or updateAsset. When the repository
+ *                    limits its concurrent transfers, transfers with higher priorities start first. Defaults to 0.
+ * [Boolean] permanent: If true, deleteAsset and deleteDirectory remove the item permanently even if the repository's
+ *                      trash option is enabled.
+ *
+ * If a public method is called without a callback, it will return a Promise that settles with the method's result
+ * instead. If the method's subscriber is no longer subscribed when the result is ready, the Promise will be rejected
+ * with an error whose "cancelled" property is true (see Repository.isCancelled()).
  * @param {Object} options Control how the repository behaves.
+ * @param [String] options.userId ID of the user interacting with the repository. Used when checking assets in and out.
+ * @param [Number] options.lockTimeout If specified, the number of milliseconds after which an asset's check out will
+ *  expire. By default check outs do not expire.
+ * @param [Number] options.maxVersions If specified, the maximum number of previous versions that implementations
+ *  supporting versions should keep for each asset. By default all versions are kept.
+ * @param [Boolean] options.md5 If true, an MD5 hash of each asset's content will be computed in addition to its SHA-256
+ *  hash.
+ * @param [Number] options.uploadTimeout The number of milliseconds after which an upload session that hasn't received
+ *  a part expires, and its parts are discarded. Defaults to 24 hours.
+ * @param [Number] options.maxCachedRenditions The maximum number of renditions created by the repository's rendition
+ *  generators to keep in memory. Defaults to 100.
+ * @param [Number] options.maxConcurrentTransfers The maximum number of getAsset, createAsset, and updateAsset transfers
+ *  to run at once. Additional transfers are queued. By default the number of transfers isn't limited.
+ * @param [Boolean] options.trash If true, deleteAsset and deleteDirectory move items to the repository's trash, from
+ *  which they can be restored, instead of removing them permanently.
  * @constructor
  */
 function Repository(options) {
   EventEmitter.call(this);
+
+  var self = this;
+  options = options || {};
   this.subscribers = {};
   this.lastEmit = {};
+  this.pendingPromises = {};
+  this.pendingTransfers = {};
+  this.userId = options.userId || '';
+  this.lockTimeout = options.lockTimeout || 0;
+  this.maxVersions = options.maxVersions || 0;
+  this.uploadTimeout = options.uploadTimeout || DEFAULT_UPLOAD_TIMEOUT;
+  this.md5 = !!options.md5;
+  this.renditionGenerators = renditions.createDefaultRegistry();
+  this.renditionCache = {};
+  this.maxCachedRenditions = options.maxCachedRenditions !== undefined ? options.maxCachedRenditions : DEFAULT_MAX_CACHED_RENDITIONS;
+  this.uploads = {};
+  this.uploadTimer = null;
+  this.transferQueue = new TransferQueue({maxConcurrent: options.maxConcurrentTransfers});
+  this.trash = !!options.trash;
+  this.watchers = [];
+
+  ['queued', 'started'].forEach(function (event) {
+    self.transferQueue.on(event, function (transfer, transferOptions) {
+      self.emitCallback(transferOptions, function () {
+        self.emit('transfer' + event, transfer);
+      });
+    });
+  });
 }
 
 util.inherits(Repository, EventEmitter);
@@ -52,6 +163,11 @@ util.inherits(Repository, EventEmitter);
  * METHODS TO IMPLEMENT
  * ---------------------------------------------------------------------------------------------------------------------
  * The methods in this section should be implemented when creating a new repository.
+ *
+ * Instead of invoking its callback, a method may return a Promise that resolves with the callback's result. Methods
+ * whose callback receives more than one result (i.e. _getAssetThumbnail and _getAssetPreview) should resolve with an
+ * object containing a stream and contentType. _getAssetWriteStream may resolve with its writable stream, in which
+ * case the write is considered complete when the stream emits its finish event.
  */
 
 /**
@@ -64,7 +180,7 @@ util.inherits(Repository, EventEmitter);
  * @protected
  */
 Repository.prototype._exists = function (path, options, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
@@ -77,21 +193,25 @@ Repository.prototype._exists = function (path, options, callback) {
  * @protected
  */
 Repository.prototype._getInfo = function (path, options, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Should be implemented by child classes to list all child items of a directory.
+ * Should be implemented by child classes to list all child items of a directory. Implementations may sort and page the
+ * list themselves according to the caller's options (see list), in which case they should indicate that they've done so
+ * by setting the list's "paged" property to true. Otherwise the list will be sorted and paged after it's retrieved.
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Folder info as retrieved with getInfo.
  * @param {Function} callback Should be invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
  * @param {Array} callback.list Array of child items. Each entry in the array will be the info of an item in the repository.
+ *  Lists that have already been sorted and paged should have a "paged" property of true, along with "total" and
+ *  "nextCursor" properties as described in list.
  * @protected
  */
 Repository.prototype._list = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
@@ -104,11 +224,12 @@ Repository.prototype._list = function (path, options, info, callback) {
  * @protected
  */
 Repository.prototype._createDirectory = function (path, options, parentInfo, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Should be implemented by child classes to remove a directory.
+ * Should be implemented by child classes to remove a directory. The repository will have already removed the
+ * directory's children.
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Folder's info as returned by getInfo.
@@ -117,11 +238,12 @@ Repository.prototype._createDirectory = function (path, options, parentInfo, cal
  * @protected
  */
 Repository.prototype._deleteDirectory = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Should be implemented to retrieve an asset's content.
+ * Should be implemented to retrieve an asset's content. If the caller requested a range of bytes, the options will
+ * contain valid start and end positions (both inclusive), and the stream should only provide that range.
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Asset's info as returned by getInfo.
@@ -131,11 +253,12 @@ Repository.prototype._deleteDirectory = function (path, options, info, callback)
  * @protected
  */
 Repository.prototype._getAsset = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Should be implemented by child classes to retrieve an asset's thumbnail.
+ * Should be implemented by child classes to retrieve an asset's thumbnail, if the asset has no stored "thumbnail"
+ * rendition. If not implemented, the repository will create the thumbnail using its rendition generators.
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Asset's info as returned by getInfo.
@@ -146,11 +269,12 @@ Repository.prototype._getAsset = function (path, options, info, callback) {
  * @protected
  */
 Repository.prototype._getAssetThumbnail = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Should be implemented by child classes to retrieve an asset's preview image.
+ * Should be implemented by child classes to retrieve an asset's preview image, if the asset has no stored "preview"
+ * rendition. If not implemented, the repository will create the preview using its rendition generators.
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Asset's info as returned by getInfo.
@@ -161,7 +285,7 @@ Repository.prototype._getAssetThumbnail = function (path, options, info, callbac
  * @protected
  */
 Repository.prototype._getAssetPreview = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
@@ -178,7 +302,7 @@ Repository.prototype._getAssetPreview = function (path, options, info, callback)
  * @protected
  */
 Repository.prototype._getAssetWriteStream = function (path, isCreate, options, info, streamCallback, finishedCallback) {
-  callback('not implemented');
+  streamCallback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
@@ -191,7 +315,7 @@ Repository.prototype._getAssetWriteStream = function (path, isCreate, options, i
  * @protected
  */
 Repository.prototype._deleteAsset = function (path, options, info, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
@@ -199,626 +323,4339 @@ Repository.prototype._deleteAsset = function (path, options, info, callback) {
  * @param {String} path The path of an item.
  * @param {Object} options Options received from the caller.
  * @param {Object} info Asset's info as returned by getInfo.
- * @param {Object} updatedInfo Specified keys will be updated in the asset's info.
+ * @param {Object} updatedInfo Contains only the fields to update, which should be merged with the asset's stored info.
+ *  Fields that aren't included should be left unchanged.
  * @param {Function} callback Should be invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
  * @protected
  */
 Repository.prototype._updateAssetInfo = function (path, options, info, updatedInfo, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
  * Should be implemented by child classes to search for all assets in the repository that match a specified term.
+ * The search should be limited to the directory at options.path, to items no more than options.maxDepth levels beneath
+ * it (if specified), and should include matching directories if options.includeDirectories is true.
+ * If the caller provided a structured query as options.query, implementations may use it to narrow their results; the
+ * query will be applied to the returned assets regardless, so implementations that can't evaluate it may ignore it.
+ * Implementations that evaluate the query may also sort and page the results themselves, and set the list's "paged"
+ * property to true, as described in _list.
  * @param {RegExp} searchTerm The term to match items with in the search.
  * @param {Object} options Options received from the caller.
  * @param {Function} callback Invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Array} callback.assets List of assets, where each entry is an asset's information.
+ * @param {Array} callback.assets List of assets, where each entry is an asset's information. Each entry must include
+ *  the item's full path as "path". Should have a "paged" property of true if the query has been applied and the list
+ *  has already been sorted and paged.
  */
 Repository.prototype._findAssets = function (searchTerm, options, callback) {
-  callback('not implemented');
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
-/*
- * ---------------------------------------------------------------------------------------------------------------------
- * STATIC METHODS
- * ---------------------------------------------------------------------------------------------------------------------
- * A few helper methods that can be consumed freely.
+/**
+ * Should be implemented by child classes to move an asset or directory to a new path. Directories should be moved along
+ * with all of their children. The item's information (i.e. created time and checked out state) should be preserved.
+ * @param {String} path The path of the item to move.
+ * @param {String} targetPath The new path of the item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Item's info as returned by getInfo.
+ * @param {Object} targetParentInfo Info for the target path's parent directory as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
+Repository.prototype._move = function (path, targetPath, options, info, targetParentInfo, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
 
 /**
- * Retrieves the path from an options object.
- * @param {Object} options An object containing options.
- * @returns {String} A path value.
+ * May optionally be implemented by child classes to copy an asset's content to another path without transferring the
+ * content through the repository. By default, the asset's content is streamed from _getAsset to _getAssetWriteStream,
+ * and transferprogress events of type "copy" are sent during the transfer. The default copy is queued and can be aborted
+ * like any other transfer.
+ * @param {String} path The path of the asset to copy.
+ * @param {String} targetPath The path of the copy.
+ * @param {Boolean} isCreate Will be true if the copy should be created, or false if an existing asset should be
+ *  overwritten.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Object} targetInfo If isCreate, info for the target's parent directory as retrieved by getInfo. Otherwise the
+ *  target asset's info as retrieved by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
-Repository.getPathFromOptions = function (options) {
-  return options.path;
+Repository.prototype._copy = function (path, targetPath, isCreate, options, info, targetInfo, callback) {
+  var self = this;
+  var targetOptions = _copyOptions(options);
+  targetOptions.path = targetPath;
+  var callbackSent = false;
+  var totalRead = 0;
+  var rate = 0;
+  var readStream;
+  var writeStream;
+
+  var finishQueued = function () {};
+
+  function _sendCallback(err) {
+    if (!callbackSent) {
+      callbackSent = true;
+      finishQueued(err);
+      callback(err);
+    }
+  }
+
+  var abortedErr = _getAbortedError(targetOptions);
+  if (abortedErr) {
+    _sendCallback(abortedErr);
+    return;
+  }
+
+  // stops reading the source and discards anything already written to the copy. May be invoked again if either stream
+  // is provided after the transfer was aborted.
+  function _abortCopy() {
+    if (readStream) {
+      if (readStream.unpipe) {
+        readStream.unpipe();
+      }
+      _destroyStream(readStream);
+    }
+    if (!writeStream) {
+      _sendCallback(_createCancelledError(targetOptions, 'copy of asset ' + path + ' was aborted'));
+      return;
+    }
+    _invokeHook.call(self, self._abortWrite, [targetPath, isCreate, targetOptions, targetInfo, writeStream], function (err) {
+      if (err) {
+        Repository.getLogger(targetOptions).error('error discarding aborted copy of asset %s', path, err);
+      }
+      _destroyStream(writeStream);
+      _sendCallback(_createCancelledError(targetOptions, 'copy of asset ' + path + ' was aborted'));
+    });
+  }
+
+  function _copyAsset() {
+    var transfer = _startTransfer.call(self, targetOptions, function () {
+      _emitTransferCancelled.call(self, targetOptions, info, {type: TRANSFER_TYPE_COPY, read: totalRead, rate: rate});
+      _abortCopy();
+    });
+
+    _invokeHook.call(self, self._getAsset, [path, options, info], function (err, stream) {
+      if (transfer.aborted) {
+        _destroyStream(stream);
+        return;
+      } else if (err) {
+        transfer.finish();
+        _sendCallback(err);
+        return;
+      }
+      readStream = stream;
+      _invokeWriteStreamHook.call(self, targetPath, isCreate, targetOptions, targetInfo, function (err, stream) {
+        if (err) {
+          transfer.finish();
+          _destroyStream(readStream);
+          _sendCallback(err);
+          return;
+        }
+        writeStream = stream;
+        if (transfer.aborted) {
+          _abortCopy();
+          return;
+        }
+        _emitTransferProgress.call(self, targetOptions, TRANSFER_TYPE_COPY, info, {type: TRANSFER_TYPE_COPY, read: 0, rate: rate}, true, false);
+        writeStream.on('error', _sendCallback);
+        readStream.on('error', _sendCallback);
+        _monitorTransferProgress.call(self, readStream, targetOptions, TRANSFER_TYPE_COPY, info, function (progressRead, progressRate) {
+          totalRead = progressRead;
+          rate = progressRate;
+        });
+
+        readStream.pipe(writeStream);
+      }, function (err) {
+        if (transfer.aborted) {
+          return;
+        }
+        transfer.finish();
+        if (!err) {
+          _emitTransferProgress.call(self, targetOptions, TRANSFER_TYPE_COPY, info, {type: TRANSFER_TYPE_COPY, read: totalRead, rate: rate}, true, true);
+        }
+        _sendCallback(err);
+      });
+    });
+  }
+
+  _queueTransfer.call(this, targetOptions, TRANSFER_TYPE_COPY, function (done) {
+    finishQueued = done;
+    _copyAsset();
+  }, _sendCallback);
 };
 
 /**
- * Retrieves the subscriber id from an options object.
- * @param {Object} options An object containing options.
- * @returns {String} A subscriber id value.
+ * Should be implemented by child classes to replace the custom metadata of an asset or directory. Implementations should
+ * provide an item's metadata as the "metadata" value of its info.
+ * @param {String} path The path of an item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Item's info as returned by getInfo.
+ * @param {Object} metadata The item's complete new metadata.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
-Repository.getSubscriberIdFromOptions = function (options) {
-  return options.subscriberId;
+Repository.prototype._setMetadata = function (path, options, info, metadata, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Retrieves the search term from an options object.
- * @param {Object} options An object containing options.
- * @returns {RegExp} A search term.
+ * May optionally be implemented by child classes to store the hashes of an asset's content, which the repository
+ * computes as the content is written. Implementations should provide the hashes as the "hash" (SHA-256) and "md5"
+ * values of the asset's info, along with an "etag" derived from the hash. Implementations that copy or restore content
+ * themselves should keep the content's hashes with it. By default hashes aren't stored.
+ * @param {String} path The path of an item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} hashes Contains the content's "sha256" hash and, if the repository's md5 option is set, its "md5"
+ *  hash. Each is a hex string.
+ * @param {Function} callback Should be invoked when the hashes have been stored.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
-Repository.getSearchTermFromOptions = function (options) {
-  return options.searchTerm;
+Repository.prototype._setContentHash = function (path, options, hashes, callback) {
+  callback();
 };
 
 /**
- * Retrieves the context id from an options object.
- * @param {Object} options An object containing options.
- * @returns {String} A context id value.
+ * May optionally be implemented by child classes to list the previous versions of an asset. A new version should be
+ * kept each time an asset's content is replaced, honoring the repository's maxVersions option.
+ * @param {String} path The path of an item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.versions The asset's previous versions, newest first. Each entry should contain the
+ *  version's id, size, modified time, and author.
+ * @protected
  */
-Repository.getContextIdFromOptions = function (options) {
-  return options.contextId;
+Repository.prototype._listVersions = function (path, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Retrieves a logger for the given options supplied to a method.
- * @param {Object} options An object containing options.
- * @returns {String} A log label.
+ * May optionally be implemented by child classes to retrieve the content of one of an asset's previous versions.
+ * @param {String} path The path of an item.
+ * @param {String} versionId ID of the version as provided by _listVersions.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to the version's content.
+ * @protected
  */
-Repository.getLogger = function (options) {
-  var subscriber = Repository.getSubscriberIdFromOptions(options) || 'no subscriber';
-  var contextId = Repository.getContextIdFromOptions(options) || uuid();
-  var logLabel = '[' + subscriber + '][' + contextId + ']';
-  return Logger.getLogger(logLabel);
+Repository.prototype._getAssetVersion = function (path, versionId, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
-/*
- * ---------------------------------------------------------------------------------------------------------------------
- * PUBLIC METHODS
- * ---------------------------------------------------------------------------------------------------------------------
- * Public methods for the repository. Shouldn't need to be overridden except in uncommon cases.
+/**
+ * May optionally be implemented by child classes to make one of an asset's previous versions its current content. The
+ * asset's current content should be kept as a new version.
+ * @param {String} path The path of an item.
+ * @param {String} versionId ID of the version as provided by _listVersions.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
+Repository.prototype._restoreVersion = function (path, versionId, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
 
 /**
- * Indicates that a consumer is subscribed to this repository. The repository's API methods will invoke their
- * callbacks.
- * @param {String} subscriberId Identifier for the subscriber.
+ * May optionally be implemented by child classes to remove one of an asset's previous versions.
+ * @param {String} path The path of an item.
+ * @param {String} versionId ID of the version as provided by _listVersions.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
-Repository.prototype.subscribe = function (subscriberId) {
-  this.subscribers[subscriberId] = true;
+Repository.prototype._deleteVersion = function (path, versionId, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Indicates that a consumer is no longer subscribed to this repository. The repository's API methods will no longer
- * invoke callbacks.
- * @param {String} subscriberId Identifier for the subscriber.
+ * May optionally be implemented by child classes to discard the content written to an asset when its transfer is
+ * aborted, so that no partial asset is left behind. The repository will destroy the write stream after invoking this
+ * method. Implementations that only commit an asset's content when the write stream finishes don't need to do
+ * anything.
+ * @param {String} path The path of the asset.
+ * @param {Boolean} isCreate True if the asset was being created.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info If isCreate, info for the parent directory as retrieved by getInfo. Otherwise the asset's info.
+ * @param {Stream} writeStream The writable stream provided by _getAssetWriteStream.
+ * @param {Function} callback Should be invoked when the content has been discarded.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
  */
-Repository.prototype.unsubscribe = function (subscriberId) {
-  if (this.isSubscribed(subscriberId)) {
-    delete this.subscribers[subscriberId];
-  }
+Repository.prototype._abortWrite = function (path, isCreate, options, info, writeStream, callback) {
+  callback();
 };
 
 /**
- * Returns a value indicating whether or not a given subscriber is currently subscribed.
- * @param {String} subscriberId Identifier for the subscriber.
- * @returns {Boolean} True if subscribed, otherwise false.
+ * May optionally be implemented by child classes that can perform a batch of operations natively (i.e. in a single
+ * request). If not implemented, the repository will perform each operation through its own methods. Operations that
+ * are performed natively don't send the repository's change events.
+ * @param {Array} operations The batch's operation descriptors, as provided to batch. Each has been validated.
+ * @param {Object} options Options received from the caller, including concurrency and stopOnError.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if the batch as a whole failed.
+ * @param {Array} callback.results One entry for each operation, in the order provided. Each entry should contain the
+ *  operation's "error" if it failed, its "result" if it succeeded, or "skipped" if it wasn't performed.
+ * @protected
  */
-Repository.prototype.isSubscribed = function (subscriberId) {
-  return this.subscribers[subscriberId] ? true : false;
+Repository.prototype._batch = function (operations, options, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Takes into account the current subscriber (if provided) and invokes the provided callback if still subscribed.
- * @param {Object} options Uses the subscriber value to check for subscription.
- * @param {Function} callback Invoked if no subscriber provided, or if the specified subcriber is still subscribed.
+ * May optionally be implemented by child classes that support transactions. Changes made through the transaction's
+ * repository should be staged, so that other callers don't see them until the transaction is committed, and either all
+ * of them or none of them should be applied.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.transaction Contains the "repository" through which the transaction's operations will be
+ *  performed, a "commit" function that applies the staged changes, and a "rollback" function that discards them. Both
+ *  functions receive a callback to invoke (with an error, if there was one) when they finish, or may return a Promise.
+ *  If commit fails, none of the staged changes should be applied.
+ * @protected
  */
-Repository.prototype.emitCallback = function (options, callback) {
-  var subscriberId = Repository.getSubscriberIdFromOptions(options);
-  var log = Repository.getLogger(options);
-
-  if ((!subscriberId) || this.isSubscribed(subscriberId)) {
-    log.debug('subscriber is valid, emitting callback');
-    callback();
-  } else {
-    log.debug('subscriber is invalid, ignoring callback');
-  }
+Repository.prototype._beginTransaction = function (options, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Determines if a given path (directory or asset) exists in the repository.
- *
- * No expected errors.
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
+ * May optionally be implemented by child classes that support a trash. Should move an item (and, for a directory,
+ * everything beneath it) out of the repository into a hidden trash area, from which it can be restored or purged.
+ * @param {String} path The path of the item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info The item's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Boolean} callback.exists True if the path exists, false otherwise.
+ * @param {Object} callback.entry The item's trash entry, as provided by _listTrash.
+ * @protected
  */
-Repository.prototype.exists = function (pathOrOptions, callback) {
-  var self = this;
-
-  var options = _convertPathOptionsToObject(pathOrOptions);
-  var log = Repository.getLogger(options);
-  var path = Repository.getPathFromOptions(options);
-
-  log.debug('checking if path exists %s', path);
-
-  this._exists(Repository.getPathFromOptions(options), options, function (err, exists) {
-    if (err) {
-      log.error('encountered error checking if path exists', path, err);
-    }
-    self.emitCallback(options, function () {
-      callback(err, exists);
-    });
-  });
+Repository.prototype._moveToTrash = function (path, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Retrieves the information for a path (directory or asset) in the repository.
- *
- * Expected errors:
- * Path does not exist
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
+ * May optionally be implemented by child classes that support a trash. Should list the entries in the trash.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Should be invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Object} callback.info Information for an item in the repository.
+ * @param {Array} callback.entries Each entry should contain the "id" of the entry, the original "path", "name", and
+ *  "type" of the item, the time at which it was "deleted", and the ID of the user who deleted it as "deletedBy".
+ * @protected
  */
-Repository.prototype.getInfo = function (pathOrOptions, callback) {
-  var self = this;
-
-  var options = _convertPathOptionsToObject(pathOrOptions);
-  var log = Repository.getLogger(options);
-  var path = Repository.getPathFromOptions(options);
-
-  log.debug('getting info for path %s', path);
-
-  function _sendCallback(err, info) {
-    log.debug('finished retrieving info for path %s', path);
-    self.emitCallback(options, function () {
-      callback(err, info);
-    });
-  }
-
-  this.exists(options, function (err, exists) {
-    if (err || !exists) {
-      if (err) {
-        log.error('error while retrieving info for path %s', path, err);
-      }
-      _sendCallback(!exists ? 'path does not exist ' + path : err);
-      return;
-    }
-    self._getInfo(path, options, _sendCallback);
-  });
+Repository.prototype._listTrash = function (options, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
 };
 
 /**
- * Lists all children items (directories and assets) of a directory in the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not a directory
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
+ * May optionally be implemented by child classes that support a trash. Should move an item from the trash back into
+ * the repository, and remove its entry from the trash. The target's parent is an existing directory, and nothing
+ * exists at the target.
+ * @param {String} id ID of the trash entry.
+ * @param {String} targetPath The path to which the item should be restored.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} entry The trash entry, as provided by _listTrash.
+ * @param {Function} callback Should be invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Array} callback.list Array of child items. Each entry in the array will be the info of an item in the repository.
+ * @protected
  */
-Repository.prototype.list = function (pathOrOptions, callback) {
-  var self = this;
+Repository.prototype._restoreFromTrash = function (id, targetPath, options, entry, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
 
-  var options = _convertPathOptionsToObject(pathOrOptions);
+/**
+ * May optionally be implemented by child classes that support a trash. Should permanently remove an entry from the
+ * trash.
+ * @param {String} id ID of the trash entry.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} entry The trash entry, as provided by _listTrash.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._purgeTrash = function (id, options, entry, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
+
+/**
+ * May optionally be implemented by child classes to store one of an asset's named renditions, replacing any existing
+ * rendition with the same name. Renditions should be kept with the asset: removed when the asset is deleted, and moved
+ * when it's moved.
+ * @param {String} path The path of an item.
+ * @param {String} name Name of the rendition.
+ * @param {String} contentType Mime type of the rendition's content.
+ * @param {Stream} readStream Stream to read the rendition's content from.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked when the rendition has been stored.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._putRendition = function (path, name, contentType, readStream, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
+
+/**
+ * May optionally be implemented by child classes to retrieve one of an asset's stored renditions. Should provide a
+ * not found error if the asset has no rendition with the name.
+ * @param {String} path The path of an item.
+ * @param {String} name Name of the rendition.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to the rendition's content.
+ * @param {String} callback.contentType Mime type of the rendition.
+ * @protected
+ */
+Repository.prototype._getRendition = function (path, name, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
+
+/**
+ * May optionally be implemented by child classes to list an asset's stored renditions.
+ * @param {String} path The path of an item.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.renditions The asset's renditions. Each entry should contain the rendition's name,
+ *  contentType, size, and modified time.
+ * @protected
+ */
+Repository.prototype._listRenditions = function (path, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
+
+/**
+ * May optionally be implemented by child classes to remove one of an asset's stored renditions.
+ * @param {String} path The path of an item.
+ * @param {String} name Name of the rendition.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Asset's info as returned by getInfo.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._deleteRendition = function (path, name, options, info, callback) {
+  callback(_createError(errors.NotImplementedError, options, 'not implemented'));
+};
+
+/**
+ * May optionally be implemented by child classes that support resumable uploads natively, to prepare for an upload
+ * session. By default the repository keeps each uploaded part itself, then writes the parts to the asset through
+ * _getAssetWriteStream when the upload is completed. Since the default keeps the content of every part in memory until
+ * the upload is completed or discarded, implementations that may receive large uploads should provide the upload hooks.
+ * @param {String} path The path of the asset being uploaded.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} upload The upload session. Child classes may keep their own state for the upload in the session.
+ * @param {Function} callback Should be invoked when the session is ready.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._initiateUpload = function (path, options, upload, callback) {
+  callback();
+};
+
+/**
+ * May optionally be implemented by child classes to store one part of an upload. A part with the same index as a
+ * previously stored part should replace it. By default the part's content is kept in memory with the upload session.
+ * @param {String} path The path of the asset being uploaded.
+ * @param {Number} index Position of the part within the upload, starting at 0.
+ * @param {Stream} readStream Stream to the part's content.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} upload The upload session.
+ * @param {Function} callback Should be invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Number} callback.size The number of bytes in the part.
+ * @protected
+ */
+Repository.prototype._uploadPart = function (path, index, readStream, options, upload, callback) {
+  var chunks = [];
+  var size = 0;
+  var called = false;
+
+  function _sendCallback(err) {
+    if (!called) {
+      called = true;
+      callback(err, size);
+    }
+  }
+
+  readStream.on('data', function (chunk) {
+    chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    chunks.push(chunk);
+    size += chunk.length;
+  });
+  readStream.on('error', _sendCallback);
+  readStream.on('end', function () {
+    upload.data = upload.data || {};
+    upload.data[index] = chunks;
+    _sendCallback();
+  });
+};
+
+/**
+ * May optionally be implemented by child classes to write an upload's parts, in order, as the asset's content.
+ * @param {String} path The path of the asset being uploaded.
+ * @param {Boolean} isCreate Will be true if the asset should be created.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} upload The upload session. Its "parts" value contains the size of each part, keyed by index.
+ * @param {Object} info If isCreate, info for the parent directory as retrieved by getInfo. Otherwise the asset's info
+ *  as retrieved by getInfo.
+ * @param {Function} callback Should be invoked when the asset's content has been written.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._completeUpload = function (path, isCreate, options, upload, info, callback) {
+  var self = this;
+  var data = upload.data || {};
+  var hasher = _createHasher.call(this);
+  var called = false;
+
+  function _sendCallback(err) {
+    if (!called) {
+      called = true;
+      callback(err);
+    }
+  }
+
+  var chunks = [];
+  _getUploadIndexes(upload).forEach(function (index) {
+    chunks = chunks.concat(data[index]);
+  });
+
+  _invokeWriteStreamHook.call(this, path, isCreate, options, info, function (err, writeStream) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+    var readStream = new PassThrough();
+    var position = 0;
+
+    function _writeChunks() {
+      while (!called && position < chunks.length) {
+        var chunk = chunks[position++];
+        hasher.update(chunk);
+        if (!readStream.write(chunk)) {
+          readStream.once('drain', _writeChunks);
+          return;
+        }
+      }
+      readStream.end();
+    }
+
+    writeStream.on('error', _sendCallback);
+    readStream.on('error', _sendCallback);
+    readStream.pipe(writeStream);
+    _writeChunks();
+  }, function (err) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+    _invokeHook.call(self, self._setContentHash, [path, options, hasher.digest()], _sendCallback);
+  });
+};
+
+/**
+ * May optionally be implemented by child classes to discard the parts of an upload that won't be completed.
+ * @param {String} path The path of the asset being uploaded.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} upload The upload session.
+ * @param {Function} callback Should be invoked when the parts have been discarded.
+ * @param {String} callback.err Truthy if there was an error.
+ * @protected
+ */
+Repository.prototype._abortUpload = function (path, options, upload, callback) {
+  upload.data = {};
+  callback();
+};
+
+/*
+ * ---------------------------------------------------------------------------------------------------------------------
+ * STATIC METHODS
+ * ---------------------------------------------------------------------------------------------------------------------
+ * A few helper methods that can be consumed freely.
+ */
+
+/**
+ * Retrieves the path from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} A path value.
+ */
+Repository.getPathFromOptions = function (options) {
+  return options.path;
+};
+
+/**
+ * Retrieves the subscriber id from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} A subscriber id value.
+ */
+Repository.getSubscriberIdFromOptions = function (options) {
+  return options.subscriberId;
+};
+
+/**
+ * Retrieves the search term from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {RegExp} A search term.
+ */
+Repository.getSearchTermFromOptions = function (options) {
+  return options.searchTerm;
+};
+
+/**
+ * Retrieves the structured query from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {Object} A query, or undefined if there is none.
+ */
+Repository.getQueryFromOptions = function (options) {
+  return options.query;
+};
+
+/**
+ * Retrieves the user id from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} A user id value.
+ */
+Repository.getUserIdFromOptions = function (options) {
+  return options.userId;
+};
+
+/**
+ * Retrieves the conflict behavior from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} A conflict value. Defaults to constants.CONFLICT_FAIL.
+ */
+Repository.getConflictFromOptions = function (options) {
+  return options.conflict || constants.CONFLICT_FAIL;
+};
+
+/**
+ * Retrieves the upload id from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} An upload id value.
+ */
+Repository.getUploadIdFromOptions = function (options) {
+  return options.uploadId;
+};
+
+/**
+ * Retrieves the context id from an options object.
+ * @param {Object} options An object containing options.
+ * @returns {String} A context id value.
+ */
+Repository.getContextIdFromOptions = function (options) {
+  return options.contextId;
+};
+
+/**
+ * Retrieves a value indicating whether an error is the result of a Promise being cancelled because its subscriber
+ * unsubscribed before the result was ready.
+ * @param {*} err The error to check.
+ * @returns {Boolean} True if the error indicates cancellation, false otherwise.
+ */
+Repository.isCancelled = function (err) {
+  return err && err.cancelled ? true : false;
+};
+
+/**
+ * Retrieves a logger for the given options supplied to a method.
+ * @param {Object} options An object containing options.
+ * @returns {String} A log label.
+ */
+Repository.getLogger = function (options) {
+  var subscriber = Repository.getSubscriberIdFromOptions(options) || 'no subscriber';
+  var contextId = Repository.getContextIdFromOptions(options) || uuid();
+  var logLabel = '[' + subscriber + '][' + contextId + ']';
+  return Logger.getLogger(logLabel);
+};
+
+/*
+ * ---------------------------------------------------------------------------------------------------------------------
+ * PUBLIC METHODS
+ * ---------------------------------------------------------------------------------------------------------------------
+ * Public methods for the repository. Shouldn't need to be overridden except in uncommon cases.
+ */
+
+/**
+ * Indicates that a consumer is subscribed to this repository. The repository's API methods will invoke their
+ * callbacks.
+ * @param {String} subscriberId Identifier for the subscriber.
+ */
+Repository.prototype.subscribe = function (subscriberId) {
+  this.subscribers[subscriberId] = true;
+};
+
+/**
+ * Indicates that a consumer is no longer subscribed to this repository. The repository's API methods will no longer
+ * invoke callbacks, any of the subscriber's pending Promises will be rejected as cancelled, and any of its watches will
+ * be closed.
+ * @param {String} subscriberId Identifier for the subscriber.
+ * @param [Boolean] abortTransfers If true, the subscriber's in-flight transfers (see the signal option) will also be
+ *  aborted. By default they continue to run.
+ */
+Repository.prototype.unsubscribe = function (subscriberId, abortTransfers) {
+  if (abortTransfers) {
+    _abortTransfers.call(this, subscriberId);
+  }
+  if (this.isSubscribed(subscriberId)) {
+    delete this.subscribers[subscriberId];
+  }
+  this.watchers.filter(function (watcher) {
+    return Repository.getSubscriberIdFromOptions(watcher.options) === subscriberId;
+  }).forEach(function (watcher) {
+    watcher.close();
+  });
+  _cancelPromises.call(this, subscriberId);
+};
+
+/**
+ * Returns a value indicating whether or not a given subscriber is currently subscribed.
+ * @param {String} subscriberId Identifier for the subscriber.
+ * @returns {Boolean} True if subscribed, otherwise false.
+ */
+Repository.prototype.isSubscribed = function (subscriberId) {
+  return this.subscribers[subscriberId] ? true : false;
+};
+
+/**
+ * Retrieves the ID of the user performing an operation, which is the operation's userId option if specified or the
+ * repository's userId option otherwise.
+ * @param {Object} options Options for the operation.
+ * @returns {String} A user id value.
+ */
+Repository.prototype.getUserId = function (options) {
+  return Repository.getUserIdFromOptions(options) || this.userId;
+};
+
+/**
+ * Takes into account the current subscriber (if provided) and invokes the provided callback if still subscribed.
+ * @param {Object} options Uses the subscriber value to check for subscription.
+ * @param {Function} callback Invoked if no subscriber provided, or if the specified subcriber is still subscribed.
+ */
+Repository.prototype.emitCallback = function (options, callback) {
+  var subscriberId = Repository.getSubscriberIdFromOptions(options);
+  var log = Repository.getLogger(options);
+
+  if ((!subscriberId) || this.isSubscribed(subscriberId)) {
+    log.debug('subscriber is valid, emitting callback');
+    callback();
+  } else {
+    log.debug('subscriber is invalid, ignoring callback');
+    _cancelPromises.call(this, subscriberId);
+  }
+};
+
+/**
+ * Watches a path in the repository for changes. The returned handle emits the repository's change events (see the
+ * repository's events) for the path itself and its direct children, or for anything beneath the path if the recursive
+ * option is specified. If the subscriberId option is specified, events will only be emitted while the subscriber is
+ * subscribed, and the watch will be closed when the subscriber unsubscribes.
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ *  Additionally supports the following options:
+ * @param [Boolean] pathOrOptions.recursive If true, changes to any item beneath the path will be emitted.
+ * @param [Function] listener If specified, will be invoked with each change event.
+ * @returns {Watcher} A handle for the watch. Use its close() method to stop watching.
+ */
+Repository.prototype.watch = function (pathOrOptions, listener) {
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  Repository.getLogger(options).debug('watching path %s', Repository.getPathFromOptions(options));
+  return new Watcher(this, options, listener);
+};
+
+/**
+ * Stops starting queued transfers. Transfers that have already started will continue, and new transfers will be queued
+ * until resumeTransfers is called.
+ */
+Repository.prototype.pauseTransfers = function () {
+  this.transferQueue.pause();
+};
+
+/**
+ * Resumes starting queued transfers after pauseTransfers was called.
+ */
+Repository.prototype.resumeTransfers = function () {
+  this.transferQueue.resume();
+};
+
+/**
+ * Changes the maximum number of getAsset, createAsset, and updateAsset transfers that the repository runs at once.
+ * @param {Number} maxConcurrentTransfers The maximum number of transfers, or 0 to remove the limit.
+ */
+Repository.prototype.setMaxConcurrentTransfers = function (maxConcurrentTransfers) {
+  this.transferQueue.setMaxConcurrent(maxConcurrentTransfers);
+};
+
+/**
+ * Retrieves the state of the repository's transfer queue.
+ * @returns {Object} Contains whether the queue is "paused", its "maxConcurrent" value, the number of "pending" and
+ *  "active" transfers, the number of transfers that have "completed" or "failed", and "transfers", which describes
+ *  each active and pending transfer with its id, path, type, priority, state, and the times at which it was queued and
+ *  started.
+ */
+Repository.prototype.getTransferQueueState = function () {
+  return this.transferQueue.getState();
+};
+
+/**
+ * Registers a function that creates a type of rendition for assets of a given content type, for use when the
+ * repository implementation doesn't provide the rendition itself. Replaces any generator already registered for the
+ * same rendition and content type. See RenditionRegistry for details about generators.
+ * @param {String} renditionType Type of rendition, i.e. constants.RENDITION_THUMBNAIL or constants.RENDITION_PREVIEW.
+ * @param {String} contentType Exact content type (i.e. "image/png"), family of types (i.e. "image/*"), or all types
+ *  ("*\/*").
+ * @param {Function} generator Creates the rendition from an asset's content.
+ */
+Repository.prototype.registerRenditionGenerator = function (renditionType, contentType, generator) {
+  this.renditionGenerators.register(renditionType, contentType, generator);
+  _removeCachedRenditions.call(this, renditionType);
+};
+
+/**
+ * Removes the generator registered for a rendition and content type.
+ * @param {String} renditionType Type of rendition.
+ * @param {String} contentType The content type, as provided to registerRenditionGenerator.
+ */
+Repository.prototype.unregisterRenditionGenerator = function (renditionType, contentType) {
+  this.renditionGenerators.unregister(renditionType, contentType);
+  _removeCachedRenditions.call(this, renditionType);
+};
+
+/**
+ * Determines if a given path (directory or asset) exists in the repository.
+ *
+ * No expected errors.
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Boolean} callback.exists True if the path exists, false otherwise.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the exists value.
+ */
+Repository.prototype.exists = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('checking if path exists %s', path);
+
+  _invokeHook.call(this, this._exists, [path, options], function (err, exists) {
+    if (err) {
+      log.error('encountered error checking if path exists', path, err);
+    }
+    self.emitCallback(options, function () {
+      callback(err, exists);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Retrieves the information for a path (directory or asset) in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for an item in the repository.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's info.
+ */
+Repository.prototype.getInfo = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('getting info for path %s', path);
+
+  function _sendCallback(err, info) {
+    log.debug('finished retrieving info for path %s', path);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  this.exists(options, function (err, exists) {
+    if (err || !exists) {
+      if (err) {
+        log.error('error while retrieving info for path %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotFoundError, options, 'path does not exist ' + path));
+      return;
+    }
+    _invokeHook.call(self, self._getInfo, [path, options], _sendCallback);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Lists all children items (directories and assets) of a directory in the repository. If any of the sorting or paging
+ * options are provided, the items will be sorted (by name if sortBy isn't provided) and only the requested page will be
+ * returned. The returned list will then have a "total" property containing the total number of children, and a
+ * "nextCursor" property that can be provided as the cursor option to retrieve the following page. nextCursor is
+ * undefined if there are no more items.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not a directory
+ * Sorting or paging options are invalid
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.list Array of child items. Each entry in the array will be the info of an item in the repository.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the list of child items.
+ */
+Repository.prototype.list = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('listing path %s', path);
+
+  function _sendCallback(err, list) {
+    log.debug('finished listing path %s', path);
+    self.emitCallback(options, function () {
+      callback(err, list);
+    });
+  }
+
+  var pagingErr = paging.validate(options);
+  if (pagingErr) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, pagingErr));
+    return deferred.promise;
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.DIR_TYPE) {
+      if (err) {
+        log.error('error while listing path %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotDirectoryError, options, 'path to list is not a directory ' + path));
+      return;
+    }
+    _invokeHook.call(self, self._list, [path, options, info], function (err, list) {
+      if (!err && !list.paged && paging.isRequested(options)) {
+        list = paging.apply(list, options);
+      }
+      _sendCallback(err, list);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Creates a new directory in the repository.
+ *
+ * Expected errors:
+ * Path already exists
+ * Parent does not exist
+ * Parent is not a directory
+ * Path is root
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the new item.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the new directory's info.
+ */
+Repository.prototype.createDirectory = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('creating directory %s', path);
+
+  function _sendCallback(err, info) {
+    log.debug('finished creating directory %s', path);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  if (utils.isRoot(path)) {
+    log.error('attempt to create root directory %s', path);
+    _sendCallback(_createError(errors.RootError, options, 'cannot create root directory'));
+    return deferred.promise;
+  }
+
+  var metadataErr = _getMetadataError(options, options.metadata);
+  if (metadataErr) {
+    _sendCallback(metadataErr);
+    return deferred.promise;
+  }
+
+  this.exists(options, function (err, exists) {
+    if (err || exists) {
+      if (err) {
+        log.error('error creating directory when trying to determine if path exists', path, err);
+      }
+      _sendCallback(exists ? _createError(errors.AlreadyExistsError, options, 'directory to create already exists ' + path) : err);
+      return;
+    }
+    var parentOptions = _copyOptions(options);
+    parentOptions.path = utils.getParentPath(path);
+    self.getInfo(parentOptions, function (err, info) {
+      if (err || info.type !== constants.DIR_TYPE) {
+        if (err) {
+          log.error('error creating directory when retrieving parent info %s', path, err);
+        }
+        _sendCallback(err ? err : _createError(errors.NotDirectoryError, options, 'cannot create directory ' + path + ' beneath entity type ' + info.type));
+        return;
+      }
+      _invokeHook.call(self, self._createDirectory, [path, options, info], function (err) {
+        if (err) {
+          log.error('error creating directory %s', path, err);
+          _sendCallback(err);
+          return;
+        }
+        _assignMetadata.call(self, options, options.metadata, _getChangeCallback.call(self, options, CHANGE_CREATED, undefined, _sendCallback));
+      });
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Removes a directory from the repository. If the repository's trash option is enabled (and the permanent option isn't
+ * provided), the directory and everything beneath it are moved to the trash as a single entry instead.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not a directory
+ * Path is root
+ * Directory is not empty (unless the recursive option is specified)
+ * One or more entries could not be removed
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ *  Additionally supports the following options:
+ * @param [Boolean] pathOrOptions.recursive If true, the directory's children will be removed (depth-first) before the
+ *  directory itself. Otherwise the directory will only be removed if it's empty.
+ * @param [Boolean] pathOrOptions.dryRun If true, nothing will be removed; the result will contain the entries that would
+ *  have been removed.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.result Results of the operation.
+ * @param {Array} callback.result.removed Entries that were (or, for a dry run, would be) removed, in the order of
+ *  their removal. Each entry contains the path and info of an item.
+ * @param {Array} callback.result.failed Entries that could not be removed. Each entry contains the path, info, and
+ *  error of an item. If any entries failed, the error also contains the "removed" and "failed" entries.
+ * @param [Object] callback.result.trashEntry If the directory was moved to the trash, its trash entry. See listTrash for
+ *  details.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the results of the operation.
+ */
+Repository.prototype.deleteDirectory = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('deleting directory %s', path);
+
+  function _sendCallback(err, result) {
+    log.debug('finished deleting directory %s', path);
+    self.emitCallback(options, function () {
+      callback(err, result);
+    });
+  }
+
+  if (utils.isRoot(path)) {
+    log.error('attempt to delete root directory %s', path);
+    _sendCallback(_createError(errors.RootError, options, 'cannot delete root directory'));
+    return deferred.promise;
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.DIR_TYPE) {
+      if (err) {
+        log.error('error deleting directory while retrieving info for directory', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotDirectoryError, options, 'path to delete is not a directory ' + path));
+      return;
+    }
+
+    function _sendEntries(err, entries) {
+      if (err) {
+        log.error('error deleting directory while retrieving its entries %s', path, err);
+        _sendCallback(err);
+        return;
+      }
+
+      entries.push({path: path, info: info});
+      if (options.dryRun) {
+        _sendCallback(undefined, {removed: entries, failed: []});
+        return;
+      } else if (_isTrashed.call(self, options)) {
+        _trashEntries.call(self, options, info, entries, _sendCallback);
+        return;
+      }
+      _removeEntries.call(self, options, entries, _sendCallback);
+    }
+
+    if (options.recursive) {
+      _getDescendants.call(self, options, _sendEntries);
+    } else {
+      self.list(paging.withoutPaging(options), function (err, children) {
+        _sendEntries(err || (children.length ? _createError(errors.NotEmptyError, options, 'directory not empty ' + path) : undefined), []);
+      });
+    }
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Retrieves an asset's content from the repository. Provide the start and/or end options to retrieve a range of the
+ * asset's bytes; end is inclusive and will be limited to the asset's last byte. Provide the verify option to have the
+ * stream emit an error, instead of ending, if the content doesn't match the asset's stored hash.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Invalid range
+ * Asset has no hash to verify, or a range was requested with verify
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to an asset's content.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the readable stream.
+ */
+Repository.prototype.getAsset = function (pathOrOptions, callback) {
+  return _getExistingAssetStream.call(this, pathOrOptions, true, this._getAsset, callback, true);
+};
+
+/**
+ * Retrieves an asset's thumbnail from the repository, which is its rendition named constants.RENDITION_THUMBNAIL. See
+ * getRendition for details.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * No thumbnail is available for the asset
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to an asset's thumbnail content.
+ * @param {String} callback.contentType Mime type of the thumbnail image.
+ * @returns {Promise|undefined} If no callback is provided, resolves with an object containing stream and contentType.
+ */
+Repository.prototype.getAssetThumbnail = function (pathOrOptions, callback) {
+  return this.getRendition(pathOrOptions, constants.RENDITION_THUMBNAIL, callback);
+};
+
+/**
+ * Retrieves an asset's preview image from the repository, which is its rendition named constants.RENDITION_PREVIEW. See
+ * getRendition for details.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * No preview is available for the asset
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to an asset's preview content.
+ * @param {String} callback.contentType Mime type of the preview image.
+ * @returns {Promise|undefined} If no callback is provided, resolves with an object containing stream and contentType.
+ */
+Repository.prototype.getAssetPreview = function (pathOrOptions, callback) {
+  return this.getRendition(pathOrOptions, constants.RENDITION_PREVIEW, callback);
+};
+
+/**
+ * Stores one of an asset's named renditions (i.e. a web-optimized or print version), replacing any existing rendition
+ * with the same name. Renditions are kept with their asset, and are removed or moved along with it. Use the names
+ * constants.RENDITION_THUMBNAIL and constants.RENDITION_PREVIEW to provide the asset's thumbnail and preview.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Invalid rendition name
+ * Repository does not support renditions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for
+ *  details. Provide the contentType option to specify the rendition's mime type; defaults to the asset's content type.
+ * @param {String} name Name of the rendition.
+ * @param {Stream} readStream Stream read as the rendition's content.
+ * @param [Function] callback Invoked when the rendition has been stored.
+ * @param {String} callback.err Truthy if there was an error.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the rendition has been stored.
+ */
+Repository.prototype.putRendition = function (pathOrOptions, name, readStream, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'putting rendition ' + name + ' of', true, null, function (path, options, info, hookCallback) {
+    var nameErr = _getRenditionNameError(options, name);
+    if (nameErr) {
+      hookCallback(nameErr);
+      return;
+    }
+    return this._putRendition(path, name, options.contentType || info.contentType, readStream, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Retrieves one of an asset's renditions. If the asset has no stored rendition with the name, the repository
+ * implementation's own thumbnail or preview is used for the well-known names constants.RENDITION_THUMBNAIL and
+ * constants.RENDITION_PREVIEW. Otherwise the rendition will be created by the rendition generator registered for the
+ * name and the asset's content type.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Invalid rendition name
+ * Rendition does not exist, or repository does not support renditions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} name Name of the rendition.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to the rendition's content.
+ * @param {String} callback.contentType Mime type of the rendition.
+ * @returns {Promise|undefined} If no callback is provided, resolves with an object containing stream and contentType.
+ */
+Repository.prototype.getRendition = function (pathOrOptions, name, callback) {
+  return _getExistingAssetStream.call(this, pathOrOptions, false, function (path, options, info, hookCallback) {
+    var nameErr = _getRenditionNameError(options, name);
+    if (nameErr) {
+      hookCallback(nameErr);
+      return;
+    }
+    _findRendition.call(this, name, path, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Lists an asset's stored renditions. Renditions that would be created by the repository's rendition generators are
+ * not included.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Repository does not support renditions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.renditions The asset's renditions. Each entry contains the rendition's name, contentType,
+ *  size, and modified time.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's renditions.
+ */
+Repository.prototype.listRenditions = function (pathOrOptions, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'listing renditions of', false, null, function (path, options, info, hookCallback) {
+    return this._listRenditions(path, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Removes one of an asset's stored renditions.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Invalid rendition name
+ * Rendition does not exist
+ * Repository does not support renditions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} name Name of the rendition.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the rendition has been removed.
+ */
+Repository.prototype.deleteRendition = function (pathOrOptions, name, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'deleting rendition ' + name + ' of', true, null, function (path, options, info, hookCallback) {
+    var nameErr = _getRenditionNameError(options, name);
+    if (nameErr) {
+      hookCallback(nameErr);
+      return;
+    }
+    return this._deleteRendition(path, name, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Creates a new asset in the repository.
+ *
+ * Expected errors:
+ * Path already exists
+ * Parent path does not exist
+ * Parent is not a directory
+ * Precondition failed
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {Stream} readStream Stream read as the asset's content.
+ * @param [Function] callback Invoked when the asset is fully created.
+ * @param [String] callback.err Truthy if there was an error during the operation.
+ * @param [Object] callback.info Information for an asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the new asset's info.
+ */
+Repository.prototype.createAsset = function (pathOrOptions, readStream, callback) {
+  return _getWriteStream.call(this, pathOrOptions, true, readStream, callback);
+};
+
+/**
+ * Updates an existing asset's content in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Precondition failed
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {Stream} readStream Stream to read as the asset's content.
+ * @param [Function] callback Invoked when the asset is fully updated.
+ * @param [String] callback.err Truthy if there was an error during the operation.
+ * @param [Object] callback.info Information for an asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.updateAsset = function (pathOrOptions, readStream, callback) {
+  return _getWriteStream.call(this, pathOrOptions, false, readStream, callback);
+};
+
+/**
+ * Removes an existing asset from the repository. If the repository's trash option is enabled (and the permanent option
+ * isn't provided), the asset is moved to the trash instead.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Precondition failed
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param [Object] callback.entry If the asset was moved to the trash, its trash entry. See listTrash for details.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the asset has been removed, with its trash
+ *  entry if it was moved to the trash.
+ */
+Repository.prototype.deleteAsset = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('deleting asset %s', path);
+
+  function _sendCallback(err, entry) {
+    log.debug('finished deleting asset %s', path);
+    self.emitCallback(options, function () {
+      callback(err, entry);
+    });
+  }
+
+  self.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.ASSET_TYPE) {
+      if (err) {
+        log.error('error deleting asset while retrieving asset info %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path to delete is not an asset ' + path));
+      return;
+    }
+
+    var lockErr = _getLockError.call(self, options, info) || _getPreconditionOptionsError(options) ||
+      _getPreconditionError(options, info);
+    if (lockErr) {
+      _sendCallback(lockErr);
+      return;
+    }
+    if (_isTrashed.call(self, options)) {
+      _invokeHook.call(self, self._moveToTrash, [path, options, info], _getChangeCallback.call(self, options, CHANGE_DELETED, info, _sendCallback));
+      return;
+    }
+    _invokeHook.call(self, self._deleteAsset, [path, options, info], _getChangeCallback.call(self, options, CHANGE_DELETED, info, function (err) {
+      _sendCallback(err);
+    }));
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Updates an existing asset's info in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Precondition failed
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {Object} newInfo Specified keys will be updated in the asset's info. System fields (i.e. name, size, created,
+ *  and contentType), check out fields, and metadata cannot be modified and will be ignored; see checkOut for changing
+ *  an asset's check out, and setMetadata for modifying metadata.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for an asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.updateAssetInfo = function (pathOrOptions, newInfo, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('updating asset info %s', path);
+
+  function _sendCallback(err, info) {
+    log.debug('finished updating asset info %s', path);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.ASSET_TYPE) {
+      if (err) {
+        log.error('error updating asset info while retrieving asset info %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path to update is not an asset ' + path));
+      return;
+    }
+
+    var lockErr = _getLockError.call(self, options, info) || _getPreconditionOptionsError(options) ||
+      _getPreconditionError(options, info);
+    if (lockErr) {
+      _sendCallback(lockErr);
+      return;
+    }
+
+    var updatedInfo = {};
+    for (var key in newInfo) {
+      if (newInfo[key] !== undefined && SYSTEM_FIELDS.indexOf(key) < 0) {
+        updatedInfo[key] = newInfo[key];
+      }
+    }
+
+    _invokeHook.call(self, self._updateAssetInfo, [path, options, info, updatedInfo], function (err) {
+      if (err) {
+        log.error('error updating asset info %s', path, err);
+        _sendCallback(err);
+        return;
+      }
+      self.getInfo(options, _getChangeCallback.call(self, options, CHANGE_INFO_UPDATED, info, _sendCallback));
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Searches for all assets in the repository that match a specified search term and/or structured query.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not a directory
+ * Query is invalid
+ * Sorting or paging options are invalid
+ * @param {String|RegExp|Object} searchTermOrOptions If a string, the term to use in a simple "contains" search. If a RegExp, the term to match items with in the search. If an object,
+ *  see class documentation for details. Path option is not required, but one of the searchTerm or query options is.
+ *  If provided, the path option is the directory to search beneath; defaults to the root. Additionally supports the
+ *  following options:
+ * @param [Object] searchTermOrOptions.query A structured query that assets must match. See lib/query.js for its format.
+ * @param [Number] searchTermOrOptions.maxDepth If specified, the maximum number of levels beneath the path to search.
+ *  For example, 1 will only search the path's direct children.
+ * @param [Boolean] searchTermOrOptions.includeDirectories If true, directories that match will also be returned.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.assets List of assets, where each entry is an asset's information, including its full path as
+ *  "path". Sorted and paged as described in list if any of the sorting or paging options are provided.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the list of matching assets.
+ */
+Repository.prototype.findAssets = function (searchTermOrOptions, callback) {
+  var self = this;
+
+  var options = _convertSearchTermOptionsToObject(searchTermOrOptions);
+  var log = Repository.getLogger(options);
+  var searchTerm = Repository.getSearchTermFromOptions(options);
+  var assetQuery = Repository.getQueryFromOptions(options);
+
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('finding assets %s', searchTerm);
+
+  function _sendCallback(err, assets) {
+    log.debug('finished finding assets %s', searchTerm);
+    self.emitCallback(options, function () {
+      callback(err, assets);
+    });
+  }
+
+  var optionsErr = (assetQuery ? query.validate(assetQuery) : undefined) || paging.validate(options);
+  if (!optionsErr && options.maxDepth !== undefined && !(options.maxDepth > 0 && Math.floor(options.maxDepth) === options.maxDepth)) {
+    optionsErr = 'maxDepth must be a positive integer';
+  }
+  if (optionsErr) {
+    log.error('invalid options while finding assets', optionsErr);
+    _sendCallback(_createError(errors.InvalidArgumentError, options, optionsErr));
+    return deferred.promise;
+  }
+  if (assetQuery) {
+    searchTerm = searchTerm || new RegExp('');
+  }
+  options.path = Repository.getPathFromOptions(options) || utils.sep();
+  var path = options.path;
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.DIR_TYPE) {
+      if (err) {
+        log.error('error while finding assets in %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotDirectoryError, options, 'path to search is not a directory ' + path));
+      return;
+    }
+
+    _invokeHook.call(self, self._findAssets, [searchTerm, options], function (err, assets) {
+      if (err) {
+        log.error('error finding assets %s', searchTerm, err);
+      } else if (!assets.paged) {
+        assets = assets.filter(function (asset) {
+          return _isInSearchScope(options, asset) && (!assetQuery || query.matches(asset, assetQuery));
+        });
+        if (paging.isRequested(options)) {
+          assets = paging.apply(assets, options);
+        }
+      }
+      _sendCallback(err, assets);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Moves an existing asset to a new path in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Target path already exists
+ * Target parent does not exist
+ * Target parent is not a directory
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} targetPath The full path to which the asset should be moved.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset at its new path.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's info at its new path.
+ */
+Repository.prototype.moveAsset = function (pathOrOptions, targetPath, callback) {
+  return _moveEntity.call(this, pathOrOptions, targetPath, constants.ASSET_TYPE, callback);
+};
+
+/**
+ * Moves an existing directory, and everything beneath it, to a new path in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not a directory
+ * Path is root
+ * Target path already exists
+ * Target path is beneath path
+ * Target parent does not exist
+ * Target parent is not a directory
+ * An asset beneath the directory is checked out by another user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} targetPath The full path to which the directory should be moved.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the directory at its new path.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the directory's info at its new path.
+ */
+Repository.prototype.moveDirectory = function (pathOrOptions, targetPath, callback) {
+  return _moveEntity.call(this, pathOrOptions, targetPath, constants.DIR_TYPE, callback);
+};
+
+/**
+ * Renames an existing asset or directory, leaving it in its current parent directory.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is root
+ * Name is invalid
+ * An item with the new name already exists
+ * Asset (or, for a directory, an asset beneath it) is checked out by another user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} newName The new name of the item.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the item with its new name.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's info with its new name.
+ */
+Repository.prototype.rename = function (pathOrOptions, newName, callback) {
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var path = Repository.getPathFromOptions(options);
+
+  if (!newName || String(newName).indexOf(utils.sep()) >= 0) {
+    var deferred = _defer.call(this, options, callback);
+    this.emitCallback(options, function () {
+      deferred.callback(_createError(errors.InvalidArgumentError, options, 'invalid name ' + newName));
+    });
+    return deferred.promise;
+  }
+
+  var targetPath = utils.isRoot(path) ? path : utils.joinPath(utils.getParentPath(path), newName);
+  return _moveEntity.call(this, options, targetPath, null, callback);
+};
+
+/**
+ * Copies an existing asset to a new path in the repository.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Target path already exists (unless the conflict option is overwrite or skip)
+ * Target path is not an asset
+ * Target parent does not exist
+ * Target parent is not a directory
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} targetPath The full path of the copy.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset at the target path.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the info of the asset at the target path.
+ */
+Repository.prototype.copyAsset = function (pathOrOptions, targetPath, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  var targetOptions = _copyOptions(options);
+  targetOptions.path = targetPath;
+
+  log.debug('copying asset %s to %s', path, targetPath);
+
+  function _sendCallback(err, info) {
+    log.debug('finished copying asset %s to %s', path, targetPath);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  if (!targetPath || targetPath === path) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'cannot copy asset ' + path + ' to ' + targetPath));
+    return deferred.promise;
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.ASSET_TYPE) {
+      if (err) {
+        log.error('error copying asset while retrieving asset info %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path to copy is not an asset ' + path));
+      return;
+    }
+
+    _getCopyTarget.call(self, targetOptions, constants.ASSET_TYPE, function (err, action, targetInfo) {
+      if (err || action === constants.CONFLICT_SKIP) {
+        _sendCallback(err, targetInfo);
+        return;
+      }
+
+      var isCreate = action === COPY_ACTION_CREATE;
+      var lockErr = !isCreate ? _getLockError.call(self, targetOptions, targetInfo) : undefined;
+      if (lockErr) {
+        _sendCallback(lockErr);
+        return;
+      }
+
+      _invokeHook.call(self, self._copy, [path, targetPath, isCreate, options, info, targetInfo], function (err) {
+        if (err) {
+          log.error('error copying asset %s to %s', path, targetPath, err);
+          _sendCallback(err);
+          return;
+        }
+        var changeType = isCreate ? CHANGE_CREATED : CHANGE_UPDATED;
+        var oldInfo = isCreate ? undefined : targetInfo;
+        _copyContentHash.call(self, targetOptions, info, function (err) {
+          if (err) {
+            log.error('error copying hash of asset %s to %s', path, targetPath, err);
+            _sendCallback(err);
+            return;
+          }
+          _assignMetadata.call(self, targetOptions, info.metadata, _getChangeCallback.call(self, targetOptions, changeType, oldInfo, _sendCallback));
+        });
+      });
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Copies an existing directory, and everything beneath it, to a new path in the repository. If the target directory
+ * already exists and the conflict option is overwrite or skip, the directory's children will be copied into the
+ * existing directory, and the conflict option will be applied to each of the children.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not a directory
+ * Path is root
+ * Target path already exists (unless the conflict option is overwrite or skip)
+ * Target path is beneath path
+ * Target parent does not exist
+ * Target parent is not a directory
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} targetPath The full path of the copy.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the directory at the target path.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the info of the directory at the target path.
+ */
+Repository.prototype.copyDirectory = function (pathOrOptions, targetPath, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  var targetOptions = _copyOptions(options);
+  targetOptions.path = targetPath;
+
+  log.debug('copying directory %s to %s', path, targetPath);
+
+  function _sendCallback(err, info) {
+    log.debug('finished copying directory %s to %s', path, targetPath);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  if (utils.isRoot(path)) {
+    log.error('attempt to copy root directory %s', path);
+    _sendCallback(_createError(errors.RootError, options, 'cannot copy root directory'));
+    return deferred.promise;
+  }
+
+  if (!targetPath || targetPath === path || String(targetPath).indexOf(path + utils.sep()) === 0) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'cannot copy directory ' + path + ' to ' + targetPath));
+    return deferred.promise;
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || info.type !== constants.DIR_TYPE) {
+      if (err) {
+        log.error('error copying directory while retrieving directory info %s', path, err);
+      }
+      _sendCallback(err ? err : _createError(errors.NotDirectoryError, options, 'path to copy is not a directory ' + path));
+      return;
+    }
+
+    _getCopyTarget.call(self, targetOptions, constants.DIR_TYPE, function (err, action, targetInfo) {
+      if (err || (action === constants.CONFLICT_SKIP && targetInfo.type !== constants.DIR_TYPE)) {
+        _sendCallback(err, targetInfo);
+        return;
+      }
+
+      function _copyChildren(err) {
+        if (err) {
+          log.error('error creating directory %s while copying', targetPath, err);
+          _sendCallback(err);
+          return;
+        }
+
+        self.list(paging.withoutPaging(options), function (err, children) {
+          if (err) {
+            _sendCallback(err);
+            return;
+          }
+
+          async.eachSeries(children, function (child, eachCb) {
+            var childOptions = _copyOptions(options);
+            childOptions.path = utils.joinPath(path, child.name);
+            var childTarget = utils.joinPath(targetPath, child.name);
+            if (child.type === constants.DIR_TYPE) {
+              self.copyDirectory(childOptions, childTarget, function (err) {
+                eachCb(err);
+              });
+            } else {
+              self.copyAsset(childOptions, childTarget, function (err) {
+                eachCb(err);
+              });
+            }
+          }, function (err) {
+            if (err) {
+              _sendCallback(err);
+              return;
+            }
+            self.getInfo(targetOptions, _sendCallback);
+          });
+        });
+      }
+
+      if (action === COPY_ACTION_CREATE) {
+        _invokeHook.call(self, self._createDirectory, [targetPath, targetOptions, targetInfo], function (err) {
+          if (err) {
+            _copyChildren(err);
+            return;
+          }
+          _assignMetadata.call(self, targetOptions, info.metadata, _getChangeCallback.call(self, targetOptions, CHANGE_CREATED, undefined, _copyChildren));
+        });
+      } else {
+        _copyChildren();
+      }
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Checks out an existing asset for the current user. While checked out, other users will not be able to update,
+ * delete, or move the asset.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ *  Additionally supports the following options:
+ * @param [Number] pathOrOptions.lockTimeout Overrides the repository's lockTimeout option for this check out.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.checkOut = function (pathOrOptions, callback) {
+  return _changeCheckOut.call(this, pathOrOptions, CHECK_OUT, undefined, callback);
+};
+
+/**
+ * Checks in an asset that is checked out by the current user, optionally updating its content first.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is not checked out by the current user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Stream] readStream If specified, will be read as the asset's new content.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.checkIn = function (pathOrOptions, readStream, callback) {
+  if ((typeof readStream) === 'function') {
+    callback = readStream;
+    readStream = undefined;
+  }
+  return _changeCheckOut.call(this, pathOrOptions, CHECK_IN, readStream, callback);
+};
+
+/**
+ * Releases the current user's check out of an asset without modifying the asset.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is not checked out by the current user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.cancelCheckOut = function (pathOrOptions, callback) {
+  return _changeCheckOut.call(this, pathOrOptions, CANCEL_CHECK_OUT, undefined, callback);
+};
+
+/**
+ * Administrative method that releases an asset's check out regardless of which user checked it out.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.forceCheckIn = function (pathOrOptions, callback) {
+  return _changeCheckOut.call(this, pathOrOptions, FORCE_CHECK_IN, undefined, callback);
+};
+
+/**
+ * Lists the previous versions of an asset.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Repository does not support versions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.versions The asset's previous versions, newest first. Each entry contains the version's id,
+ *  size, modified time, and author.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's previous versions.
+ */
+Repository.prototype.listVersions = function (pathOrOptions, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'listing versions of', false, null, function (path, options, info, hookCallback) {
+    return this._listVersions(path, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Retrieves the content of one of an asset's previous versions.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Version does not exist
+ * Repository does not support versions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} versionId ID of the version as provided by listVersions.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Stream} callback.stream Readable stream to the version's content.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the readable stream.
+ */
+Repository.prototype.getAssetVersion = function (pathOrOptions, versionId, callback) {
+  return _getExistingAssetStream.call(this, pathOrOptions, true, function (path, options, info, hookCallback) {
+    return this._getAssetVersion(path, versionId, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Makes one of an asset's previous versions its current content. The asset's current content is kept as a new
+ * version.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Version does not exist
+ * Repository does not support versions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} versionId ID of the version as provided by listVersions.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ */
+Repository.prototype.restoreVersion = function (pathOrOptions, versionId, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'restoring version ' + versionId + ' of', true, CHANGE_UPDATED, function (path, options, info, hookCallback) {
+    return this._restoreVersion(path, versionId, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Removes one of an asset's previous versions.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Version does not exist
+ * Repository does not support versions
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} versionId ID of the version as provided by listVersions.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the version has been removed.
+ */
+Repository.prototype.deleteVersion = function (pathOrOptions, versionId, callback) {
+  return _invokeAssetHook.call(this, pathOrOptions, 'deleting version ' + versionId + ' of', true, null, function (path, options, info, hookCallback) {
+    return this._deleteVersion(path, versionId, options, info, hookCallback);
+  }, callback);
+};
+
+/**
+ * Retrieves the custom metadata of an asset or directory.
+ *
+ * Expected errors:
+ * Path does not exist
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.metadata The item's metadata.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's metadata.
+ */
+Repository.prototype.getMetadata = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  this.getInfo(options, function (err, info) {
+    self.emitCallback(options, function () {
+      callback(err, err ? undefined : (info.metadata || {}));
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Sets custom metadata of an asset or directory. By default the provided values are merged into the item's existing
+ * metadata.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Asset is checked out by another user
+ * Metadata is not an object
+ * Metadata contains a system field
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ *  Additionally supports the following options:
+ * @param [Boolean] pathOrOptions.replace If true, the provided metadata will replace all of the item's existing
+ *  metadata instead of being merged into it.
+ * @param {Object} metadata Metadata values to set.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.metadata The item's updated metadata.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's updated metadata.
+ */
+Repository.prototype.setMetadata = function (pathOrOptions, metadata, callback) {
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  return _updateMetadata.call(this, options, 'setting metadata of', function (current) {
+    var metadataErr = _getMetadataError(options, metadata);
+    if (metadataErr || !metadata) {
+      return {err: metadataErr || _createError(errors.InvalidArgumentError, options, 'metadata must be an object')};
+    }
+
+    var updated = options.replace ? {} : _copyOptions(current);
+    for (var key in metadata) {
+      updated[key] = metadata[key];
+    }
+    return {metadata: updated};
+  }, callback);
+};
+
+/**
+ * Removes custom metadata values from an asset or directory.
+ *
+ * Expected errors:
+ * Path does not exist
+ * Asset is checked out by another user
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String|Array} keys The key, or keys, of the metadata values to remove.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.metadata The item's updated metadata.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's updated metadata.
+ */
+Repository.prototype.removeMetadata = function (pathOrOptions, keys, callback) {
+  keys = Array.isArray(keys) ? keys : [keys];
+  return _updateMetadata.call(this, pathOrOptions, 'removing metadata of', function (current) {
+    var updated = _copyOptions(current);
+    keys.forEach(function (key) {
+      delete updated[key];
+    });
+    return {metadata: updated};
+  }, callback);
+};
+
+/**
+ * Starts a resumable upload of an asset's content. The content is provided in parts using uploadPart, which may be
+ * retried individually if they fail, then written to the asset using completeUpload. If the asset already exists its
+ * content will be updated, otherwise it will be created. Upload sessions that don't receive a part within the
+ * repository's uploadTimeout expire.
+ *
+ * Expected errors:
+ * Parent path does not exist
+ * Parent is not a directory
+ * Path is not an asset
+ * Asset is checked out by another user
+ * Size is invalid
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ *  Additionally supports the following options:
+ * @param [Number] pathOrOptions.size If specified, the total number of bytes that will be uploaded. The upload will
+ *  fail to complete if the size of its parts is different.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {String} callback.uploadId ID of the upload, to provide to the other upload methods.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the upload's id.
+ */
+Repository.prototype.initiateUpload = function (pathOrOptions, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
+  var log = Repository.getLogger(options);
+  var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('initiating upload of asset %s', path);
+
+  function _sendCallback(err, uploadId) {
+    self.emitCallback(options, function () {
+      callback(err, uploadId);
+    });
+  }
+
+  _expireUploads.call(this);
+
+  if (options.size !== undefined && !_isPosition(options.size)) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'upload size must be a non-negative integer'));
+    return deferred.promise;
+  }
+  var metadataErr = _getMetadataError(options, options.metadata);
+  if (metadataErr) {
+    _sendCallback(metadataErr);
+    return deferred.promise;
+  }
+
+  this.exists(options, function (err, exists) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+    _validateWrite.call(self, options, !exists, function (err) {
+      if (err) {
+        _sendCallback(err);
+        return;
+      }
+      var now = new Date().getTime();
+      var upload = {
+        id: uuid(),
+        path: path,
+        size: options.size,
+        isCreate: !exists,
+        metadata: options.metadata,
+        parts: {},
+        created: now,
+        expires: now + self.uploadTimeout
+      };
+      _invokeHook.call(self, self._initiateUpload, [path, options, upload], function (err) {
+        if (err) {
+          log.error('error initiating upload of asset %s', path, err);
+          _sendCallback(err);
+          return;
+        }
+        self.uploads[upload.id] = upload;
+        _scheduleUploadExpiry.call(self);
+        _sendCallback(undefined, upload.id);
+      });
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Uploads one part of an asset's content. Parts may be uploaded in any order; uploading a part with the same index as
+ * an existing part replaces it.
+ *
+ * Expected errors:
+ * Upload does not exist or has expired
+ * Index is invalid
+ * Upload is being completed
+ * @param {String|Object} uploadIdOrOptions If a string, the ID of an upload as provided by initiateUpload. If options,
+ *  see class documentation for details, and provide the ID as the uploadId option.
+ * @param {Number} index Position of the part within the upload, starting at 0.
+ * @param {Stream} readStream Stream read as the part's content.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.status The upload's status, as provided by getUploadStatus.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the upload's status.
+ */
+Repository.prototype.uploadPart = function (uploadIdOrOptions, index, readStream, callback) {
+  var self = this;
+  return _invokeUploadHook.call(this, uploadIdOrOptions, 'uploading part ' + index + ' of', callback, function (options, upload, hookCallback) {
+    if (!_isPosition(index)) {
+      hookCallback(_createError(errors.InvalidArgumentError, options, 'part index must be a non-negative integer'));
+      return;
+    }
+    _invokeHook.call(self, self._uploadPart, [upload.path, index, readStream, options, upload], function (err, size) {
+      if (!err) {
+        upload.parts[index] = size;
+        upload.expires = new Date().getTime() + self.uploadTimeout;
+      }
+      hookCallback(err, err ? undefined : _getUploadStatus(upload));
+    });
+  });
+};
+
+/**
+ * Retrieves the status of an upload, which can be used to determine which parts need to be uploaded when resuming it.
+ *
+ * Expected errors:
+ * Upload does not exist or has expired
+ * @param {String|Object} uploadIdOrOptions If a string, the ID of an upload as provided by initiateUpload. If options,
+ *  see class documentation for details, and provide the ID as the uploadId option.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.status Contains the upload's id, path, and expected size (if provided); the number of bytes
+ *  "uploaded" so far; the "parts" that have been uploaded, each with an index and size; the indexes of any parts that
+ *  are "missing" between those uploaded; and when the upload was "created" and "expires".
+ * @returns {Promise|undefined} If no callback is provided, resolves with the upload's status.
+ */
+Repository.prototype.getUploadStatus = function (uploadIdOrOptions, callback) {
+  return _invokeUploadHook.call(this, uploadIdOrOptions, 'retrieving status of', callback, function (options, upload, hookCallback) {
+    hookCallback(undefined, _getUploadStatus(upload));
+  });
+};
+
+/**
+ * Writes an upload's parts, in order, as its asset's content. The upload is removed once it completes successfully; if
+ * it fails, its parts are kept so that it can be completed again.
+ *
+ * Expected errors:
+ * Upload does not exist or has expired
+ * Upload is missing parts
+ * Size of the parts is different than the upload's size
+ * Upload is being completed
+ * Parent path does not exist
+ * Path already exists (if the asset was created after the upload was initiated)
+ * Asset is checked out by another user
+ * @param {String|Object} uploadIdOrOptions If a string, the ID of an upload as provided by initiateUpload. If options,
+ *  see class documentation for details, and provide the ID as the uploadId option.
+ * @param [Function] callback Invoked when the asset has been created or updated.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's info.
+ */
+Repository.prototype.completeUpload = function (uploadIdOrOptions, callback) {
+  var self = this;
+  return _invokeUploadHook.call(this, uploadIdOrOptions, 'completing', callback, function (options, upload, hookCallback) {
+    var status = _getUploadStatus(upload);
+    if (status.missing.length) {
+      hookCallback(_createError(errors.InvalidArgumentError, options, 'upload is missing part ' + status.missing[0]));
+      return;
+    } else if (upload.size !== undefined && status.uploaded !== upload.size) {
+      hookCallback(_createError(errors.InvalidArgumentError, options, 'uploaded ' + status.uploaded + ' bytes but expected ' + upload.size));
+      return;
+    }
+
+    function _sendCallback(err, info) {
+      upload.completing = false;
+      if (!err) {
+        delete self.uploads[upload.id];
+      }
+      _scheduleUploadExpiry.call(self);
+      hookCallback(err, info);
+    }
+
+    upload.completing = true;
+    _validateWrite.call(self, options, upload.isCreate, function (err, info) {
+      if (err) {
+        _sendCallback(err);
+        return;
+      }
+      _invokeHook.call(self, self._completeUpload, [upload.path, upload.isCreate, options, upload, info], function (err) {
+        if (err) {
+          _sendCallback(err);
+        } else if (upload.isCreate) {
+          _assignMetadata.call(self, options, upload.metadata, _getChangeCallback.call(self, options, CHANGE_CREATED, undefined, _sendCallback));
+        } else {
+          self.getInfo(options, _getChangeCallback.call(self, options, CHANGE_UPDATED, info, _sendCallback));
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Cancels an upload, discarding any parts that have been uploaded.
+ *
+ * Expected errors:
+ * Upload does not exist or has expired
+ * Upload is being completed
+ * @param {String|Object} uploadIdOrOptions If a string, the ID of an upload as provided by initiateUpload. If options,
+ *  see class documentation for details, and provide the ID as the uploadId option.
+ * @param [Function] callback Invoked when the upload has been cancelled.
+ * @param {String} callback.err Truthy if there was an error.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the upload has been cancelled.
+ */
+Repository.prototype.abortUpload = function (uploadIdOrOptions, callback) {
+  var self = this;
+  return _invokeUploadHook.call(this, uploadIdOrOptions, 'aborting', callback, function (options, upload, hookCallback) {
+    delete self.uploads[upload.id];
+    _invokeHook.call(self, self._abortUpload, [upload.path, options, upload], function (err) {
+      hookCallback(err);
+    });
+  });
+};
+
+/**
+ * Performs a batch of operations, such as creating a tree of directories and assets. Each operation is described by an
+ * object whose "op" is the name of the repository method to invoke (one of createDirectory, deleteDirectory,
+ * createAsset, updateAsset, deleteAsset, updateAssetInfo, setMetadata, removeMetadata, moveAsset, moveDirectory, rename,
+ * copyAsset, copyDirectory, checkOut, or cancelCheckOut), and whose "path" is the item to operate on. The method's
+ * other arguments are provided as "stream" (createAsset and updateAsset), "info" (updateAssetInfo), "metadata"
+ * (setMetadata), "keys" (removeMetadata), "targetPath" (moves and copies), or "name" (rename). The descriptor's
+ * remaining properties are used as the method's options, i.e. {op: 'createDirectory', path: '/a', metadata: {}}.
+ *
+ * Operations run in the order provided, except that directories are created before any operation beneath them.
+ * Operations that affect the same items (or items beneath one another) run one after another; others may run at the
+ * same time, up to the concurrency option. If an operation fails, the later operations that affect the same items are
+ * skipped.
+ *
+ * Expected errors:
+ * Operations are not an array
+ * @param {Array} operations The operation descriptors.
+ * @param [Object] options Options for the batch. See class documentation for details. Options other than the subscriber
+ *  (i.e. userId) are used by each operation unless its descriptor overrides them. Additionally supports:
+ * @param [Number] options.concurrency The maximum number of operations to run at once. Defaults to 1.
+ * @param [Boolean] options.stopOnError If true, operations that haven't started when an operation fails are skipped.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if the batch couldn't be performed.
+ * @param {Array} callback.results One entry for each operation, in the order provided. Each entry contains the
+ *  operation's "op" and "path", and "success". Successful operations include the method's "result"; others include
+ *  the "error", and have "skipped" set if they weren't performed because of stopOnError or because an earlier
+ *  operation affecting the same items failed.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the results.
+ */
+Repository.prototype.batch = function (operations, options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var log = Repository.getLogger(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  function _sendCallback(err, results) {
+    log.debug('finished batch of %d operations', operations && operations.length);
+    self.emitCallback(options, function () {
+      callback(err, results);
+    });
+  }
+
+  if (!Array.isArray(operations)) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'batch operations must be an array'));
+    return deferred.promise;
+  }
+  log.debug('performing batch of %d operations', operations.length);
+
+  var results = operations.map(function (operation) {
+    var result = {op: operation && operation.op, path: operation && operation.path, success: false};
+    var invalid = batch.validate(operation);
+    if (invalid) {
+      result.error = _createError(errors.InvalidArgumentError, options, invalid, result.path);
+    }
+    return result;
+  });
+  var valid = [];
+  var validIndexes = [];
+  operations.forEach(function (operation, index) {
+    if (!results[index].error) {
+      valid.push(operation);
+      validIndexes.push(index);
+    }
+  });
+
+  function _setOutcome(index, outcome) {
+    var result = results[index];
+    if (outcome.skipped && outcome.dependency !== undefined) {
+      result.skipped = true;
+      result.error = _createError(errors.CancelledError, options, 'skipped because batch operation ' + validIndexes[outcome.dependency] + ' did not succeed', result.path);
+    } else if (outcome.skipped) {
+      result.skipped = true;
+      result.error = _createError(errors.CancelledError, options, 'skipped because an earlier batch operation failed', result.path);
+    } else if (outcome.error) {
+      result.error = outcome.error;
+    } else {
+      result.success = true;
+      result.result = outcome.result;
+    }
+  }
+
+  _invokeHook.call(this, this._batch, [valid, options], function (err, outcomes) {
+    if (!err) {
+      outcomes.forEach(function (outcome, position) {
+        _setOutcome(validIndexes[position], outcome);
+      });
+      _sendCallback(undefined, results);
+      return;
+    } else if (!errors.hasCode(err, errors.ENOTIMPL)) {
+      log.error('error performing batch natively', err);
+      _sendCallback(err);
+      return;
+    }
+
+    batch.run(batch.plan(valid), options, function (position, operationCallback) {
+      _invokeBatchOperation.call(self, valid[position], options, operationCallback);
+    }, function (outcomes) {
+      Object.keys(outcomes).forEach(function (position) {
+        _setOutcome(validIndexes[position], outcomes[position]);
+      });
+      _sendCallback(undefined, results);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Performs a set of changes, such as creating a directory and several assets, so that either all of them or none of
+ * them are applied. The provided function receives a repository through which to make the changes, which other callers
+ * won't see until the transaction is committed:
+ *
+ * repository.transaction(function (tx) {
+ *   return tx.createDirectory('/photos').then(function () {
+ *     return tx.createAsset('/photos/beach.jpg', stream);
+ *   });
+ * });
+ *
+ * The transaction is committed when the function finishes, and rolled back if it fails. The repository's change events
+ * for the transaction's changes are sent once it's committed. A function that doesn't accept a callback must return a
+ * Promise; otherwise the transaction is rolled back.
+ *
+ * Expected errors:
+ * Function doesn't accept a callback or return a Promise
+ * Repository doesn't support transactions
+ * Changes couldn't be committed (i.e. the repository was changed by another caller during the transaction)
+ * @param {Function} fn Invoked with the transaction's repository, and a callback to invoke with an error or result
+ *  when the function finishes. May instead return a Promise.
+ * @param [Object] options Options for the transaction. See class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if the transaction failed or couldn't be committed. If the function failed, this
+ *  is its error.
+ * @param {*} callback.result The result of the function.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the result of the function.
+ */
+Repository.prototype.transaction = function (fn, options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var log = Repository.getLogger(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  function _sendCallback(err, result) {
+    self.emitCallback(options, function () {
+      callback(err, result);
+    });
+  }
+
+  log.debug('beginning transaction');
+  _invokeHook.call(this, this._beginTransaction, [options], function (err, transaction) {
+    if (err) {
+      log.error('unable to begin transaction', err);
+      _sendCallback(err);
+      return;
+    }
+
+    var changes = [];
+    var finished = false;
+    var txRepository = transaction.repository;
+    function _onChange(event) {
+      changes.push(event);
+    }
+    txRepository.on('change', _onChange);
+
+    function _finish(fnErr, result) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      txRepository.removeListener('change', _onChange);
+      if (fnErr) {
+        log.debug('rolling back transaction', fnErr);
+        _invokeHook.call(transaction, transaction.rollback, [], function (err) {
+          if (err) {
+            log.error('unable to roll back transaction', err);
+          }
+          _sendCallback(fnErr);
+        });
+        return;
+      }
+
+      _invokeHook.call(transaction, transaction.commit, [], function (err) {
+        if (err) {
+          log.error('unable to commit transaction', err);
+          _sendCallback(err);
+          return;
+        }
+        log.debug('committed transaction with %d changes', changes.length);
+        changes.forEach(function (event) {
+          _sendChange.call(self, event);
+        });
+        _sendCallback(undefined, result);
+      });
+    }
+
+    var fnResult;
+    try {
+      fnResult = fn.call(self, txRepository, _finish);
+    } catch (e) {
+      _finish(e);
+      return;
+    }
+    if (fnResult && (typeof fnResult.then) === 'function') {
+      fnResult.then(function (value) {
+        process.nextTick(function () {
+          _finish(undefined, value);
+        });
+      }, function (err) {
+        process.nextTick(function () {
+          _finish(err || 'unknown error');
+        });
+      });
+    } else if (fn.length < 2) {
+      // without a callback or a Promise, the transaction would never finish
+      _finish(_createError(errors.InvalidArgumentError, options, 'transaction function must return a Promise or accept a callback'));
+    }
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Lists the items in the repository's trash, most recently deleted first. See the repository's trash option.
+ *
+ * Expected errors:
+ * Repository doesn't support a trash
+ * @param [Object] options Options for the operation. See class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.entries Each entry contains the "id" of the entry, the original "path", "name", and "type" of
+ *  the item, the time at which it was "deleted", and the ID of the user who deleted it as "deletedBy".
+ * @returns {Promise|undefined} If no callback is provided, resolves with the trash entries.
+ */
+Repository.prototype.listTrash = function (options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  _getTrashEntries.call(this, options, function (err, entries) {
+    if (err) {
+      Repository.getLogger(options).error('error listing trash', err);
+    }
+    self.emitCallback(options, function () {
+      callback(err, entries);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Moves an item from the repository's trash back into the repository, at its original path unless the targetPath
+ * option is provided.
+ *
+ * Expected errors:
+ * Trash entry does not exist
+ * An item already exists at the target path
+ * Target's parent directory does not exist, or is not a directory
+ * Repository doesn't support a trash
+ * @param {String} id ID of the trash entry, as provided by listTrash.
+ * @param [Object] options Options for the operation. See class documentation for details. Additionally supports:
+ * @param [String] options.targetPath Full path to which the item should be restored.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the restored item.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the restored item's info.
+ */
+Repository.prototype.restoreFromTrash = function (id, options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var log = Repository.getLogger(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  log.debug('restoring trash entry %s', id);
+
+  function _sendCallback(err, info) {
+    log.debug('finished restoring trash entry %s', id);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  _getTrashEntry.call(this, id, options, function (err, entry) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+
+    var targetPath = options.targetPath || entry.path;
+    var targetOptions = _copyOptions(options);
+    targetOptions.path = targetPath;
+    var targetParentOptions = _copyOptions(options);
+    targetParentOptions.path = utils.getParentPath(targetPath);
+
+    if (utils.isRoot(targetPath)) {
+      _sendCallback(_createError(errors.InvalidArgumentError, options, 'cannot restore ' + entry.path + ' to ' + targetPath));
+      return;
+    }
+
+    self.exists(targetOptions, function (err, exists) {
+      if (err || exists) {
+        if (err) {
+          log.error('error restoring %s when trying to determine if target exists', entry.path, err);
+        }
+        _sendCallback(exists ? _createError(errors.AlreadyExistsError, targetOptions, 'cannot restore ' + entry.path +
+          ' because an item already exists at ' + targetPath + '; provide a different targetPath') : err);
+        return;
+      }
+
+      self.getInfo(targetParentOptions, function (err, parentInfo) {
+        if (err || parentInfo.type !== constants.DIR_TYPE) {
+          if (errors.hasCode(err, errors.ENOTFOUND)) {
+            err = _createError(errors.NotFoundError, targetParentOptions, 'cannot restore ' + entry.path + ' because ' +
+              targetParentOptions.path + ' no longer exists; provide a different targetPath');
+          }
+          _sendCallback(err ? err : _createError(errors.NotDirectoryError, targetParentOptions, 'cannot restore ' + entry.path + ' beneath entity type ' + parentInfo.type));
+          return;
+        }
+
+        _invokeHook.call(self, self._restoreFromTrash, [id, targetPath, targetOptions, entry], function (err) {
+          if (err) {
+            log.error('error restoring %s to %s', entry.path, targetPath, err);
+            _sendCallback(err);
+            return;
+          }
+          self.getInfo(targetOptions, _getChangeCallback.call(self, targetOptions, CHANGE_CREATED, undefined, _sendCallback));
+        });
+      });
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Permanently removes an item from the repository's trash.
+ *
+ * Expected errors:
+ * Trash entry does not exist
+ * Repository doesn't support a trash
+ * @param {String} id ID of the trash entry, as provided by listTrash.
+ * @param [Object] options Options for the operation. See class documentation for details.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @returns {Promise|undefined} If no callback is provided, resolves when the entry has been removed.
+ */
+Repository.prototype.purgeTrash = function (id, options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  _getTrashEntry.call(this, id, options, function (err, entry) {
+    if (err) {
+      self.emitCallback(options, function () {
+        callback(err);
+      });
+      return;
+    }
+
+    _invokeHook.call(self, self._purgeTrash, [id, options, entry], function (err) {
+      if (err) {
+        Repository.getLogger(options).error('error purging trash entry %s', id, err);
+      }
+      self.emitCallback(options, function () {
+        callback(err);
+      });
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Permanently removes items from the repository's trash.
+ *
+ * Expected errors:
+ * Repository doesn't support a trash
+ * @param [Object] options Options for the operation. See class documentation for details. Additionally supports:
+ * @param [Date|Number] options.olderThan If specified, only items that were deleted before this time are removed.
+ *  Otherwise all items are removed.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.entries The trash entries that were removed.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the removed trash entries.
+ */
+Repository.prototype.emptyTrash = function (options, callback) {
+  var self = this;
+  if ((typeof options) === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = _copyOptions(options);
+  var log = Repository.getLogger(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  function _sendCallback(err, entries) {
+    log.debug('finished emptying trash');
+    self.emitCallback(options, function () {
+      callback(err, entries);
+    });
+  }
+
+  var olderThan = options.olderThan !== undefined ? new Date(options.olderThan).getTime() : undefined;
+  if (olderThan !== undefined && isNaN(olderThan)) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'invalid olderThan ' + options.olderThan));
+    return deferred.promise;
+  }
+
+  log.debug('emptying trash');
+  _getTrashEntries.call(this, options, function (err, entries) {
+    if (err) {
+      _sendCallback(err);
+      return;
+    }
+
+    var purged = [];
+    async.eachSeries(entries.filter(function (entry) {
+      return olderThan === undefined || entry.deleted < olderThan;
+    }), function (entry, eachCb) {
+      _invokeHook.call(self, self._purgeTrash, [entry.id, options, entry], function (err) {
+        if (!err) {
+          purged.push(entry);
+        }
+        eachCb(err);
+      });
+    }, function (err) {
+      if (err) {
+        log.error('error emptying trash', err);
+      }
+      _sendCallback(err, purged);
+    });
+  });
+
+  return deferred.promise;
+};
+
+/*
+ * ---------------------------------------------------------------------------------------------------------------------
+ * PRIVATE METHODS
+ * ---------------------------------------------------------------------------------------------------------------------
+ * These methods should not be used externally and are not guaranteed to remain unchanged.
+ */
+
+/**
+ * Creates a shallow copy of options.
+ * @param {object} toCopy The options to copy.
+ * @return {object} An options object.
+ * @private
+ */
+function _copyOptions(toCopy) {
+  var copied = {};
+  for (var key in toCopy) {
+    copied[key] = toCopy[key];
+  }
+  return copied;
+}
+
+/**
+ * Moves an existing asset or directory to a new path after verifying that the move is valid.
+ * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
+ * @param {String} targetPath The full path to which the item should be moved.
+ * @param [String] expectedType If specified, the type that the item is required to be.
+ * @param [Function] callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the item at its new path.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's info at its new path.
+ * @private
+ */
+function _moveEntity(pathOrOptions, targetPath, expectedType, callback) {
+  var self = this;
+
+  var options = _convertPathOptionsToObject(pathOrOptions);
   var log = Repository.getLogger(options);
   var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+
+  var targetOptions = _copyOptions(options);
+  targetOptions.path = targetPath;
+  var targetParentOptions = _copyOptions(options);
+  targetParentOptions.path = utils.getParentPath(targetPath || '');
+
+  log.debug('moving %s to %s', path, targetPath);
+
+  function _sendCallback(err, info) {
+    log.debug('finished moving %s to %s', path, targetPath);
+    self.emitCallback(options, function () {
+      callback(err, info);
+    });
+  }
+
+  if (utils.isRoot(path)) {
+    log.error('attempt to move root directory %s', path);
+    _sendCallback(_createError(errors.RootError, options, 'cannot move root directory'));
+    return deferred.promise;
+  }
+
+  if (!targetPath || utils.isRoot(targetPath)) {
+    log.error('attempt to move %s to invalid target %s', path, targetPath);
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'cannot move ' + path + ' to ' + targetPath));
+    return deferred.promise;
+  }
+
+  this.getInfo(options, function (err, info) {
+    if (err || (expectedType && info.type !== expectedType)) {
+      if (err) {
+        log.error('error moving %s while retrieving info', path, err);
+      }
+      var ErrorType = expectedType === constants.DIR_TYPE ? errors.NotDirectoryError : errors.NotAssetError;
+      _sendCallback(err ? err : _createError(ErrorType, options, 'path to move is not of type ' + expectedType + ' ' + path));
+      return;
+    }
+
+    if (info.type === constants.DIR_TYPE && String(targetPath).indexOf(path + utils.sep()) === 0) {
+      _sendCallback(_createError(errors.InvalidArgumentError, options, 'cannot move directory ' + path + ' beneath itself'));
+      return;
+    }
+
+    _getSubtreeLockError.call(self, options, info, function (err, lockErr) {
+      if (err || lockErr) {
+        if (err) {
+          log.error('error moving %s while checking for checked out assets', path, err);
+        }
+        _sendCallback(err || lockErr);
+        return;
+      }
+
+      self.exists(targetOptions, function (err, exists) {
+        if (err || exists) {
+          if (err) {
+            log.error('error moving %s when trying to determine if target exists', path, err);
+          }
+          _sendCallback(exists ? _createError(errors.AlreadyExistsError, targetOptions, 'move target already exists ' + targetPath) : err);
+          return;
+        }
+
+        self.getInfo(targetParentOptions, function (err, parentInfo) {
+          if (err || parentInfo.type !== constants.DIR_TYPE) {
+            if (err) {
+              log.error('error moving %s when retrieving target parent info', path, err);
+            }
+            _sendCallback(err ? err : _createError(errors.NotDirectoryError, targetParentOptions, 'cannot move ' + path + ' beneath entity type ' + parentInfo.type));
+            return;
+          }
+
+          _invokeHook.call(self, self._move, [path, targetPath, options, info, parentInfo], function (err) {
+            if (err) {
+              log.error('error moving %s to %s', path, targetPath, err);
+              _sendCallback(err);
+              return;
+            }
+            self.getInfo(targetOptions, _getChangeCallback.call(self, options, CHANGE_MOVED, info, _sendCallback, targetPath));
+          });
+        });
+      });
+    });
+  });
+
+  return deferred.promise;
+}
+
+/**
+ * Determines how an item should be copied to a target path, taking into account the options' conflict behavior.
+ * @param {Object} targetOptions Options whose path is the target of the copy.
+ * @param {String} type The type of item being copied.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if the item cannot be copied to the target path.
+ * @param {String} callback.action Will be COPY_ACTION_CREATE if the target should be created, otherwise the conflict behavior
+ *  to apply to the existing target.
+ * @param {Object} callback.targetInfo If the action is create, info for the target's parent directory. Otherwise info
+ *  for the existing target.
+ * @private
+ */
+function _getCopyTarget(targetOptions, type, callback) {
+  var self = this;
+  var targetPath = Repository.getPathFromOptions(targetOptions);
+  var conflict = Repository.getConflictFromOptions(targetOptions);
+
+  this.exists(targetOptions, function (err, exists) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (exists) {
+      self.getInfo(targetOptions, function (err, info) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        if (conflict === constants.CONFLICT_SKIP) {
+          callback(undefined, constants.CONFLICT_SKIP, info);
+        } else if (conflict === constants.CONFLICT_OVERWRITE && info.type === type) {
+          callback(undefined, constants.CONFLICT_OVERWRITE, info);
+        } else {
+          if (info.type !== type) {
+            var ErrorType = type === constants.DIR_TYPE ? errors.NotDirectoryError : errors.NotAssetError;
+            callback(_createError(ErrorType, targetOptions, 'copy target is not of type ' + type + ' ' + targetPath));
+          } else {
+            callback(_createError(errors.AlreadyExistsError, targetOptions, 'copy target already exists ' + targetPath));
+          }
+        }
+      });
+      return;
+    }
+
+    var parentOptions = _copyOptions(targetOptions);
+    parentOptions.path = utils.getParentPath(targetPath);
+    self.getInfo(parentOptions, function (err, info) {
+      if (err || info.type !== constants.DIR_TYPE) {
+        callback(err ? err : _createError(errors.NotDirectoryError, parentOptions, 'cannot copy to ' + targetPath + ' beneath entity type ' + info.type));
+        return;
+      }
+      callback(undefined, COPY_ACTION_CREATE, info);
+    });
+  });
+}
+
+/**
+ * Determines whether an item, or any asset beneath it, is checked out by a user other than the one performing an
+ * operation.
+ * @param {Object} options Options for the operation. The path is the item.
+ * @param {Object} info The item's info.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if the item's descendants couldn't be retrieved.
+ * @param {RepositoryError} callback.lockErr An error for the first asset that is checked out by another user, or
+ *  undefined if there isn't one.
+ * @private
+ */
+function _getSubtreeLockError(options, info, callback) {
+  var self = this;
+  var lockErr = _getLockError.call(this, options, info);
+  if (lockErr || info.type !== constants.DIR_TYPE) {
+    callback(undefined, lockErr);
+    return;
+  }
+
+  _getDescendants.call(this, options, function (err, entries) {
+    callback(err, err ? undefined : _getEntriesLockError.call(self, options, entries));
+  });
+}
+
+/**
+ * Finds the first asset in a list of entries that is checked out by a user other than the one performing an operation.
+ * @param {Object} options Options for the operation.
+ * @param {Array} entries Each entry contains the path and info of an item, as provided by _getDescendants.
+ * @returns {RepositoryError|undefined} An error for the checked out asset, or undefined if there isn't one.
+ * @private
+ */
+function _getEntriesLockError(options, entries) {
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i].info.type === constants.ASSET_TYPE) {
+      var lockErr = _getLockError.call(this, options, entries[i].info, entries[i].path);
+      if (lockErr) {
+        return lockErr;
+      }
+    }
+  }
+}
+
+/**
+ * Retrieves all items beneath a directory, depth-first, so that each directory appears after its children.
+ * @param {Object} options Options whose path is a directory.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Array} callback.entries Each entry contains the path and info of an item.
+ * @private
+ */
+function _getDescendants(options, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  var entries = [];
+
+  this.list(paging.withoutPaging(options), function (err, children) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    async.eachSeries(children, function (child, eachCb) {
+      var childOptions = _copyOptions(options);
+      childOptions.path = utils.joinPath(path, child.name);
+
+      if (child.type !== constants.DIR_TYPE) {
+        entries.push({path: childOptions.path, info: child});
+        eachCb();
+        return;
+      }
+
+      _getDescendants.call(self, childOptions, function (err, descendants) {
+        if (err) {
+          eachCb(err);
+          return;
+        }
+        entries = entries.concat(descendants);
+        entries.push({path: childOptions.path, info: child});
+        eachCb();
+      });
+    }, function (err) {
+      callback(err, entries);
+    });
+  });
+}
+
+/**
+ * Removes each of a list of entries in order, sending the repository's deleteprogress event after each one. Directories
+ * containing an entry that could not be removed will not be removed.
+ * @param {Object} options Options for the delete operation.
+ * @param {Array} entries Entries to remove, as provided by _getDescendants.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if one or more of the entries could not be removed.
+ * @param {Object} callback.result Contains the removed and failed entries.
+ * @private
+ */
+function _removeEntries(options, entries, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  var removed = [];
+  var failed = [];
+
+  function _hasFailedChild(entry) {
+    for (var i = 0; i < failed.length; i++) {
+      if (failed[i].path.indexOf(entry.path + utils.sep()) === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function _emitProgress(entry) {
+    self.emitCallback(options, function () {
+      self.emit('deleteprogress', {
+        path: path,
+        entry: entry.path,
+        progress: {total: entries.length, removed: removed.length, failed: failed.length}
+      });
+    });
+  }
+
+  async.eachSeries(entries, function (entry, eachCb) {
+    var isDirectory = entry.info.type === constants.DIR_TYPE;
+
+    if (isDirectory && _hasFailedChild(entry)) {
+      failed.push({path: entry.path, info: entry.info, error: _createError(errors.NotEmptyError, options, 'directory not empty ' + entry.path, entry.path)});
+      _emitProgress(entry);
+      eachCb();
+      return;
+    }
+
+    var lockErr = !isDirectory ? _getLockError.call(self, options, entry.info, entry.path) : undefined;
+    if (lockErr) {
+      failed.push({path: entry.path, info: entry.info, error: lockErr});
+      _emitProgress(entry);
+      eachCb();
+      return;
+    }
+
+    var entryOptions = _copyOptions(options);
+    entryOptions.path = entry.path;
+    var hook = isDirectory ? self._deleteDirectory : self._deleteAsset;
+    _invokeHook.call(self, hook, [entry.path, entryOptions, entry.info], function (err) {
+      if (err) {
+        Repository.getLogger(options).error('error deleting %s', entry.path, err);
+        failed.push({path: entry.path, info: entry.info, error: err});
+      } else {
+        removed.push(entry);
+        _emitChange.call(self, entryOptions, CHANGE_DELETED, entry.info);
+      }
+      _emitProgress(entry);
+      eachCb();
+    });
+  }, function () {
+    var err;
+    if (failed.length) {
+      // include the results with the error, so that they're available when the operation's promise is rejected
+      err = _createError(errors.PartialFailureError, options, 'unable to delete ' + failed.length + ' entries of directory ' + path);
+      err.removed = removed;
+      err.failed = failed;
+    }
+    callback(err, {removed: removed, failed: failed});
+  });
+}
+
+/**
+ * Determines whether a delete operation should move its item to the trash rather than removing it.
+ * @param {Object} options Options for the operation.
+ * @returns {Boolean} True if the item should be moved to the trash.
+ * @private
+ */
+function _isTrashed(options) {
+  return this.trash && !options.permanent;
+}
+
+/**
+ * Moves a directory to the trash, after verifying that none of its assets are checked out by another user.
+ * @param {Object} options Options for the operation. The path is the directory.
+ * @param {Object} info The directory's info.
+ * @param {Array} entries The directory's descendants (depth-first) followed by the directory itself. Each entry
+ *  contains the path and info of an item.
+ * @param {Function} callback Invoked with an error, or the directory's deletion results.
+ * @private
+ */
+function _trashEntries(options, info, entries, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+
+  var lockErr = _getEntriesLockError.call(this, options, entries);
+  if (lockErr) {
+    callback(lockErr);
+    return;
+  }
+
+  _invokeHook.call(this, this._moveToTrash, [path, options, info], function (err, trashEntry) {
+    if (err) {
+      Repository.getLogger(options).error('error moving directory %s to trash', path, err);
+      callback(err);
+      return;
+    }
+
+    entries.forEach(function (entry) {
+      var entryOptions = _copyOptions(options);
+      entryOptions.path = entry.path;
+      _emitChange.call(self, entryOptions, CHANGE_DELETED, entry.info);
+    });
+    callback(undefined, {removed: entries, failed: [], trashEntry: trashEntry});
+  });
+}
+
+/**
+ * Retrieves the entries in the trash, most recently deleted first.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Invoked with an error or the entries.
+ * @private
+ */
+function _getTrashEntries(options, callback) {
+  _invokeHook.call(this, this._listTrash, [options], function (err, entries) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(undefined, entries.slice().sort(function (first, second) {
+      return second.deleted - first.deleted;
+    }));
+  });
+}
+
+/**
+ * Retrieves one of the entries in the trash.
+ * @param {String} id ID of the entry.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Invoked with an error (i.e. if the entry doesn't exist) or the entry.
+ * @private
+ */
+function _getTrashEntry(id, options, callback) {
+  _invokeHook.call(this, this._listTrash, [options], function (err, entries) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i].id === id) {
+        callback(undefined, entries[i]);
+        return;
+      }
+    }
+    callback(_createError(errors.NotFoundError, options, 'trash entry ' + id + ' does not exist'));
+  });
+}
+
+/**
+ * Performs one of a batch's operations by invoking the repository method that it names.
+ * @param {Object} operation The operation's descriptor.
+ * @param {Object} batchOptions Options received from the caller of batch.
+ * @param {Function} callback Invoked with the method's error or result.
+ * @private
+ */
+function _invokeBatchOperation(operation, batchOptions, callback) {
+  var argumentNames = batch.OPERATIONS[operation.op];
+  var options = {};
+  for (var key in batchOptions) {
+    if (key !== 'subscriberId' && key !== 'concurrency' && key !== 'stopOnError') {
+      options[key] = batchOptions[key];
+    }
+  }
+  for (key in operation) {
+    if (key !== 'op' && argumentNames.indexOf(key) < 0) {
+      options[key] = operation[key];
+    }
+  }
+  var args = [options].concat(argumentNames.map(function (name) {
+    return operation[name];
+  }));
+  this[operation.op].apply(this, args.concat([callback]));
+}
+
+/**
+ * Determines whether an item found by a search is within the scope that the caller requested.
+ * @param {Object} options Options received from findAssets.
+ * @param {Object} item Information about the item, including its full path.
+ * @returns {Boolean} True if the item should be included in the search's results.
+ * @private
+ */
+function _isInSearchScope(options, item) {
+  var path = Repository.getPathFromOptions(options);
+  var prefix = utils.isRoot(path) ? path : path + utils.sep();
+
+  if (item.type === constants.DIR_TYPE && !options.includeDirectories) {
+    return false;
+  } else if (!item.path || item.path.indexOf(prefix) !== 0) {
+    return false;
+  } else if (options.maxDepth === undefined) {
+    return true;
+  }
+  return item.path.substr(prefix.length).split(utils.sep()).length <= options.maxDepth;
+}
+
+/**
+ * Determines whether a caller requested a range of an asset's bytes.
+ * @param {Object} options Options received from the caller.
+ * @returns {Boolean} True if a start or end position was provided.
+ * @private
+ */
+function _isRangeRequested(options) {
+  return options.start !== undefined || options.end !== undefined;
+}
+
+/**
+ * Verifies that the range of bytes requested by a caller can be read from an asset. If the range is valid, the options'
+ * start and end will be set to the exact positions to read.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info The asset's info.
+ * @returns {RepositoryError|undefined} An error if the range is invalid, otherwise undefined.
+ * @private
+ */
+function _getRangeError(options, info) {
+  var start = options.start !== undefined ? options.start : 0;
+  var end = options.end !== undefined ? options.end : info.size - 1;
+  if (!_isPosition(start) || !_isPosition(end)) {
+    return _createError(errors.InvalidArgumentError, options, 'range start and end must be non-negative integers');
+  }
+  if (start > end) {
+    return _createError(errors.InvalidArgumentError, options, 'range start ' + start + ' is after end ' + end);
+  }
+  if (start >= info.size) {
+    return _createError(errors.InvalidArgumentError, options, 'range start ' + start + ' is beyond asset size ' + info.size);
+  }
+  options.start = start;
+  options.end = Math.min(end, info.size - 1);
+}
+
+/**
+ * Determines whether a value can be used as a position within an asset.
+ * @param {*} value Value to check.
+ * @returns {Boolean} True if the value is a non-negative integer.
+ * @private
+ */
+function _isPosition(value) {
+  return ((typeof value) === 'number') && value >= 0 && Math.floor(value) === value;
+}
+
+/**
+ * Creates the progress information sent with the transferprogress event while an asset is being read.
+ * @param {Object} options Options received from the caller of getAsset.
+ * @param {Number} read The total number of bytes read so far.
+ * @param {Number} rate The transfer rate.
+ * @param {Number} total The total number of bytes that will be read.
+ * @returns {Object} Progress information for the event.
+ * @private
+ */
+function _getReadProgress(options, read, rate, total) {
+  var progress = {type: TRANSFER_TYPE_READ, read: read, rate: rate, total: total};
+  if (_isRangeRequested(options)) {
+    progress.start = options.start;
+    progress.end = options.end;
+  }
+  return progress;
+}
+
+/**
+ * Creates an object that computes the hashes of content as it's provided.
+ * @returns {Object} Has an update function, which should be invoked with each chunk of content, and a digest function,
+ *  which returns the content's hashes as expected by _setContentHash.
+ * @private
+ */
+function _createHasher() {
+  var sha256 = crypto.createHash('sha256');
+  var md5 = this.md5 ? crypto.createHash('md5') : undefined;
+  return {
+    update: function (chunk) {
+      sha256.update(chunk);
+      if (md5) {
+        md5.update(chunk);
+      }
+    },
+    digest: function () {
+      return {sha256: sha256.digest('hex'), md5: md5 ? md5.digest('hex') : undefined};
+    }
+  };
+}
+
+/**
+ * Stores the hashes of an asset's content with a copy of the asset.
+ * @param {Object} targetOptions Options whose path is the copy.
+ * @param {Object} info Info of the asset that was copied.
+ * @param {Function} callback Invoked when the hashes have been stored.
+ * @param {String} callback.err Truthy if there was an error.
+ * @private
+ */
+function _copyContentHash(targetOptions, info, callback) {
+  if (!info.hash) {
+    callback();
+    return;
+  }
+  var hashes = {sha256: info.hash, md5: info.md5};
+  _invokeHook.call(this, this._setContentHash, [Repository.getPathFromOptions(targetOptions), targetOptions, hashes], callback);
+}
+
+/**
+ * Verifies that an asset's content can be verified against its hash.
+ * @param {Object} options Options received from the caller of getAsset.
+ * @param {Object} info The asset's info.
+ * @returns {RepositoryError|undefined} An error if the content can't be verified, otherwise undefined.
+ * @private
+ */
+function _getVerifyError(options, info) {
+  if (_isRangeRequested(options)) {
+    return _createError(errors.InvalidArgumentError, options, 'cannot verify a range of an asset');
+  } else if (!info.hash) {
+    return _createError(errors.InvalidArgumentError, options, 'asset has no hash to verify ' + Repository.getPathFromOptions(options));
+  }
+}
+
+/**
+ * Creates a stream that provides an asset's content, but emits an error instead of ending if the content doesn't match
+ * the asset's hash.
+ * @param {Object} options Options received from the caller of getAsset.
+ * @param {Object} info The asset's info.
+ * @param {Stream} stream Stream to the asset's content.
+ * @returns {Stream} The verifying stream.
+ * @private
+ */
+function _getVerifyingStream(options, info, stream) {
+  var sha256 = crypto.createHash('sha256');
+  var verifying = new Transform({
+    transform: function (chunk, encoding, callback) {
+      sha256.update(chunk);
+      callback(undefined, chunk);
+    },
+    flush: function (callback) {
+      var hash = sha256.digest('hex');
+      if (hash !== info.hash) {
+        callback(_createError(errors.IntegrityError, options, 'content hash ' + hash + ' does not match expected hash ' + info.hash));
+        return;
+      }
+      callback();
+    }
+  });
+  stream.on('error', function (err) {
+    verifying.emit('error', err);
+  });
+  return stream.pipe(verifying);
+}
+
+/**
+ * Verifies that a rendition name provided by a caller is valid.
+ * @param {Object} options Options for the operation.
+ * @param {String} name The name to verify.
+ * @returns {RepositoryError|undefined} An error if the name is invalid, otherwise undefined.
+ * @private
+ */
+function _getRenditionNameError(options, name) {
+  if (!name || (typeof name) !== 'string' || name.indexOf(':') >= 0) {
+    return _createError(errors.InvalidArgumentError, options, 'rendition name must be a non-empty string without colons');
+  }
+}
 
-  log.debug('listing path %s', path);
+/**
+ * Retrieves one of an asset's renditions. The asset's stored rendition is preferred, followed by the repository
+ * implementation's own thumbnail or preview (for the well-known names), followed by a rendition created by the
+ * repository's rendition generators.
+ * @param {String} name Name of the rendition.
+ * @param {String} path The path of the asset.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info The asset's info.
+ * @param {Function} callback Invoked with an error, a readable stream to the rendition, and its content type.
+ * @private
+ */
+function _findRendition(name, path, options, info, callback) {
+  var self = this;
+  _invokeHook.call(this, this._getRendition, [path, name, options, info], function (storedErr, stream, contentType) {
+    if (!errors.hasCode(storedErr, errors.ENOTFOUND) && !errors.hasCode(storedErr, errors.ENOTIMPL)) {
+      callback(storedErr, stream, contentType);
+      return;
+    }
 
-  function _sendCallback(err, list) {
-    log.debug('finished listing path %s', path);
-    self.emitCallback(options, function () {
-      callback(err, list);
+    function _generate(err) {
+      if (self.renditionGenerators.find(name, info.contentType)) {
+        _generateRendition.call(self, name, path, options, info, callback);
+      } else {
+        callback(err);
+      }
+    }
+
+    if (!RENDITION_HOOKS[name]) {
+      _generate(storedErr);
+      return;
+    }
+    _invokeHook.call(self, self[RENDITION_HOOKS[name]], [path, options, info], function (err, stream, contentType) {
+      if (errors.hasCode(err, errors.ENOTIMPL)) {
+        // prefer the stored rendition's error, which indicates whether renditions are supported at all
+        _generate(storedErr);
+        return;
+      }
+      callback(err, stream, contentType);
     });
+  });
+}
+
+/**
+ * Creates one of an asset's renditions using the generator registered for the asset's content type. Generated
+ * renditions are cached until the asset changes.
+ * @param {String} renditionType Name of the rendition.
+ * @param {String} path The path of the asset.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info The asset's info.
+ * @param {Function} callback Invoked with an error, a readable stream to the rendition, and its content type.
+ * @private
+ */
+function _generateRendition(renditionType, path, options, info, callback) {
+  var self = this;
+  var key = renditionType + ':' + path;
+  var cached = this.renditionCache[key];
+
+  function _sendRendition(content, contentType) {
+    var stream = new PassThrough();
+    stream.end(content);
+    callback(undefined, stream, contentType);
   }
 
-  this.getInfo(options, function (err, info) {
-    if (err || info.type !== constants.DIR_TYPE) {
+  if (cached && cached.modified === info.modified && cached.size === info.size && cached.hash === info.hash) {
+    _sendRendition(cached.content, cached.contentType);
+    return;
+  }
+
+  var sourceOptions = _copyOptions(options);
+  delete sourceOptions.start;
+  delete sourceOptions.end;
+  _invokeHook.call(this, this._getAsset, [path, sourceOptions, info], function (err, source) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    var generator = self.renditionGenerators.find(renditionType, info.contentType);
+    _invokeHook.call(self, generator, [source, info, options], function (err, content, contentType) {
+      if (!err && content && contentType === undefined && content.content !== undefined) {
+        // generator resolved with an object containing the content
+        contentType = content.contentType;
+        content = content.content;
+      }
       if (err) {
-        log.error('error while listing path %s', path, err);
+        Repository.getLogger(options).error('error generating %s of asset %s', renditionType, path, err);
+        callback(err);
+        return;
+      }
+
+      function _cacheRendition(buffer) {
+        if (self.maxCachedRenditions > 0) {
+          delete self.renditionCache[key];
+          self.renditionCache[key] = {
+            modified: info.modified,
+            size: info.size,
+            hash: info.hash,
+            content: buffer,
+            contentType: contentType
+          };
+          var keys = Object.keys(self.renditionCache);
+          for (var i = 0; i < keys.length - self.maxCachedRenditions; i++) {
+            delete self.renditionCache[keys[i]];
+          }
+        }
+        _sendRendition(buffer, contentType);
+      }
+
+      if ((typeof content) === 'string') {
+        content = Buffer.from(content);
+      }
+      if (Buffer.isBuffer(content)) {
+        _cacheRendition(content);
+        return;
+      } else if (!content || (typeof content.on) !== 'function') {
+        Repository.getLogger(options).error('invalid %s generated for asset %s', renditionType, path);
+        callback(_createError(errors.InvalidArgumentError, options, 'rendition generator provided invalid content for ' + renditionType + ' of ' + path));
+        return;
       }
-      _sendCallback(err ? err : 'path to list is not a directory ' + path);
+      var chunks = [];
+      content.on('data', function (chunk) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      });
+      content.on('error', callback);
+      content.on('end', function () {
+        _cacheRendition(Buffer.concat(chunks));
+      });
+    });
+  });
+}
+
+/**
+ * Removes generated renditions from the repository's cache.
+ * @param [String] renditionType If specified, only renditions of this type will be removed.
+ * @param [String] path If specified, only renditions of the item at this path, or beneath it, will be removed.
+ * @private
+ */
+function _removeCachedRenditions(renditionType, path) {
+  var self = this;
+  Object.keys(this.renditionCache).forEach(function (key) {
+    var separator = key.indexOf(':');
+    var keyType = key.substr(0, separator);
+    var keyPath = key.substr(separator + 1);
+    if ((!renditionType || keyType === renditionType) &&
+      (!path || keyPath === path || keyPath.indexOf(utils.isRoot(path) ? path : path + utils.sep()) === 0)) {
+      delete self.renditionCache[key];
+    }
+  });
+}
+
+/**
+ * Verifies that metadata provided by a caller can be assigned to an item.
+ * @param {Object} options Options for the operation.
+ * @param [Object] metadata The metadata to verify.
+ * @returns {RepositoryError|undefined} An error if the metadata is invalid, otherwise undefined.
+ * @private
+ */
+function _getMetadataError(options, metadata) {
+  if (metadata === undefined || metadata === null) {
+    return;
+  }
+  if ((typeof metadata) !== 'object' || Array.isArray(metadata)) {
+    return _createError(errors.InvalidArgumentError, options, 'metadata must be an object');
+  }
+  for (var key in metadata) {
+    if (SYSTEM_FIELDS.indexOf(key) >= 0) {
+      return _createError(errors.InvalidArgumentError, options, 'metadata cannot contain system field ' + key);
+    }
+  }
+}
+
+/**
+ * Assigns metadata to a newly created or copied item, then retrieves the item's info.
+ * @param {Object} options Options whose path is the item.
+ * @param [Object] metadata Metadata to assign, replacing any metadata the item already has.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if there was an error.
+ * @param {Object} callback.info Information for the item.
+ * @private
+ */
+function _assignMetadata(options, metadata, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  metadata = metadata || {};
+
+  this.getInfo(options, function (err, info) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (!Object.keys(metadata).length && !Object.keys(info.metadata || {}).length) {
+      callback(null, info);
       return;
     }
-    self._list(path, options, info, _sendCallback);
+    _invokeHook.call(self, self._setMetadata, [path, options, info, _copyOptions(metadata)], function (err) {
+      if (err) {
+        Repository.getLogger(options).error('error assigning metadata %s', path, err);
+        callback(err);
+        return;
+      }
+      self.getInfo(options, callback);
+    });
   });
-};
+}
 
 /**
- * Creates a new directory in the repository.
- *
- * Expected errors:
- * Path already exists
- * Parent does not exist
- * Parent is not a directory
- * Path is root
+ * Does the work of modifying an item's metadata.
  * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
+ * @param {String} description Describes the operation in log messages.
+ * @param {Function} getMetadata Invoked with the item's current metadata. Should return an object containing either the
+ *  item's new metadata as "metadata", or an error as "err".
+ * @param [Function] callback Invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Object} callback.info Information for the new item.
+ * @param {Object} callback.metadata The item's updated metadata.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the item's updated metadata.
+ * @private
  */
-Repository.prototype.createDirectory = function (pathOrOptions, callback) {
+function _updateMetadata(pathOrOptions, description, getMetadata, callback) {
   var self = this;
 
   var options = _convertPathOptionsToObject(pathOrOptions);
   var log = Repository.getLogger(options);
   var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
 
-  log.debug('creating directory %s', path);
+  log.debug('%s %s', description, path);
 
-  function _sendCallback(err, info) {
-    log.debug('finished creating directory %s', path);
+  function _sendCallback(err, metadata) {
+    log.debug('finished %s %s', description, path);
     self.emitCallback(options, function () {
-      callback(err, info);
+      callback(err, metadata);
     });
   }
 
-  if (utils.isRoot(path)) {
-    log.error('attempt to create root directory %s', path);
-    _sendCallback('cannot create root directory');
-    return;
-  }
+  this.getInfo(options, function (err, info) {
+    if (err) {
+      log.error('error %s %s while retrieving info', description, path, err);
+      _sendCallback(err);
+      return;
+    }
 
-  this.exists(options, function (err, exists) {
-    if (err || exists) {
-      if (err) {
-        log.error('error creating directory when trying to determine if path exists', path, err);
-      }
-      _sendCallback(exists ? 'directory to create already exists ' + path : err);
+    var lockErr = _getLockError.call(self, options, info);
+    var result = lockErr ? {err: lockErr} : getMetadata(info.metadata || {});
+    if (result.err) {
+      _sendCallback(result.err);
       return;
     }
-    var parentOptions = _copyOptions(options);
-    parentOptions.path = utils.getParentPath(path);
-    self.getInfo(parentOptions, function (err, info) {
-      if (err || info.type !== constants.DIR_TYPE) {
-        if (err) {
-          log.error('error creating directory when retrieving parent info %s', path, err);
-        }
-        _sendCallback(err ? err : 'cannot create directory ' + path + ' beneath entity type ' + info.type);
+
+    _invokeHook.call(self, self._setMetadata, [path, options, info, result.metadata], function (err) {
+      if (err) {
+        log.error('error %s %s', description, path, err);
+        _sendCallback(err);
         return;
       }
-      self._createDirectory(path, options, info, function (err) {
-        if (err) {
-          log.error('error creating directory %s', path, err);
-          _sendCallback(err);
-          return;
-        }
-        self.getInfo(options, _sendCallback);
-      });
+      self.getInfo(options, _getChangeCallback.call(self, options, CHANGE_INFO_UPDATED, info, function (err, newInfo) {
+        _sendCallback(err, err ? undefined : (newInfo.metadata || {}));
+      }));
     });
   });
-};
+
+  return deferred.promise;
+}
 
 /**
- * Removes a directory from the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not a directory
- * Path is root
+ * Verifies that a path is an asset, then invokes one of the methods implemented by child classes for the asset.
  * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
+ * @param {String} description Describes the operation in log messages and errors.
+ * @param {Boolean} checkLock If true, the operation will fail if the asset is checked out by another user.
+ * @param {String} changeType If specified, the change event that the method causes. The event will be emitted, and the
+ *  callback will receive the asset's info, after the method completes. Otherwise the callback will receive the method's
+ *  result.
+ * @param {Function} hook Invoked with the path, options, asset info, and a callback.
+ * @param [Function] callback Invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
+ * @param {*} callback.result The asset's updated info if changeType is specified, otherwise the method's result.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the result.
+ * @private
  */
-Repository.prototype.deleteDirectory = function (pathOrOptions, callback) {
+function _invokeAssetHook(pathOrOptions, description, checkLock, changeType, hook, callback) {
   var self = this;
 
   var options = _convertPathOptionsToObject(pathOrOptions);
   var log = Repository.getLogger(options);
   var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
 
-  log.debug('deleting directory %s', path);
+  log.debug('%s asset %s', description, path);
 
-  function _sendCallback(err) {
-    log.debug('finished deleting directory %s', path);
+  function _sendCallback(err, result) {
+    log.debug('finished %s asset %s', description, path);
     self.emitCallback(options, function () {
-      callback(err);
+      callback(err, result);
     });
   }
 
-  if (utils.isRoot(path)) {
-    log.error('attempt to delete root directory %s', path);
-    _sendCallback('cannot delete root directory');
-    return;
-  }
-
   this.getInfo(options, function (err, info) {
-    if (err || info.type !== constants.DIR_TYPE) {
+    if (err || info.type !== constants.ASSET_TYPE) {
       if (err) {
-        log.error('error deleting directory while retrieving info for directory', path, err);
+        log.error('error %s asset while retrieving asset info %s', description, path, err);
       }
-      _sendCallback(err ? err : 'path to delete is not a directory ' + path);
+      _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path is not an asset ' + path));
+      return;
+    }
+
+    var lockErr = checkLock ? _getLockError.call(self, options, info) : undefined;
+    if (lockErr) {
+      _sendCallback(lockErr);
       return;
     }
-    self._deleteDirectory(path, options, info, _sendCallback);
+
+    _invokeHook.call(self, hook, [path, options, info], function (err, result) {
+      if (err) {
+        log.error('error %s asset %s', description, path, err);
+        _sendCallback(err);
+        return;
+      }
+      if (changeType) {
+        self.getInfo(options, _getChangeCallback.call(self, options, changeType, info, _sendCallback));
+      } else {
+        _sendCallback(undefined, result);
+      }
+    });
   });
-};
 
-/**
- * Retrieves an asset's content from the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
- * @param {String} callback.err Truthy if there was an error.
- * @param {Stream} callback.stream Readable stream to an asset's content.
- */
-Repository.prototype.getAsset = function (pathOrOptions, callback) {
-  _getExistingAssetStream.call(this, pathOrOptions, true, this._getAsset, callback);
-};
+  return deferred.promise;
+}
 
 /**
- * Retrieves an asset's thumbnail from the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
- * @param {String} callback.err Truthy if there was an error.
- * @param {Stream} callback.stream Readable stream to an asset's thumbnail content.
- * @param {String} callback.contentType Mime type of the thumbnail image.
+ * Removes any upload sessions that have expired, allowing child classes to discard their parts, then schedules the
+ * removal of the next session to expire.
+ * @private
  */
-Repository.prototype.getAssetThumbnail = function (pathOrOptions, callback) {
-  _getExistingAssetStream.call(this, pathOrOptions, false, this._getAssetThumbnail, callback);
-};
+function _expireUploads() {
+  var self = this;
+  var now = new Date().getTime();
+  Object.keys(this.uploads).forEach(function (uploadId) {
+    var upload = self.uploads[uploadId];
+    if (!upload.completing && upload.expires <= now) {
+      delete self.uploads[uploadId];
+      var options = _convertPathOptionsToObject(upload.path);
+      _invokeHook.call(self, self._abortUpload, [upload.path, options, upload], function (err) {
+        if (err) {
+          Repository.getLogger(options).warn('unable to discard expired upload of asset %s', upload.path, err);
+        }
+      });
+    }
+  });
+  _scheduleUploadExpiry.call(this);
+}
 
 /**
- * Retrieves an asset's preview image from the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
- * @param {String} callback.err Truthy if there was an error.
- * @param {Stream} callback.stream Readable stream to an asset's preview content.
- * @param {String} callback.contentType Mime type of the preview image.
+ * Schedules _expireUploads to run when the next upload session expires, so that sessions which don't receive any
+ * further calls are still discarded. The timer doesn't keep the process running.
+ * @private
  */
-Repository.prototype.getAssetPreview = function (pathOrOptions, callback) {
-  _getExistingAssetStream.call(this, pathOrOptions, false, this._getAssetPreview, callback);
-};
+function _scheduleUploadExpiry() {
+  var self = this;
+  var next;
+  Object.keys(this.uploads).forEach(function (uploadId) {
+    var upload = self.uploads[uploadId];
+    if (!upload.completing && (next === undefined || upload.expires < next)) {
+      next = upload.expires;
+    }
+  });
 
-/**
- * Creates a new asset in the repository.
- *
- * Expected errors:
- * Path already exists
- * Parent path does not exist
- * Parent is not a directory
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Stream} readStream Stream read as the asset's content.
- * @param [Function] callback Invoked when the asset is fully created.
- * @param [String] callback.err Truthy if there was an error during the operation.
- * @param [Object] callback.info Information for an asset.
- */
-Repository.prototype.createAsset = function (pathOrOptions, readStream, callback) {
-  _getWriteStream.call(this, pathOrOptions, true, readStream, callback);
-};
+  clearTimeout(this.uploadTimer);
+  this.uploadTimer = null;
+  if (next !== undefined) {
+    this.uploadTimer = setTimeout(function () {
+      _expireUploads.call(self);
+    }, Math.max(next - new Date().getTime(), 0));
+    if (this.uploadTimer.unref) {
+      this.uploadTimer.unref();
+    }
+  }
+}
 
 /**
- * Updates an existing asset's content in the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Stream} readStream Stream to read as the asset's content.
- * @param [Function] callback Invoked when the asset is fully updated.
- * @param [String] callback.err Truthy if there was an error during the operation.
- * @param [Object] callback.info Information for an asset.
+ * Retrieves the indexes of an upload's parts, in ascending order.
+ * @param {Object} upload The upload session.
+ * @returns {Array} The indexes.
+ * @private
+ */
+function _getUploadIndexes(upload) {
+  return Object.keys(upload.parts).map(Number).sort(function (a, b) {
+    return a - b;
+  });
+}
+
+/**
+ * Creates the status of an upload as provided to callers.
+ * @param {Object} upload The upload session.
+ * @returns {Object} The upload's status.
+ * @private
  */
-Repository.prototype.updateAsset = function (pathOrOptions, readStream, callback) {
-  _getWriteStream.call(this, pathOrOptions, false, readStream, callback);
-};
+function _getUploadStatus(upload) {
+  var indexes = _getUploadIndexes(upload);
+  var parts = [];
+  var missing = [];
+  var uploaded = 0;
+  var next = 0;
+  indexes.forEach(function (index) {
+    for (; next < index; next++) {
+      missing.push(next);
+    }
+    next = index + 1;
+    parts.push({index: index, size: upload.parts[index]});
+    uploaded += upload.parts[index];
+  });
+  return {
+    uploadId: upload.id,
+    path: upload.path,
+    size: upload.size,
+    uploaded: uploaded,
+    parts: parts,
+    missing: missing,
+    created: new Date(upload.created),
+    expires: new Date(upload.expires)
+  };
+}
 
 /**
- * Updates an existing asset's information in the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
- * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Function} callback Invoked with the result.
- * @param {String} callback.err Truthy if there was an error.
+ * Retrieves an upload session, then does the work of one of the upload methods.
+ * @param {String|Object} uploadIdOrOptions If a string, the ID of an upload. If options, see class documentation for details.
+ * @param {String} description Describes the operation in log messages.
+ * @param [Function] callback Invoked with the result.
+ * @param {Function} work Invoked with the options, the upload session, and a callback. The options' path will be the
+ *  path of the upload's asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the result.
+ * @private
  */
-Repository.prototype.deleteAsset = function (pathOrOptions, callback) {
+function _invokeUploadHook(uploadIdOrOptions, description, callback, work) {
   var self = this;
 
-  var options = _convertPathOptionsToObject(pathOrOptions);
+  var options = _convertUploadOptionsToObject(uploadIdOrOptions);
   var log = Repository.getLogger(options);
-  var path = Repository.getPathFromOptions(options);
+  var uploadId = Repository.getUploadIdFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
 
-  log.debug('deleting asset %s', path);
-
-  function _sendCallback(err) {
-    log.debug('finished deleting asset %s', path);
+  function _sendCallback(err, result) {
+    if (err) {
+      log.error('error %s upload %s', description, uploadId, err);
+    }
     self.emitCallback(options, function () {
-      callback(err);
+      callback(err, result);
     });
   }
 
-  self.getInfo(options, function (err, info) {
-    if (err || info.type !== constants.ASSET_TYPE) {
-      if (err) {
-        log.error('error deleting asset while retrieving asset info %s', path, err);
-      }
-      _sendCallback(err ? err : 'path to delete is not an asset ' + path);
-      return;
-    }
-    self._deleteAsset(path, options, info, _sendCallback);
-  });
-};
+  _expireUploads.call(this);
+
+  var upload = this.uploads[uploadId];
+  if (!upload) {
+    _sendCallback(_createError(errors.NotFoundError, options, 'upload does not exist ' + uploadId));
+    return deferred.promise;
+  }
+  options.path = upload.path;
+  if (upload.completing) {
+    _sendCallback(_createError(errors.InvalidArgumentError, options, 'upload is being completed ' + uploadId));
+    return deferred.promise;
+  }
+
+  log.debug('%s upload %s of asset %s', description, uploadId, upload.path);
+  work.call(this, options, upload, _sendCallback);
+
+  return deferred.promise;
+}
 
 /**
- * Updates an existing asset's info in the repository.
- *
- * Expected errors:
- * Path does not exist
- * Path is not an asset
+ * Retrieves a value indicating whether an asset is currently checked out.
+ * @param {Object} info The asset's info as retrieved by getInfo.
+ * @returns {Boolean} True if the asset is checked out and the check out has not expired.
+ * @private
+ */
+function _isCheckedOut(info) {
+  var expired = info.checkedOutUntil && info.checkedOutUntil <= new Date().getTime();
+  return info.type === constants.ASSET_TYPE && !!info.checkedOut && !expired;
+}
+
+/**
+ * Determines whether an asset is checked out by a user other than the one performing an operation.
+ * @param {Object} options Options for the operation.
+ * @param {Object} info The asset's info as retrieved by getInfo.
+ * @param [String] path Path of the asset. Defaults to the path in the options.
+ * @returns {RepositoryError|undefined} An error if the asset is checked out by another user, otherwise undefined.
+ * @private
+ */
+function _getLockError(options, info, path) {
+  if (_isCheckedOut(info) && info.checkedOutBy !== this.getUserId(options)) {
+    path = path || Repository.getPathFromOptions(options);
+    return _createError(errors.LockedError, options, 'asset is checked out by ' + info.checkedOutBy + ' ' + path, path);
+  }
+}
+
+/**
+ * Does the work of checking an asset out or in.
  * @param {String|Object} pathOrOptions If a string, the full path to an item. If options, see class documentation for details.
- * @param {Object} newInfo Specified keys will be updated in the asset's info.
- * @param {Function} callback Invoked with the result.
+ * @param {String} action One of CHECK_OUT, CHECK_IN, CANCEL_CHECK_OUT, or FORCE_CHECK_IN.
+ * @param [Stream] readStream If specified when checking in, will be read as the asset's new content.
+ * @param [Function] callback Invoked with the result.
  * @param {String} callback.err Truthy if there was an error.
- * @param {Object} callback.info Information for an asset.
+ * @param {Object} callback.info Information for the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's updated info.
+ * @private
  */
-Repository.prototype.updateAssetInfo = function (pathOrOptions, newInfo, callback) {
+function _changeCheckOut(pathOrOptions, action, readStream, callback) {
   var self = this;
 
   var options = _convertPathOptionsToObject(pathOrOptions);
   var log = Repository.getLogger(options);
   var path = Repository.getPathFromOptions(options);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
+  var userId = this.getUserId(options);
 
-  log.debug('updating asset info %s', path);
+  log.debug('%s of asset %s by user %s', action, path, userId);
 
   function _sendCallback(err, info) {
-    log.debug('finished updating asset info %s', path);
+    log.debug('finished %s of asset %s', action, path);
     self.emitCallback(options, function () {
       callback(err, info);
     });
   }
 
+  function _updateCheckOut(info) {
+    var lockTimeout = options.lockTimeout !== undefined ? options.lockTimeout : self.lockTimeout;
+    var isCheckOut = action === CHECK_OUT;
+    var updatedInfo = {
+      checkedOut: isCheckOut,
+      checkedOutBy: isCheckOut ? userId : '',
+      checkedOutUntil: isCheckOut && lockTimeout ? new Date().getTime() + lockTimeout : 0
+    };
+
+    _invokeHook.call(self, self._updateAssetInfo, [path, options, info, updatedInfo], function (err) {
+      if (err) {
+        log.error('error during %s of asset %s', action, path, err);
+        _sendCallback(err);
+        return;
+      }
+      var changeType = isCheckOut ? CHANGE_CHECKED_OUT : CHANGE_CHECKED_IN;
+      self.getInfo(options, _getChangeCallback.call(self, options, changeType, info, _sendCallback));
+    });
+  }
+
   this.getInfo(options, function (err, info) {
     if (err || info.type !== constants.ASSET_TYPE) {
       if (err) {
-        log.error('error updating asset info while retrieving asset info %s', path, err);
+        log.error('error during %s while retrieving asset info %s', action, path, err);
       }
-      _sendCallback(err ? err : 'path to update is not an asset ' + path);
+      _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path to ' + action + ' is not an asset ' + path));
       return;
     }
 
-    var updatedInfo = {};
-    for (var key in info) {
-      if (newInfo[key] !== undefined) {
-        updatedInfo[key] = newInfo[key];
-      } else {
-        updatedInfo[key] = info[key];
+    if (action === CHECK_OUT) {
+      var lockErr = _getLockError.call(self, options, info);
+      if (lockErr) {
+        _sendCallback(lockErr);
+        return;
       }
+    } else if (action !== FORCE_CHECK_IN && !(_isCheckedOut(info) && info.checkedOutBy === userId)) {
+      _sendCallback(_createError(errors.NotLockedError, options, 'asset is not checked out by ' + userId + ' ' + path));
+      return;
+    }
+
+    if (action === CHECK_IN && readStream) {
+      self.updateAsset(options, readStream, function (err, info) {
+        if (err) {
+          _sendCallback(err);
+          return;
+        }
+        _updateCheckOut(info);
+      });
+    } else {
+      _updateCheckOut(info);
     }
+  });
+
+  return deferred.promise;
+}
+
+/**
+ * Ensures that provided options are an object. If not, converts the value to an object according to the provided parameters.
+ * @param {object} options Options object to convert.
+ * @param {string} convertAttribute If typeMatchFunc evaluates to true, a new object with an attribute named this will be created.
+ * @param {function} typeMatchFunc A function that should return true if the value needs to be converted.
+ * @param {object} typeMatchFunc.toCheck The value to check for conversion.
+ * @returns {object} A converted options object.
+ * @private
+ */
+function _convertOptionsToObject (options, convertAttribute, typeMatchFunc) {
+  if (typeMatchFunc(options)) {
+    var convertValue = options;
+    options = {};
+    options[convertAttribute] = convertValue;
+  } else if ((typeof options) !== 'object') {
+    // fallback if the value is unrecognized.
+    options = {};
+  }
+
+  options.contextId = options.contextId || uuid();
+  return options;
+}
+
+/**
+ * Ensures that provided options are an object containing an uploadId attribute.
+ * @param {object} options Options object to convert.
+ * @returns {object} A converted options object.
+ * @private
+ */
+function _convertUploadOptionsToObject (options) {
+  return _convertOptionsToObject(options, 'uploadId', function (toCheck) {
+    return ((typeof toCheck) === 'string');
+  });
+}
+
+/**
+ * Ensures that provided options are an object containing a searchTerm attribute.
+ * @param {object} options Options object to convert.
+ * @returns {object} A converted options object.
+ * @private
+ */
+function _convertSearchTermOptionsToObject (options) {
+  var converted = _convertOptionsToObject(options, 'searchTerm', function (toCheck) {
+    return ((typeof toCheck) === 'string') || (toCheck instanceof RegExp);
+  });
+  var searchTerm = Repository.getSearchTermFromOptions(converted);
+  if ((typeof searchTerm === 'string')) {
+    converted.searchTerm = new RegExp(searchTerm);
+  }
+  return converted;
+}
+
+/**
+ * Ensures that provided options are an object containing a path attribute.
+ * @param {object} options Options object to convert.
+ * @returns {object} A converted options object.
+ * @private
+ */
+function _convertPathOptionsToObject (options) {
+  return _convertOptionsToObject(options, 'path', function (toCheck) {
+    return ((typeof toCheck) === 'string');
+  });
+}
+
+/**
+ * Prepares the callback that a public method should use to send its result. If the caller did not provide a callback,
+ * a Promise is created that will settle with the result instead.
+ * @param {Object} options Options for the method. If a subscriber is specified, the Promise will be rejected as
+ *  cancelled if the subscriber is no longer subscribed when the result is ready.
+ * @param [Function] callback The caller's callback, if provided.
+ * @param [Function] getResult If specified, converts the callback's result arguments into the value that the Promise
+ *  resolves with. By default the Promise resolves with the first result argument.
+ * @returns {Object} Contains the callback to invoke with the result and, if no callback was provided, the promise.
+ * @private
+ */
+function _defer(options, callback, getResult) {
+  if ((typeof callback) === 'function') {
+    return {
+      callback: function (err) {
+        _addErrorContext(options, err);
+        callback.apply(null, arguments);
+      }
+    };
+  }
 
-    self._updateAssetInfo(path, options, info, updatedInfo, function (err) {
+  var self = this;
+  var subscriberId = Repository.getSubscriberIdFromOptions(options);
+  var deferred = {};
+
+  deferred.promise = new Promise(function (resolve, reject) {
+    deferred.reject = reject;
+    deferred.callback = function (err) {
+      _removePromise.call(self, subscriberId, deferred);
       if (err) {
-        log.error('error updating asset info %s', path, err);
-        _sendCallback(err);
+        reject(_addErrorContext(options, err));
         return;
       }
-      self.getInfo(options, _sendCallback);
-    });
+      var results = Array.prototype.slice.call(arguments, 1);
+      resolve(getResult ? getResult.apply(null, results) : results[0]);
+    };
   });
-};
+
+  if (subscriberId) {
+    this.pendingPromises[subscriberId] = this.pendingPromises[subscriberId] || [];
+    this.pendingPromises[subscriberId].push(deferred);
+  }
+  return deferred;
+}
 
 /**
- * Searches for all assets in the repository that match a specified search term.
- *
- * No expected errors.
- * @param {String|RegExp|Object} searchTermOrOptions If a string, the term to use in a simple "contains" search. If a RegExp, the term to match items with in the search. If an object,
- *  see class documentation for details. Path option is not required, but searchTerm option is.
- * @param {Function} callback Invoked with the result.
- * @param {String} callback.err Truthy if there was an error.
- * @param {Array} callback.assets List of assets, where each entry is an asset's information.
+ * Creates one of the repository's errors for an operation.
+ * @param {Function} ErrorType The class of the error, as exported by lib/errors.js.
+ * @param [Object] options Options for the operation.
+ * @param {String} message Description of the error.
+ * @param [String] path Full path of the item that the error concerns. Defaults to the path in the options.
+ * @returns {RepositoryError} The new error.
+ * @private
  */
-Repository.prototype.findAssets = function (searchTermOrOptions, callback) {
-  var self = this;
-
-  var options = _convertSearchTermOptionsToObject(searchTermOrOptions);
-  var log = Repository.getLogger(options);
-  var searchTerm = Repository.getSearchTermFromOptions(options);
+function _createError(ErrorType, options, message, path) {
+  options = options || {};
+  return new ErrorType(message, path || Repository.getPathFromOptions(options), Repository.getContextIdFromOptions(options));
+}
 
-  log.debug('finding assets %s', searchTerm);
+/**
+ * Fills in the path and context id of a repository error, such as one provided by a child class, that doesn't have them.
+ * @param {Object} options Options for the operation that failed.
+ * @param {*} err The error to modify.
+ * @returns {*} The error.
+ * @private
+ */
+function _addErrorContext(options, err) {
+  if (err instanceof errors.RepositoryError) {
+    err.path = err.path || Repository.getPathFromOptions(options);
+    err.contextId = err.contextId || Repository.getContextIdFromOptions(options);
+  }
+  return err;
+}
 
-  this._findAssets(searchTerm, options, function (err, assets) {
-    if (err) {
-      log.error('error finding assets %s', searchTerm, err);
+/**
+ * Stops tracking a subscriber's pending Promise.
+ * @param [String] subscriberId The subscriber that the Promise belongs to.
+ * @param {Object} deferred The deferred object as created by _defer.
+ * @private
+ */
+function _removePromise(subscriberId, deferred) {
+  var pending = this.pendingPromises[subscriberId];
+  if (pending) {
+    var index = pending.indexOf(deferred);
+    if (index >= 0) {
+      pending.splice(index, 1);
     }
-    log.debug('finished finding assets %s', searchTerm);
+    if (!pending.length) {
+      delete this.pendingPromises[subscriberId];
+    }
+  }
+}
 
-    self.emitCallback(options, function () {
-      callback(err, assets);
+/**
+ * Rejects all of a subscriber's pending Promises with a cancellation error.
+ * @param {String} subscriberId The subscriber whose Promises should be cancelled.
+ * @private
+ */
+function _cancelPromises(subscriberId) {
+  var pending = this.pendingPromises[subscriberId];
+  if (pending) {
+    delete this.pendingPromises[subscriberId];
+    pending.forEach(function (deferred) {
+      var err = new errors.CancelledError('subscriber ' + subscriberId + ' is no longer subscribed');
+      err.cancelled = true;
+      deferred.reject(err);
     });
-  });
-};
-/*
- * ---------------------------------------------------------------------------------------------------------------------
- * PRIVATE METHODS
- * ---------------------------------------------------------------------------------------------------------------------
- * These methods should not be used externally and are not guaranteed to remain unchanged.
+  }
+}
+
+/**
+ * Creates the error provided when an operation's transfer is aborted.
+ * @param {Object} options Options for the operation.
+ * @param {String} message Description of the error.
+ * @returns {RepositoryError} The new error, whose "cancelled" property is true.
+ * @private
  */
+function _createCancelledError(options, message) {
+  var err = _createError(errors.CancelledError, options, message);
+  err.cancelled = true;
+  return err;
+}
 
 /**
- * Creates a shallow copy of options.
- * @param {object} toCopy The options to copy.
- * @return {object} An options object.
+ * Retrieves an error if an operation's signal has already been aborted.
+ * @param {Object} options Options for the operation.
+ * @returns {RepositoryError|undefined} An error if the signal was aborted, otherwise undefined.
  * @private
  */
-function _copyOptions(toCopy) {
-  var copied = {};
-  for (var key in toCopy) {
-    copied[key] = toCopy[key];
+function _getAbortedError(options) {
+  if (options.signal && options.signal.aborted) {
+    return _createCancelledError(options, 'transfer of asset ' + Repository.getPathFromOptions(options) + ' was aborted');
+  }
+}
+
+/**
+ * Adds or removes a listener for a signal's abort event. Both DOM-style signals (i.e. AbortSignal) and event emitters
+ * are supported.
+ * @param {Object} signal The signal.
+ * @param {Function} listener The listener.
+ * @param {Boolean} add True to add the listener, false to remove it.
+ * @private
+ */
+function _listenForAbort(signal, listener, add) {
+  if ((typeof signal.addEventListener) === 'function') {
+    signal[add ? 'addEventListener' : 'removeEventListener']('abort', listener);
+  } else if ((typeof signal.on) === 'function') {
+    signal[add ? 'on' : 'removeListener']('abort', listener);
+  }
+}
+
+/**
+ * Tracks an in-flight transfer, so that it can be aborted through the operation's signal or when its subscriber
+ * unsubscribes.
+ * @param {Object} options Options for the operation.
+ * @param {Function} abort Invoked, at most once, when the transfer is aborted.
+ * @returns {Object} The transfer. Its "aborted" property indicates whether it was aborted, and its finish function
+ *  should be invoked when the transfer ends.
+ * @private
+ */
+function _startTransfer(options, abort) {
+  var self = this;
+  var subscriberId = Repository.getSubscriberIdFromOptions(options);
+  var transfer = {aborted: false, finished: false};
+
+  transfer.finish = function () {
+    if (transfer.finished) {
+      return;
+    }
+    transfer.finished = true;
+    if (options.signal) {
+      _listenForAbort(options.signal, transfer.abort, false);
+    }
+    var pending = self.pendingTransfers[subscriberId];
+    if (pending) {
+      pending.splice(pending.indexOf(transfer), 1);
+      if (!pending.length) {
+        delete self.pendingTransfers[subscriberId];
+      }
+    }
+  };
+
+  transfer.abort = function () {
+    if (!transfer.finished) {
+      transfer.aborted = true;
+      transfer.finish();
+      abort();
+    }
+  };
+
+  if (options.signal) {
+    _listenForAbort(options.signal, transfer.abort, true);
+  }
+  if (subscriberId) {
+    this.pendingTransfers[subscriberId] = this.pendingTransfers[subscriberId] || [];
+    this.pendingTransfers[subscriberId].push(transfer);
+  }
+  return transfer;
+}
+
+/**
+ * Adds a transfer to the repository's transfer queue. While the transfer is waiting to start, aborting it (through the
+ * operation's signal, or by unsubscribing its subscriber) removes it from the queue.
+ * @param {Object} options Options for the operation.
+ * @param {String} transferType Type of transfer.
+ * @param {Function} work Invoked when the transfer starts, with a function to invoke (with an error, if the transfer
+ *  failed) when the transfer ends.
+ * @param {Function} cancelled Invoked with a cancellation error if the transfer is aborted before it starts.
+ * @private
+ */
+function _queueTransfer(options, transferType, work, cancelled) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  var entry;
+  var pending = _startTransfer.call(this, options, function () {
+    if (entry) {
+      self.transferQueue.remove(entry);
+    }
+    _emitTransferCancelled.call(self, options, undefined, {type: transferType, read: 0, rate: 0});
+    cancelled(_createCancelledError(options, 'transfer of asset ' + path + ' was aborted'));
+  });
+
+  entry = this.transferQueue.add({path: path, type: transferType, priority: options.priority, context: options}, function (done) {
+    if (pending.aborted) {
+      // a transferqueued listener aborted the transfer before the queue returned its entry
+      done(_createCancelledError(options, 'transfer of asset ' + path + ' was aborted'));
+      return;
+    }
+    pending.finish();
+    work(done);
+  });
+  if (pending.aborted) {
+    this.transferQueue.remove(entry);
   }
-  return copied;
 }
 
 /**
- * Ensures that provided options are an object. If not, converts the value to an object according to the provided parameters.
- * @param {object} options Options object to convert.
- * @param {string} convertAttribute If typeMatchFunc evaluates to true, a new object with an attribute named this will be created.
- * @param {function} typeMatchFunc A function that should return true if the value needs to be converted.
- * @param {object} typeMatchFunc.toCheck The value to check for conversion.
- * @returns {object} A converted options object.
+ * Aborts all of a subscriber's in-flight transfers.
+ * @param {String} subscriberId The subscriber whose transfers should be aborted.
  * @private
  */
-function _convertOptionsToObject (options, convertAttribute, typeMatchFunc) {
-  if (typeMatchFunc(options)) {
-    var convertValue = options;
-    options = {};
-    options[convertAttribute] = convertValue;
-  } else if ((typeof options) !== 'object') {
-    // fallback if the value is unrecognized.
-    options = {};
+function _abortTransfers(subscriberId) {
+  var pending = this.pendingTransfers[subscriberId];
+  if (pending) {
+    pending.slice().forEach(function (transfer) {
+      transfer.abort();
+    });
   }
-
-  options.contextId = options.contextId || uuid();
-  return options;
 }
 
 /**
- * Ensures that provided options are an object containing a searchTerm attribute.
- * @param {object} options Options object to convert.
- * @returns {object} A converted options object.
+ * Destroys a stream, if the stream supports it.
+ * @param {Stream} stream The stream to destroy.
+ * @param [Error] err If specified, the stream will emit the error.
  * @private
  */
-function _convertSearchTermOptionsToObject (options) {
-  var converted = _convertOptionsToObject(options, 'searchTerm', function (toCheck) {
-    return ((typeof toCheck) === 'string') || (toCheck instanceof RegExp);
-  });
-  var searchTerm = Repository.getSearchTermFromOptions(converted);
-  if ((typeof searchTerm === 'string')) {
-    converted.searchTerm = new RegExp(searchTerm);
+function _destroyStream(stream, err) {
+  if (stream && (typeof stream.destroy) === 'function') {
+    stream.destroy(err);
   }
-  return converted;
 }
 
 /**
- * Ensures that provided options are an object containing a path attribute.
- * @param {object} options Options object to convert.
- * @returns {object} A converted options object.
+ * Invokes one of the methods implemented by child classes, allowing the method to either invoke its callback or
+ * return a Promise.
+ * @param {Function} hook The method to invoke.
+ * @param {Array} args Arguments to pass to the method. The callback will be appended to these.
+ * @param {Function} callback Invoked with the method's result.
  * @private
  */
-function _convertPathOptionsToObject (options) {
-  return _convertOptionsToObject(options, 'path', function (toCheck) {
-    return ((typeof toCheck) === 'string');
-  });
+function _invokeHook(hook, args, callback) {
+  var called = false;
+
+  function _hookCallback() {
+    if (!called) {
+      called = true;
+      callback.apply(null, arguments);
+    }
+  }
+
+  var result = hook.apply(this, args.concat([_hookCallback]));
+  if (result && (typeof result.then) === 'function') {
+    result.then(function (value) {
+      // invoke outside of the promise chain so that errors thrown by callbacks are not swallowed
+      process.nextTick(function () {
+        _hookCallback(undefined, value);
+      });
+    }, function (err) {
+      process.nextTick(function () {
+        _hookCallback(err || 'unknown error');
+      });
+    });
+  }
 }
 
 /**
@@ -830,9 +4667,11 @@ function _convertPathOptionsToObject (options) {
  * @param {Function} callback Invoked when there has been an update to the total data read or the transfer rate.
  * @param {Number} callback.totalRead The total number of bytes transferred so far.
  * @param {Number} callback.rate The transfer rate.
+ * @param [Function] getProgress If specified, invoked with the total bytes read and rate to create the progress
+ *  information that is sent with the transferprogress event.
  * @private
  */
-function _monitorTransferProgress(stream, options, transferType, info, callback) {
+function _monitorTransferProgress(stream, options, transferType, info, callback, getProgress) {
   var self = this;
   var path = Repository.getPathFromOptions(options);
   var totalRead = 0;
@@ -849,7 +4688,8 @@ function _monitorTransferProgress(stream, options, transferType, info, callback)
       }
     }
 
-    _emitTransferProgress.call(self, options, transferType, info, {type: transferType, read: totalRead, rate: rate});
+    var progress = getProgress ? getProgress(totalRead, rate) : {type: transferType, read: totalRead, rate: rate};
+    _emitTransferProgress.call(self, options, transferType, info, progress);
     callback(totalRead, rate);
   });
 }
@@ -863,44 +4703,126 @@ function _monitorTransferProgress(stream, options, transferType, info, callback)
  * @param {String} callback.err Truthy if there were errors.
  * @param {Stream} callback.stream Stream to the existing asset.
  * @param [String] callback.contentType Content type of the asset, if supplied.
+ * @param [Boolean] allowRange If true, the caller's start and end options will be validated and provided to
+ *  getStreamFunc.
  * @private
  */
-function _getExistingAssetStream(pathOrOptions, monitorProgress, getStreamFunc, callback) {
+function _getExistingAssetStream(pathOrOptions, monitorProgress, getStreamFunc, callback, allowRange) {
   var self = this;
   var options = _convertPathOptionsToObject(pathOrOptions);
+  var deferred = _defer.call(this, options, callback, monitorProgress ? undefined : function (stream, contentType) {
+    return {stream: stream, contentType: contentType};
+  });
+  callback = deferred.callback;
+
+  var callbackSent = false;
+  var finishQueued = function () {};
 
   function _sendCallback(err, stream, contentType) {
+    if (callbackSent) {
+      return;
+    }
+    callbackSent = true;
+    if (err) {
+      finishQueued(err);
+    }
+    var delivered = false;
     self.emitCallback(options, function () {
+      delivered = true;
       callback(err, stream, contentType);
     });
+    if (!delivered && stream) {
+      // nobody will read the stream, so free its place in the transfer queue
+      _destroyStream(stream);
+      finishQueued();
+    }
   }
 
   var path = Repository.getPathFromOptions(options);
 
-  this.getInfo(options, function (err, info) {
-    if (err || info.type !== constants.ASSET_TYPE) {
-      _sendCallback(err ? err : 'path to retrieve is not an asset ' + path);
-      return;
-    }
-    getStreamFunc.call(self, path, options, info, function (err, stream, contentType) {
-      if (monitorProgress) {
-        var totalRead = 0;
-        var rate = 0;
-        _emitTransferProgress.call(self, options, TRANSFER_TYPE_READ, info, {type: TRANSFER_TYPE_READ, read: totalRead, rate: rate}, true);
+  function _readAsset() {
+    self.getInfo(options, function (err, info) {
+      if (err || info.type !== constants.ASSET_TYPE) {
+        _sendCallback(err ? err : _createError(errors.NotAssetError, options, 'path to retrieve is not an asset ' + path));
+        return;
+      }
+      var abortedErr = monitorProgress ? _getAbortedError(options) : undefined;
+      if (abortedErr) {
+        _sendCallback(abortedErr);
+        return;
+      }
+      var total = info.size;
+      if (allowRange && _isRangeRequested(options)) {
+        var rangeErr = _getRangeError(options, info);
+        if (rangeErr) {
+          _sendCallback(rangeErr);
+          return;
+        }
+        total = options.end - options.start + 1;
+      }
+      var verifyErr = allowRange && options.verify ? _getVerifyError(options, info) : undefined;
+      if (verifyErr) {
+        _sendCallback(verifyErr);
+        return;
+      }
+      _invokeHook.call(self, getStreamFunc, [path, options, info], function (err, stream, contentType) {
+        if (stream && (typeof stream.pipe) !== 'function' && stream.stream) {
+          // hook resolved with an object containing the stream
+          contentType = stream.contentType;
+          stream = stream.stream;
+        }
 
-        _monitorTransferProgress.call(self, stream, options, TRANSFER_TYPE_READ, info, function (progressRead, progressRate) {
-          totalRead = progressRead;
-          rate = progressRate;
-        });
+        if (!err && allowRange && options.verify) {
+          stream = _getVerifyingStream.call(self, options, info, stream);
+        }
 
-        stream.on('end', function () {
-          _emitTransferProgress.call(self, options, TRANSFER_TYPE_READ, info, {type: TRANSFER_TYPE_READ, read: totalRead, rate: rate}, true, true);
-        });
-      }
+        if (!err && monitorProgress) {
+          var totalRead = 0;
+          var rate = 0;
+          var source = stream;
+          var transfer = _startTransfer.call(self, options, function () {
+            var cancelledErr = _createCancelledError(options, 'transfer of asset ' + path + ' was aborted');
+            _emitTransferCancelled.call(self, options, info, _getReadProgress(options, totalRead, rate, total));
+            _destroyStream(stream, cancelledErr);
+            if (source !== stream) {
+              _destroyStream(source);
+            }
+          });
+          ['end', 'close', 'error'].forEach(function (event) {
+            stream.on(event, function (err) {
+              transfer.finish();
+              finishQueued(event === 'error' ? err : undefined);
+            });
+          });
+          _emitTransferProgress.call(self, options, TRANSFER_TYPE_READ, info, _getReadProgress(options, totalRead, rate, total), true);
+
+          _monitorTransferProgress.call(self, stream, options, TRANSFER_TYPE_READ, info, function (progressRead, progressRate) {
+            totalRead = progressRead;
+            rate = progressRate;
+          }, function (progressRead, progressRate) {
+            return _getReadProgress(options, progressRead, progressRate, total);
+          });
 
-      _sendCallback(err, stream, contentType);
+          stream.on('end', function () {
+            _emitTransferProgress.call(self, options, TRANSFER_TYPE_READ, info, _getReadProgress(options, totalRead, rate, total), true, true);
+          });
+        }
+
+        _sendCallback(err, stream, contentType);
+      });
     });
-  });
+  }
+
+  if (monitorProgress) {
+    _queueTransfer.call(this, options, TRANSFER_TYPE_READ, function (done) {
+      finishQueued = done;
+      _readAsset();
+    }, _sendCallback);
+  } else {
+    _readAsset();
+  }
+
+  return deferred.promise;
 }
 
 /**
@@ -908,99 +4830,330 @@ function _getExistingAssetStream(pathOrOptions, monitorProgress, getStreamFunc,
  * @param {String|Object} pathOrOptions A string or object containing options.
  * @param {Boolean} isCreate True if the stream should be to a new asset, otherwise the stream should be to an existing asset.
  * @param {Stream} readStream Read stream to the asset's content.
- * @param {Function} callback Invoked when writing is complete and the asset has been created/updated.
+ * @param [Function] callback Invoked when writing is complete and the asset has been created/updated.
  * @param {String} callback.err Truthy if there were errors creating/updating the asset.
+ * @returns {Promise|undefined} If no callback is provided, resolves with the asset's info.
  * @private
  */
 function _getWriteStream(pathOrOptions, isCreate, readStream, callback) {
   var self = this;
   var options = _convertPathOptionsToObject(pathOrOptions);
+  var deferred = _defer.call(this, options, callback);
+  callback = deferred.callback;
   var path = Repository.getPathFromOptions(options);
   var callbackSent = false;
   var transferType = isCreate ? TRANSFER_TYPE_CREATE : TRANSFER_TYPE_UPDATE;
   var rate = 0;
   var totalRead = 0;
+  var targetInfo;
+  var progressInfo;
+  var writeStream;
+
+  var finishQueued = function () {};
 
   function _sendCallback(err, info) {
-    if (callback && !callbackSent) {
+    if (!callbackSent) {
       callbackSent = true;
+      finishQueued(err);
       self.emitCallback(options, function () {
         callback(err, info);
       });
     }
   }
 
-  function _validate(callback) {
-    if (isCreate) {
-      // verify that path does not already exist
-      self.exists(options, function (err, exists) {
-        if (err || exists) {
-          callback(err ? err : 'asset to create already exists ' + path);
+  var optionsErr = _getAbortedError(options) || (isCreate ? _getMetadataError(options, options.metadata) : undefined);
+  if (optionsErr) {
+    _sendCallback(optionsErr);
+    return deferred.promise;
+  }
+
+  // stops reading the content and discards anything already written. May be invoked again if the write stream is
+  // provided after the transfer was aborted.
+  function _abortWrite() {
+    if (readStream.unpipe) {
+      readStream.unpipe();
+    }
+    _destroyStream(readStream);
+    if (!writeStream) {
+      _sendCallback(_createCancelledError(options, 'transfer of asset ' + path + ' was aborted'));
+      return;
+    }
+    _invokeHook.call(self, self._abortWrite, [path, isCreate, options, targetInfo, writeStream], function (err) {
+      if (err) {
+        Repository.getLogger(options).error('error discarding aborted transfer of asset %s', path, err);
+      }
+      _destroyStream(writeStream);
+      _sendCallback(_createCancelledError(options, 'transfer of asset ' + path + ' was aborted'));
+    });
+  }
+
+  var transfer;
+
+  function _writeAsset() {
+    transfer = _startTransfer.call(self, options, function () {
+      _emitTransferCancelled.call(self, options, progressInfo, {type: transferType, read: totalRead, rate: rate});
+      _abortWrite();
+    });
+
+    _validateWrite.call(self, options, isCreate, function (err, info) {
+      if (transfer.aborted) {
+        return;
+      } else if (err) {
+        transfer.finish();
+        _sendCallback(err);
+        return;
+      }
+      targetInfo = info;
+      progressInfo = !isCreate ? info : {name: utils.getPathName(path), type: constants.ASSET_TYPE};
+      var hasher = _createHasher.call(self);
+      _invokeWriteStreamHook.call(self, path, isCreate, options, info, function (err, stream) {
+        if (err) {
+          transfer.finish();
+          _sendCallback(err);
           return;
         }
-
-        // verify that parent exists and is a directory
-        var parentOptions = _copyOptions(options);
-        parentOptions.path = utils.getParentPath(path);
-        self.getInfo(parentOptions, function (err, info) {
-          if (err || info.type !== constants.DIR_TYPE) {
-            callback(err ? err : 'cannot create asset ' + path + ' beneath entity type ' + info.type);
-            return;
-          }
-          // everything is ok to create
-          callback(undefined, info);
+        writeStream = stream;
+        if (transfer.aborted) {
+          _abortWrite();
+          return;
+        }
+        _emitTransferProgress.call(self, options, transferType, progressInfo, {type: transferType, read: 0, rate: rate}, true, false);
+        writeStream.on('error', function (err) {
+          _sendCallback(err);
         });
-      });
-    } else {
-      // verify that path exists and is an asset
-      self.getInfo(options, function (err, info) {
-        if (err || info.type !== constants.ASSET_TYPE) {
-          callback(err ? err : 'path to update is not an asset ' + path);
+        readStream.on('error', function (err) {
+          _sendCallback(err);
+        });
+        _monitorTransferProgress.call(self, readStream, options, transferType, progressInfo, function (progressRead, progressRate) {
+          totalRead = progressRead;
+          rate = progressRate;
+        });
+        readStream.on('data', function (chunk) {
+          hasher.update(chunk);
+        });
+
+        readStream.pipe(writeStream);
+      }, function (err) {
+        if (transfer.aborted) {
           return;
         }
-        // everything is ok
-        callback(undefined, info);
+        transfer.finish();
+        if (err) {
+          _sendCallback(err);
+          return;
+        }
+        _emitTransferProgress.call(self, options, transferType, progressInfo, {type: transferType, read: totalRead, rate: rate}, true, true);
+        _invokeHook.call(self, self._setContentHash, [path, options, hasher.digest()], function (err) {
+          if (err) {
+            _sendCallback(err);
+          } else if (isCreate) {
+            _assignMetadata.call(self, options, options.metadata, _getChangeCallback.call(self, options, CHANGE_CREATED, undefined, _sendCallback));
+          } else {
+            self.getInfo(options, _getChangeCallback.call(self, options, CHANGE_UPDATED, info, _sendCallback));
+          }
+        });
       });
-    }
+    });
   }
 
-  _validate(function (err, info) {
-    if (err) {
-      _sendCallback(err);
-      return;
-    }
-    var progressInfo = !isCreate ? info : {name: utils.getPathName(path), type: constants.ASSET_TYPE};
-    self._getAssetWriteStream(path, isCreate, options, info, function (err, writeStream) {
+  _queueTransfer.call(this, options, transferType, function (done) {
+    finishQueued = done;
+    _writeAsset();
+  }, _sendCallback);
+
+  return deferred.promise;
+}
+
+/**
+ * Verifies that an asset's content can be written.
+ * @param {Object} options Options for the operation.
+ * @param {Boolean} isCreate True if the asset will be created, otherwise the asset must already exist.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if the content can't be written.
+ * @param {Object} callback.info If isCreate, info for the parent directory. Otherwise the asset's info.
+ * @private
+ */
+function _validateWrite(options, isCreate, callback) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  var preconditionErr = _getPreconditionOptionsError(options);
+  if (preconditionErr) {
+    callback(preconditionErr);
+    return;
+  }
+
+  if (isCreate) {
+    // verify that path does not already exist
+    self.exists(options, function (err, exists) {
       if (err) {
-        _sendCallback(err);
+        callback(err);
+        return;
+      } else if (exists) {
+        _getExistingPreconditionError.call(self, options, function (err) {
+          callback(err || _createError(errors.AlreadyExistsError, options, 'asset to create already exists ' + path));
+        });
         return;
       }
-      _emitTransferProgress.call(self, options, transferType, progressInfo, {type: transferType, read: 0, rate: rate}, true, false);
-      writeStream.on('error', function (err) {
-        _sendCallback(err);
-      });
-      readStream.on('error', function (err) {
-        _sendCallback(err);
-      });
-      _monitorTransferProgress.call(self, readStream, options, transferType, progressInfo, function (progressRead, progressRate) {
-        totalRead = progressRead;
-        rate = progressRate;
-      });
 
-      readStream.pipe(writeStream);
-    }, function (err) {
-      if (err) {
-        _sendCallback(err);
+      // verify that the caller didn't require an existing asset
+      var preconditionErr = _getPreconditionError(options);
+      if (preconditionErr) {
+        callback(preconditionErr);
+        return;
+      }
+
+      // verify that parent exists and is a directory
+      var parentOptions = _copyOptions(options);
+      parentOptions.path = utils.getParentPath(path);
+      self.getInfo(parentOptions, function (err, info) {
+        if (err || info.type !== constants.DIR_TYPE) {
+          callback(err ? err : _createError(errors.NotDirectoryError, parentOptions, 'cannot create asset ' + path + ' beneath entity type ' + info.type));
+          return;
+        }
+        // everything is ok to create
+        callback(undefined, info);
+      });
+    });
+  } else {
+    // verify that path exists and is an asset
+    self.getInfo(options, function (err, info) {
+      if (err || info.type !== constants.ASSET_TYPE) {
+        callback(err ? err : _createError(errors.NotAssetError, options, 'path to update is not an asset ' + path));
         return;
       }
-      _emitTransferProgress.call(self, options, transferType, progressInfo, {type: transferType, read: totalRead, rate: rate}, true, true);
-      if (callback) {
-        self.getInfo(options, _sendCallback);
+      // verify that the asset isn't checked out by someone else
+      var lockErr = _getLockError.call(self, options, info) || _getPreconditionError(options, info);
+      if (lockErr) {
+        callback(lockErr);
+        return;
       }
+      // everything is ok
+      callback(undefined, info);
     });
+  }
+}
+
+/**
+ * Removes the quotes and weak indicator from an etag, so that etags can be compared regardless of how they were
+ * provided.
+ * @param {String} etag The etag to normalize.
+ * @returns {String} The normalized etag.
+ * @private
+ */
+function _normalizeETag(etag) {
+  return String(etag).replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Determines whether an asset's etag is one of a list of etags.
+ * @param {String|Array} etags An etag, a list of etags, or "*" to match any asset.
+ * @param [Object] info The asset's info, or undefined if the asset doesn't exist.
+ * @returns {Boolean} True if the asset matches.
+ * @private
+ */
+function _matchesETag(etags, info) {
+  if (!info) {
+    return false;
+  }
+  etags = Array.isArray(etags) ? etags : [etags];
+  return etags.some(function (etag) {
+    return etag === '*' || (!!info.etag && _normalizeETag(etag) === _normalizeETag(info.etag));
+  });
+}
+
+/**
+ * Verifies that the precondition options provided by a caller are valid.
+ * @param {Object} options Options received from the caller.
+ * @returns {RepositoryError|undefined} An error if the options are invalid, otherwise undefined.
+ * @private
+ */
+function _getPreconditionOptionsError(options) {
+  if (options.ifUnmodifiedSince !== undefined && isNaN(new Date(options.ifUnmodifiedSince).getTime())) {
+    return _createError(errors.InvalidArgumentError, options, 'ifUnmodifiedSince must be a date');
+  }
+}
+
+/**
+ * Verifies that an asset meets the preconditions provided by a caller. The options are assumed to be valid.
+ * @param {Object} options Options received from the caller.
+ * @param [Object] info The asset's current info, or undefined if the asset doesn't exist.
+ * @returns {RepositoryError|undefined} An error whose "info" is the asset's current info if a precondition isn't met,
+ *  otherwise undefined.
+ * @private
+ */
+function _getPreconditionError(options, info) {
+  var path = Repository.getPathFromOptions(options);
+  var message;
+  if (options.ifMatch !== undefined && !_matchesETag(options.ifMatch, info)) {
+    message = 'asset does not match etag ' + options.ifMatch + ' ' + path;
+  } else if (options.ifNoneMatch !== undefined && _matchesETag(options.ifNoneMatch, info)) {
+    message = 'asset matches etag ' + options.ifNoneMatch + ' ' + path;
+  } else if (options.ifUnmodifiedSince !== undefined && info &&
+    info.modified > new Date(options.ifUnmodifiedSince).getTime()) {
+    message = 'asset was modified after ' + new Date(options.ifUnmodifiedSince).toISOString() + ' ' + path;
+  }
+  if (message) {
+    var err = _createError(errors.PreconditionFailedError, options, message);
+    err.info = info;
+    return err;
+  }
+}
+
+/**
+ * Retrieves an existing asset's info, then verifies that it meets the preconditions provided by a caller.
+ * @param {Object} options Options received from the caller.
+ * @param {Function} callback Invoked with the result.
+ * @param {String} callback.err Truthy if a precondition isn't met, or if there was an error retrieving the info.
+ * @private
+ */
+function _getExistingPreconditionError(options, callback) {
+  if (options.ifMatch === undefined && options.ifNoneMatch === undefined && options.ifUnmodifiedSince === undefined) {
+    callback();
+    return;
+  }
+  this.getInfo(options, function (err, info) {
+    callback(err || _getPreconditionError(options, info));
   });
 }
 
+/**
+ * Invokes the _getAssetWriteStream method implemented by child classes, allowing the method to either invoke its
+ * callbacks or return a Promise that resolves with the writable stream.
+ * @param {String} path The path of an item.
+ * @param {Boolean} isCreate Will be true if the asset should be created.
+ * @param {Object} options Options received from the caller.
+ * @param {Object} info Info as expected by _getAssetWriteStream.
+ * @param {Function} streamCallback Invoked when a writable stream to the asset's content is available.
+ * @param {Function} finishedCallback Invoked when the entire write operation is complete.
+ * @private
+ */
+function _invokeWriteStreamHook(path, isCreate, options, info, streamCallback, finishedCallback) {
+  var finished = false;
+
+  function _finishedCallback(err) {
+    if (!finished) {
+      finished = true;
+      finishedCallback(err);
+    }
+  }
+
+  var result = this._getAssetWriteStream(path, isCreate, options, info, streamCallback, _finishedCallback);
+  if (result && (typeof result.then) === 'function') {
+    result.then(function (writeStream) {
+      process.nextTick(function () {
+        writeStream.on('finish', function () {
+          _finishedCallback();
+        });
+        streamCallback(undefined, writeStream);
+      });
+    }, function (err) {
+      process.nextTick(function () {
+        streamCallback(err || 'unknown error');
+      });
+    });
+  }
+}
+
 /**
  * Returns a value indicating whether or not the transferprogress event should be sent.
  * @param {String} path Full path to an asset.
@@ -1052,4 +5205,82 @@ function _emitTransferProgress(options, transferType, info, progress, force, res
   }
 }
 
+/**
+ * Emits the repository's 'transfercancelled' event.
+ * @param {Object} options An object containing options.
+ * @param {Object} info The asset's information. Will be sent with the event.
+ * @param {Object} progress Progress of the transfer when it was aborted. Will be sent with the event.
+ * @private
+ */
+function _emitTransferCancelled(options, info, progress) {
+  var self = this;
+  var path = Repository.getPathFromOptions(options);
+  Repository.getLogger(options).debug('transfer of asset %s was aborted', path);
+  this.emitCallback(options, function () {
+    self.emit('transfercancelled', {path: path, info: info, progress: progress});
+  });
+  delete this.lastEmit[path + ':' + progress.type];
+}
+
+/**
+ * Emits one of the repository's change events, under its own type and as a "change" event. Change events describe the
+ * state of the repository, so they're emitted regardless of whether the subscriber that caused them is still
+ * subscribed.
+ * @param {Object} options Options for the operation that caused the change. The path is the item that changed.
+ * @param {String} type The type of change.
+ * @param [Object] oldInfo The item's info before the change, if it existed.
+ * @param [Object] newInfo The item's info after the change, if it still exists.
+ * @param [String] targetPath If the item was moved, its new path.
+ * @private
+ */
+function _emitChange(options, type, oldInfo, newInfo, targetPath) {
+  var event = {
+    type: type,
+    path: Repository.getPathFromOptions(options),
+    oldInfo: oldInfo,
+    newInfo: newInfo,
+    userId: this.getUserId(options),
+    contextId: options.contextId
+  };
+  if (targetPath) {
+    event.targetPath = targetPath;
+  }
+  Repository.getLogger(options).debug('emitting %s change for %s', type, event.path);
+  _sendChange.call(this, event);
+}
+
+/**
+ * Sends one of the repository's change events.
+ * @param {Object} event The change event, as created by _emitChange.
+ * @private
+ */
+function _sendChange(event) {
+  if (event.type === CHANGE_UPDATED || event.type === CHANGE_DELETED || event.type === CHANGE_MOVED) {
+    _removeCachedRenditions.call(this, undefined, event.path);
+  }
+  this.emit(event.type, event);
+  this.emit('change', event);
+}
+
+/**
+ * Creates a callback that emits one of the repository's change events before invoking another callback, if the
+ * operation that caused the change was successful.
+ * @param {Object} options Options for the operation. The path is the item that changed.
+ * @param {String} type The type of change.
+ * @param [Object] oldInfo The item's info before the change, if it existed.
+ * @param {Function} callback Invoked with the error and new info that the created callback receives.
+ * @param [String] targetPath If the item was moved, its new path.
+ * @returns {Function} A callback that expects an error and the item's new info.
+ * @private
+ */
+function _getChangeCallback(options, type, oldInfo, callback, targetPath) {
+  var self = this;
+  return function (err, newInfo) {
+    if (!err) {
+      _emitChange.call(self, options, type, oldInfo, type === CHANGE_DELETED ? undefined : newInfo, targetPath);
+    }
+    callback(err, newInfo);
+  };
+}
+
 module.exports = Repository;
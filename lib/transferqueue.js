@@ -0,0 +1,198 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var STATE_PENDING = 'pending';
+var STATE_ACTIVE = 'active';
+
+/**
+ * Queue that limits how many of a repository's transfers run at once. Transfers with a higher priority are started
+ * first; transfers with the same priority are started in the order they were queued.
+ *
+ * Emits a "queued" event when a transfer is added, and a "started" event when it begins. Each event receives a
+ * description of the transfer containing its id, path, type, priority, state, and the times at which it was queued
+ * and (for started transfers) started.
+ * @param [Object] options Controls how the queue behaves.
+ * @param [Number] options.maxConcurrent The maximum number of transfers to run at once. By default the number of
+ *  transfers isn't limited.
+ * @constructor
+ */
+function TransferQueue(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+  this.maxConcurrent = options.maxConcurrent || 0;
+  this.paused = false;
+  this.pending = [];
+  this.active = [];
+  this.completed = 0;
+  this.failed = 0;
+  this.nextId = 1;
+}
+
+util.inherits(TransferQueue, EventEmitter);
+
+/**
+ * Creates a description of a queued transfer that callers can't use to modify the queue.
+ * @param {Object} entry The transfer's entry in the queue.
+ * @returns {Object} The transfer's description.
+ * @private
+ */
+function _describe(entry) {
+  var description = {
+    id: entry.id,
+    path: entry.path,
+    type: entry.type,
+    priority: entry.priority,
+    state: entry.state,
+    queued: entry.queued
+  };
+  if (entry.started) {
+    description.started = entry.started;
+  }
+  return description;
+}
+
+/**
+ * Starts as many pending transfers as the queue allows.
+ * @private
+ */
+function _startPending() {
+  while (!this.paused && this.pending.length && (!this.maxConcurrent || this.active.length < this.maxConcurrent)) {
+    _start.call(this, this.pending.shift());
+  }
+}
+
+/**
+ * Starts one of the queue's transfers.
+ * @param {Object} entry The transfer's entry in the queue.
+ * @private
+ */
+function _start(entry) {
+  var self = this;
+  var done = false;
+
+  entry.state = STATE_ACTIVE;
+  entry.started = new Date().getTime();
+  this.active.push(entry);
+  this.emit('started', _describe(entry), entry.context);
+
+  entry.work(function (err) {
+    if (done) {
+      return;
+    }
+    done = true;
+    self.active.splice(self.active.indexOf(entry), 1);
+    if (err) {
+      self.failed++;
+    } else {
+      self.completed++;
+    }
+    _startPending.call(self);
+  });
+}
+
+/**
+ * Adds a transfer to the queue. The transfer will start immediately if the queue allows it.
+ * @param {Object} details Describes the transfer.
+ * @param {String} details.path Full path of the asset being transferred.
+ * @param {String} details.type The kind of transfer, as provided in the repository's transferprogress event.
+ * @param [Number] details.priority Transfers with higher priorities are started first. Defaults to 0.
+ * @param [*] details.context Provided along with the transfer's description in the queue's events.
+ * @param {Function} work Invoked when the transfer starts, with a function that should be invoked (with an error, if
+ *  the transfer failed) when the transfer ends.
+ * @returns {Object} Identifies the transfer to remove.
+ */
+TransferQueue.prototype.add = function (details, work) {
+  var entry = {
+    id: String(this.nextId++),
+    path: details.path,
+    type: details.type,
+    priority: Number(details.priority) || 0,
+    state: STATE_PENDING,
+    queued: new Date().getTime(),
+    context: details.context,
+    work: work
+  };
+
+  var index = this.pending.length;
+  while (index > 0 && this.pending[index - 1].priority < entry.priority) {
+    index--;
+  }
+  this.pending.splice(index, 0, entry);
+  this.emit('queued', _describe(entry), entry.context);
+
+  _startPending.call(this);
+  return entry;
+};
+
+/**
+ * Removes a transfer that hasn't started yet from the queue.
+ * @param {Object} entry The transfer, as returned by add.
+ * @returns {Boolean} True if the transfer was removed, false if it had already started.
+ */
+TransferQueue.prototype.remove = function (entry) {
+  var index = this.pending.indexOf(entry);
+  if (index < 0) {
+    return false;
+  }
+  this.pending.splice(index, 1);
+  return true;
+};
+
+/**
+ * Stops starting transfers. Transfers that have already started will continue.
+ */
+TransferQueue.prototype.pause = function () {
+  this.paused = true;
+};
+
+/**
+ * Resumes starting transfers after the queue was paused.
+ */
+TransferQueue.prototype.resume = function () {
+  this.paused = false;
+  _startPending.call(this);
+};
+
+/**
+ * Changes the maximum number of transfers to run at once. Pending transfers will start if the new limit allows it.
+ * @param {Number} maxConcurrent The maximum number of transfers, or 0 to remove the limit.
+ */
+TransferQueue.prototype.setMaxConcurrent = function (maxConcurrent) {
+  this.maxConcurrent = maxConcurrent || 0;
+  _startPending.call(this);
+};
+
+/**
+ * Retrieves the state of the queue.
+ * @returns {Object} Contains whether the queue is "paused", its "maxConcurrent" value, the number of "pending" and
+ *  "active" transfers, the number of transfers that have "completed" or "failed", and "transfers", which describes
+ *  each active transfer followed by each pending transfer in the order it will start.
+ */
+TransferQueue.prototype.getState = function () {
+  return {
+    paused: this.paused,
+    maxConcurrent: this.maxConcurrent,
+    pending: this.pending.length,
+    active: this.active.length,
+    completed: this.completed,
+    failed: this.failed,
+    transfers: this.active.concat(this.pending).map(_describe)
+  };
+};
+
+module.exports = TransferQueue;
@@ -0,0 +1,109 @@
+/*
+ *  Copyright 2018 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var utils = require('./utils');
+
+/**
+ * Handle returned by a repository's watch method. Emits the repository's change events for items at or directly beneath
+ * the watched path (or anywhere beneath it, if recursive). Each event is emitted under its own type (i.e. "created")
+ * and as a "change" event.
+ *
+ * Events are only emitted while the watch's subscriber (if any) is subscribed to the repository, and the watch is closed
+ * when its subscriber unsubscribes.
+ *
+ * The repository's watches share a single listener for its change events, which is only registered while at least one
+ * watch is open.
+ * @param {Repository} repository The repository to watch.
+ * @param {Object} options Options received from the caller of watch.
+ * @param {String} options.path The path to watch.
+ * @param [Boolean] options.recursive If true, changes anywhere beneath the path will be emitted.
+ * @param [Function] listener If specified, will be registered for the watch's "change" event.
+ * @constructor
+ */
+function Watcher(repository, options, listener) {
+  EventEmitter.call(this);
+
+  var self = this;
+  this.repository = repository;
+  this.options = options;
+  this.path = options.path;
+  this.recursive = !!options.recursive;
+  this.closed = false;
+
+  this.onChange = function (event) {
+    if (self.isWatching(event.path) || (event.targetPath && self.isWatching(event.targetPath))) {
+      repository.emitCallback(options, function () {
+        self.emit(event.type, event);
+        self.emit('change', event);
+      });
+    }
+  };
+
+  if (listener) {
+    this.on('change', listener);
+  }
+  if (!repository.watchers.length) {
+    repository.on('change', _dispatchChange);
+  }
+  repository.watchers.push(this);
+}
+
+util.inherits(Watcher, EventEmitter);
+
+/**
+ * Listener for a repository's change events that provides each event to the repository's open watches. Invoked with the
+ * repository as "this".
+ * @param {Object} event The change event.
+ * @private
+ */
+function _dispatchChange(event) {
+  this.watchers.slice().forEach(function (watcher) {
+    watcher.onChange(event);
+  });
+}
+
+/**
+ * Determines whether changes to a given path will be emitted by the watch.
+ * @param {String} path Full path of an item.
+ * @returns {Boolean} True if the path is being watched, false otherwise.
+ */
+Watcher.prototype.isWatching = function (path) {
+  if (this.closed || !path) {
+    return false;
+  } else if (path === this.path || utils.getParentPath(path) === this.path) {
+    return true;
+  }
+  var prefix = utils.isRoot(this.path) ? this.path : this.path + utils.sep();
+  return this.recursive && path.indexOf(prefix) === 0;
+};
+
+/**
+ * Stops the watch. No further events will be emitted.
+ */
+Watcher.prototype.close = function () {
+  if (!this.closed) {
+    var watchers = this.repository.watchers;
+    this.closed = true;
+    watchers.splice(watchers.indexOf(this), 1);
+    if (!watchers.length) {
+      this.repository.removeListener('change', _dispatchChange);
+    }
+    this.removeAllListeners();
+  }
+};
+
+module.exports = Watcher;
@@ -0,0 +1,213 @@
+var assert = require('assert');
+var MemoryStream = require('memorystream');
+
+var utils = require('../../../lib/utils');
+var InMemoryRepository = require('../../../lib/backends/in-memory/repository');
+var CachingRepository = require('../../../lib/backends/caching/repository');
+
+function getPath(path) {
+  return path.replace(/\//g, utils.sep());
+}
+
+function getReadStream(content) {
+  return new MemoryStream(content, {readable: true, writable: false});
+}
+
+/**
+ * Wraps an in-memory repository, counting the number of times each of its methods is invoked.
+ */
+function getCountingRepository() {
+  var repository = new InMemoryRepository();
+  repository.counts = {};
+  ['_exists', '_getInfo', '_list'].forEach(function (name) {
+    var method = repository[name];
+    repository.counts[name] = 0;
+    repository[name] = function () {
+      repository.counts[name]++;
+      return method.apply(repository, arguments);
+    };
+  });
+  return repository;
+}
+
+it('test caching repository required', function () {
+  assert.throws(function () {
+    new CachingRepository();
+  });
+});
+
+it('test caching info', function () {
+  var wrapped = getCountingRepository();
+  var repository = new CachingRepository(wrapped);
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    wrapped.counts._getInfo = 0;
+    wrapped.counts._exists = 0;
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.size === 5);
+    info.size = 100;
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.size === 5);
+    // the info was cached when createAsset retrieved it
+    assert(wrapped.counts._getInfo === 0);
+    assert(wrapped.counts._exists === 0);
+    var stats = repository.getCacheStats();
+    assert(stats.hits >= 2);
+    assert(stats.misses >= 2);
+    assert(stats.entries > 0);
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.size === 7);
+    repository.clearCache();
+    assert(repository.getCacheStats().entries === 0);
+  });
+});
+
+it('test caching list', function () {
+  var wrapped = getCountingRepository();
+  var repository = new CachingRepository(wrapped);
+  return repository.createDirectory(getPath('/dir')).then(function () {
+    return repository.createAsset(getPath('/dir/test.txt'), getReadStream('hello'));
+  }).then(function () {
+    return repository.list(getPath('/dir'));
+  }).then(function (list) {
+    assert(list.length === 1);
+    return repository.list(getPath('/dir'));
+  }).then(function (list) {
+    assert(list.length === 1);
+    assert(wrapped.counts._list === 1);
+    return repository.createAsset(getPath('/dir/other.txt'), getReadStream('hello'));
+  }).then(function () {
+    return repository.list(getPath('/dir'));
+  }).then(function (list) {
+    assert(list.length === 2);
+    assert(wrapped.counts._list === 2);
+    return repository.moveDirectory(getPath('/dir'), getPath('/moved'));
+  }).then(function () {
+    return repository.exists(getPath('/dir/test.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+    return repository.list(getPath('/moved'));
+  }).then(function (list) {
+    assert(list.length === 2);
+    return repository.deleteDirectory({path: getPath('/moved'), recursive: true});
+  }).then(function () {
+    return repository.exists(getPath('/moved/test.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(list.length === 0);
+  });
+});
+
+it('test caching expiration and eviction', function (done) {
+  var wrapped = getCountingRepository();
+  var repository = new CachingRepository(wrapped, {ttl: 20, maxEntries: 2});
+  repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+    assert(!err);
+    repository.getInfo(getPath('/test.txt'), function (err) {
+      assert(!err);
+      assert(repository.getCacheStats().entries <= 2);
+      assert(repository.getCacheStats().evictions > 0);
+      wrapped.counts._getInfo = 0;
+      setTimeout(function () {
+        repository.getInfo(getPath('/test.txt'), function (err) {
+          assert(!err);
+          assert(wrapped.counts._getInfo === 1);
+          done();
+        });
+      }, 30);
+    });
+  });
+});
+
+it('test caching passes through', function () {
+  var repository = new CachingRepository(new InMemoryRepository({userId: 'unittest'}));
+  var path = getPath('/test.txt');
+  return repository.createAsset({path: path, metadata: {title: 'Test'}}, getReadStream('hello')).then(function () {
+    return repository.checkOut(path);
+  }).then(function (info) {
+    assert(info.checkedOutBy === 'unittest');
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function () {
+    return repository.listVersions(path);
+  }).then(function (versions) {
+    assert(versions.length === 1);
+    return repository.findAssets({query: {metadata: {title: 'Test'}}});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    return repository.getMetadata(path);
+  }).then(function (metadata) {
+    assert(metadata.title === 'Test');
+  });
+});
+
+it('test caching upload', function () {
+  var repository = new CachingRepository(getCountingRepository());
+  var path = getPath('/upload.txt');
+  var uploadId;
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return repository.initiateUpload(path);
+  }).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 0, getReadStream('goodbye'));
+  }).then(function () {
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.size === 5);
+    return repository.completeUpload(uploadId);
+  }).then(function () {
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.size === 7);
+  });
+});
+
+it('test caching transaction', function () {
+  var repository = new CachingRepository(getCountingRepository());
+  var path = getPath('/transaction.txt');
+  return repository.exists(path).then(function (exists) {
+    assert(!exists);
+    return repository.transaction(function (tx) {
+      return tx.createAsset(path, getReadStream('hello'));
+    });
+  }).then(function () {
+    return repository.exists(path);
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test caching read during change', function () {
+  var wrapped = new InMemoryRepository();
+  var repository = new CachingRepository(wrapped);
+  var path = getPath('/test.txt');
+  var getInfo = wrapped._getInfo;
+  var slow = false;
+  wrapped._getInfo = function (infoPath, options, callback) {
+    var delay = slow ? 50 : 0;
+    slow = false;
+    getInfo.call(wrapped, infoPath, options, function (err, info) {
+      setTimeout(function () {
+        callback(err, info);
+      }, delay);
+    });
+  };
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    repository.clearCache();
+    slow = true;
+    return Promise.all([repository.getInfo(path), repository.setMetadata(path, {title: 'changed'})]);
+  }).then(function (results) {
+    // the read started before the change, so it may provide the previous info but must not cache it
+    assert(!results[0].metadata.title);
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.metadata.title === 'changed');
+  });
+});
@@ -0,0 +1,580 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var MemoryStream = require('memorystream');
+var PassThrough = require('stream').PassThrough;
+
+var utils = require('../../../lib/utils');
+var FileSystemRepository = require('../../../lib/backends/filesystem/repository');
+var constants = require('../../../lib/constants');
+var errors = require('../../../lib/errors');
+var png = require('../../../lib/png');
+
+var roots = [];
+
+function getRepository(options) {
+  options = options || {};
+  options.root = fs.mkdtempSync(Path.join(os.tmpdir(), 'asset-repository-'));
+  roots.push(options.root);
+  return new FileSystemRepository(options);
+}
+
+function removeRoot(filePath) {
+  fs.readdirSync(filePath).forEach(function (name) {
+    var childPath = Path.join(filePath, name);
+    if (fs.lstatSync(childPath).isDirectory()) {
+      removeRoot(childPath);
+    } else {
+      fs.unlinkSync(childPath);
+    }
+  });
+  fs.rmdirSync(filePath);
+}
+
+after(function () {
+  roots.forEach(removeRoot);
+});
+
+function getReadStream(content) {
+  return new MemoryStream(content, {readable: true, writable: false});
+}
+
+function getPath(path) {
+  return path.replace(/\//g, utils.sep());
+}
+
+function readToEnd(stream, callback) {
+  var buffer = [];
+  stream.on('data', function (chunk) {
+    buffer.push(chunk);
+  });
+  stream.on('end', function () {
+    callback(Buffer.concat(buffer).toString());
+  });
+}
+
+it('test file system root required', function () {
+  assert.throws(function () {
+    new FileSystemRepository();
+  });
+});
+
+it('test file system directory', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/test'), function (err, info) {
+    assert(!err);
+    assert(info.name === 'test');
+    assert(info.type === constants.DIR_TYPE);
+    assert(info.created);
+    assert(fs.statSync(Path.join(repository.root, 'test')).isDirectory());
+    repository.createDirectory(getPath('/test/sub'), function (err) {
+      assert(!err);
+      repository.list(getPath('/'), function (err, list) {
+        assert(!err);
+        assert(list.length === 1);
+        assert(list[0].name === 'test');
+        repository.deleteDirectory({path: getPath('/test'), recursive: true}, function (err) {
+          assert(!err);
+          repository.exists(getPath('/test'), function (err, exists) {
+            assert(!err);
+            assert(!exists);
+            assert(!fs.existsSync(Path.join(repository.root, 'test')));
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system directory errors', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/invalid/path'), function (err) {
+    assert(err);
+    repository.exists(getPath('/../outside'), function (err, exists) {
+      assert(!err);
+      assert(!exists);
+      repository.createDirectory(getPath('/.asset-repository.test'), function (err) {
+        assert(err);
+        repository.list(getPath('/invalid'), function (err) {
+          assert(err);
+          done();
+        });
+      });
+    });
+  });
+});
+
+it('test file system asset', function (done) {
+  var repository = getRepository();
+  repository.createAsset(getPath('/test.txt'), getReadStream('hello world!'), function (err, info) {
+    assert(!err);
+    assert(info.name === 'test.txt');
+    assert(info.type === constants.ASSET_TYPE);
+    assert(info.contentType === 'text/plain');
+    assert(info.size === 12);
+    assert(info.modified);
+    assert(!info.checkedOut);
+    assert(fs.readFileSync(Path.join(repository.root, 'test.txt'), 'utf8') === 'hello world!');
+    repository.updateAsset(getPath('/test.txt'), getReadStream('goodbye world!'), function (err, info) {
+      assert(!err);
+      assert(info.size === 14);
+      repository.getAsset(getPath('/test.txt'), function (err, stream) {
+        assert(!err);
+        readToEnd(stream, function (data) {
+          assert(data === 'goodbye world!');
+          repository.list(getPath('/'), function (err, list) {
+            assert(!err);
+            assert(list.length === 1);
+            repository.deleteAsset(getPath('/test.txt'), function (err) {
+              assert(!err);
+              assert(!fs.existsSync(Path.join(repository.root, 'test.txt')));
+              assert(fs.readdirSync(repository.root).length === 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system asset info', function (done) {
+  var repository = getRepository({userId: 'unittest'});
+  repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+    assert(!err);
+    repository.checkOut(getPath('/test.txt'), function (err, info) {
+      assert(!err);
+      assert(info.checkedOut);
+      assert(info.checkedOutBy === 'unittest');
+      repository.list(getPath('/'), function (err, list) {
+        assert(!err);
+        assert(list.length === 1);
+        assert(list[0].checkedOut);
+        repository.updateAsset(getPath('/test.txt'), getReadStream('updated'), function (err, info) {
+          assert(!err);
+          assert(info.checkedOut);
+          assert(info.checkedOutBy === 'unittest');
+          done();
+        });
+      });
+    });
+  });
+});
+
+it('test file system find assets', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/test'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/test/test.txt'), getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.createAsset(getPath('/other.txt'), getReadStream('hello'), function (err) {
+        assert(!err);
+        repository.checkOut(getPath('/test/test.txt'), function (err) {
+          assert(!err);
+          repository.findAssets('test', function (err, matches) {
+            assert(!err);
+            assert(matches.length === 1);
+            assert(matches[0].name === 'test.txt');
+            repository.findAssets(/txt/, function (err, matches) {
+              assert(!err);
+              assert(matches.length === 2);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system move', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/test'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.checkOut(getPath('/test.txt'), function (err) {
+        assert(!err);
+        repository.moveAsset(getPath('/test.txt'), getPath('/test/moved.txt'), function (err, info) {
+          assert(!err);
+          assert(info.name === 'moved.txt');
+          assert(info.checkedOut);
+          repository.rename(getPath('/test'), 'renamed', function (err, info) {
+            assert(!err);
+            assert(info.name === 'renamed');
+            assert(fs.readFileSync(Path.join(repository.root, 'renamed', 'moved.txt'), 'utf8') === 'hello');
+            assert(fs.readdirSync(repository.root).length === 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system copy', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/test'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/test/test.txt'), getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.copyDirectory(getPath('/test'), getPath('/copy'), function (err, info) {
+        assert(!err);
+        assert(info.name === 'copy');
+        assert(fs.readFileSync(Path.join(repository.root, 'copy', 'test.txt'), 'utf8') === 'hello');
+        done();
+      });
+    });
+  });
+});
+
+it('test file system metadata', function (done) {
+  var repository = getRepository();
+  repository.createDirectory({path: getPath('/test'), metadata: {project: 'x'}}, function (err, info) {
+    assert(!err);
+    assert(info.metadata.project === 'x');
+    repository.createAsset({path: getPath('/test/test.txt'), metadata: {author: 'me'}}, getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.setMetadata(getPath('/test/test.txt'), {title: 'Test'}, function (err, metadata) {
+        assert(!err);
+        assert.deepEqual(metadata, {author: 'me', title: 'Test'});
+        repository.rename(getPath('/test'), 'renamed', function (err, info) {
+          assert(!err);
+          assert(info.metadata.project === 'x');
+          repository.getMetadata(getPath('/renamed/test.txt'), function (err, metadata) {
+            assert(!err);
+            assert(metadata.title === 'Test');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system list paging', function (done) {
+  var repository = getRepository();
+  repository.createAsset(getPath('/b.txt'), getReadStream('hello'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/a.txt'), getReadStream('hi'), function (err) {
+      assert(!err);
+      repository.list({path: getPath('/'), limit: 1}, function (err, list) {
+        assert(!err);
+        assert(list.length === 1);
+        assert(list[0].name === 'a.txt');
+        assert(list.total === 2);
+        repository.findAssets({searchTerm: 'txt', limit: 1, cursor: list.nextCursor}, function (err, matches) {
+          assert(!err);
+          assert(matches.length === 1);
+          assert(matches[0].name === 'b.txt');
+          assert(!matches.nextCursor);
+          done();
+        });
+      });
+    });
+  });
+});
+
+it('test file system find assets scope', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/test'), function (err) {
+    assert(!err);
+    repository.createDirectory(getPath('/test/sub'), function (err) {
+      assert(!err);
+      repository.createAsset(getPath('/test/sub/test.txt'), getReadStream('hello'), function (err) {
+        assert(!err);
+        repository.findAssets({searchTerm: 'test', path: getPath('/test')}, function (err, matches) {
+          assert(!err);
+          assert(matches.length === 1);
+          assert(matches[0].path === getPath('/test/sub/test.txt'));
+          repository.findAssets({searchTerm: 'test', path: getPath('/test'), maxDepth: 1, includeDirectories: true}, function (err, matches) {
+            assert(!err);
+            assert(matches.length === 0);
+            repository.findAssets({searchTerm: 'test', includeDirectories: true}, function (err, matches) {
+              assert(!err);
+              assert(matches.length === 2);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test file system asset range', function (done) {
+  var repository = getRepository();
+  repository.createAsset(getPath('/range.txt'), getReadStream('hello range world!'), function (err) {
+    assert(!err);
+    repository.getAsset({path: getPath('/range.txt'), start: 6, end: 10}, function (err, stream) {
+      assert(!err);
+      readToEnd(stream, function (data) {
+        assert(data === 'range');
+        done();
+      });
+    });
+  });
+});
+
+it('test file system content hash', function (done) {
+  var repository = getRepository();
+  repository.createAsset(getPath('/hash.txt'), getReadStream('hello'), function (err, info) {
+    assert(!err);
+    assert(info.hash === crypto.createHash('sha256').update('hello').digest('hex'));
+    assert(info.etag === '"' + info.hash + '"');
+    repository.copyAsset(getPath('/hash.txt'), getPath('/copy.txt'), function (err, copyInfo) {
+      assert(!err);
+      assert(copyInfo.hash === info.hash);
+      repository.getAsset({path: getPath('/copy.txt'), verify: true}, function (err, stream) {
+        assert(!err);
+        readToEnd(stream, function (data) {
+          assert(data === 'hello');
+          done();
+        });
+      });
+    });
+  });
+});
+
+it('test file system abort write', function () {
+  var repository = getRepository();
+  var controller = new AbortController();
+  var readStream = new PassThrough();
+  repository.on('transferprogress', function () {
+    if (!readStream.destroyed) {
+      readStream.write('partial content');
+      controller.abort();
+    }
+  });
+  return repository.createAsset({path: getPath('/aborted.txt'), signal: controller.signal}, readStream).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === 'ECANCELED');
+    return new Promise(function (resolve) {
+      // the temporary file is removed once the write stream closes
+      setTimeout(resolve, 50);
+    });
+  }).then(function () {
+    assert(fs.readdirSync(repository.root).length === 0);
+  });
+});
+
+it('test file system generated thumbnail', function () {
+  var repository = getRepository();
+  var image = {width: 600, height: 300, bitDepth: 8, colorType: 2, bytesPerPixel: 3, data: Buffer.alloc(600 * 300 * 3, 64)};
+  return repository.createAsset(getPath('/image.png'), getReadStream(png.encode(image))).then(function () {
+    return repository.getAssetThumbnail(getPath('/image.png'));
+  }).then(function (result) {
+    assert(result.contentType === 'image/png');
+    return new Promise(function (resolve) {
+      var chunks = [];
+      result.stream.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      result.stream.on('end', function () {
+        resolve(Buffer.concat(chunks));
+      });
+    });
+  }).then(function (content) {
+    var thumbnail = png.decode(content);
+    assert(thumbnail.width === 256);
+    assert(thumbnail.height === 128);
+  });
+});
+
+it('test file system delete directory hook', function () {
+  var repository = getRepository();
+  return repository.createDirectory({path: getPath('/dir'), metadata: {tag: 'value'}}).then(function () {
+    return repository.createAsset(getPath('/dir/file.txt'), getReadStream('content'));
+  }).then(function () {
+    return new Promise(function (resolve) {
+      repository._deleteDirectory(getPath('/dir'), {}, {}, resolve);
+    });
+  }).then(function (err) {
+    assert(err.code === errors.ENOTEMPTY);
+    return repository.exists(getPath('/dir/file.txt'));
+  }).then(function (exists) {
+    assert(exists);
+    return repository.deleteDirectory({path: getPath('/dir'), recursive: true});
+  }).then(function () {
+    assert.deepEqual(fs.readdirSync(repository.root), []);
+  });
+});
+
+it('test file system errors', function () {
+  var repository = getRepository();
+  return repository.getInfo(getPath('/missing.txt')).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    assert(err instanceof errors.RepositoryError);
+    return repository.createDirectory(getPath('/.asset-repository.internal'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.createAsset(getPath('/file.txt'), getReadStream('content'));
+  }).then(function () {
+    return repository.moveAsset(getPath('/file.txt'), getPath('/.asset-repository.file.txt'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return new Promise(function (resolve) {
+      repository._deleteAsset(getPath('/missing.txt'), {}, {}, resolve);
+    });
+  }).then(function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    assert(err.path === getPath('/missing.txt'));
+    assert(err.cause.code === 'ENOENT');
+  });
+});
+
+it('test file system resumable upload', function () {
+  var repository = getRepository();
+  var uploadsPath = Path.join(repository.root, '.asset-repository.uploads');
+  var uploadId;
+  return repository.initiateUpload({path: getPath('/upload.txt'), size: 11}).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 1, getReadStream(' wo'));
+  }).then(function () {
+    return repository.uploadPart(uploadId, 0, getReadStream('hello'));
+  }).then(function () {
+    return repository.uploadPart(uploadId, 2, getReadStream('xyz'));
+  }).then(function () {
+    return repository.uploadPart(uploadId, 2, getReadStream('rld'));
+  }).then(function () {
+    assert(!repository.uploads[uploadId].data);
+    assert.deepEqual(fs.readdirSync(Path.join(uploadsPath, uploadId)).sort(), ['0', '1', '2']);
+    return repository.completeUpload(uploadId);
+  }).then(function (info) {
+    assert(info.size === 11);
+    assert(info.hash === crypto.createHash('sha256').update('hello world').digest('hex'));
+    assert.deepEqual(fs.readdirSync(uploadsPath), []);
+    assert.deepEqual(fs.readdirSync(repository.root).sort(), ['.asset-repository.upload.txt.json', '.asset-repository.uploads', 'upload.txt']);
+    assert(fs.readFileSync(Path.join(repository.root, 'upload.txt'), 'utf8') === 'hello world');
+    return repository.initiateUpload(getPath('/upload.txt'));
+  }).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 0, getReadStream('discarded'));
+  }).then(function () {
+    return repository.abortUpload(uploadId);
+  }).then(function () {
+    assert.deepEqual(fs.readdirSync(uploadsPath), []);
+    assert(fs.readFileSync(Path.join(repository.root, 'upload.txt'), 'utf8') === 'hello world');
+  });
+});
+
+it('test file system trash', function () {
+  var repository = getRepository({trash: true, userId: 'unittest'});
+  var assetEntry;
+  var directoryEntry;
+  return repository.createDirectory(getPath('/folder')).then(function () {
+    return repository.createAsset(getPath('/folder/file.txt'), getReadStream('content'));
+  }).then(function () {
+    return repository.createAsset({path: getPath('/other.txt'), metadata: {tag: 'value'}}, getReadStream('other'));
+  }).then(function () {
+    return repository.deleteAsset(getPath('/other.txt'));
+  }).then(function (entry) {
+    assetEntry = entry;
+    assert(entry.path === getPath('/other.txt'));
+    assert(entry.deletedBy === 'unittest');
+    return repository.deleteDirectory({path: getPath('/folder'), recursive: true});
+  }).then(function (result) {
+    directoryEntry = result.trashEntry;
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(!list.length);
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(entries.length === 2);
+    // both items may have been deleted within the same millisecond, so don't rely on the entries' order
+    var entry = entries.filter(function (trashEntry) {
+      return trashEntry.id === directoryEntry.id;
+    })[0];
+    assert(entry.type === constants.DIR_TYPE);
+    return repository.restoreFromTrash(directoryEntry.id);
+  }).then(function () {
+    return repository.getInfo(getPath('/folder/file.txt'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    return repository.restoreFromTrash(assetEntry.id, {targetPath: getPath('/folder/restored.txt')});
+  }).then(function (info) {
+    assert(info.name === 'restored.txt');
+    assert(info.metadata.tag === 'value');
+    return repository.deleteAsset(getPath('/folder/restored.txt'));
+  }).then(function (entry) {
+    return repository.purgeTrash(entry.id);
+  }).then(function () {
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(!entries.length);
+    assert.deepEqual(fs.readdirSync(Path.join(repository.root, '.asset-repository.trash')), []);
+    assert.deepEqual(fs.readdirSync(Path.join(repository.root, 'folder')).sort(), ['.asset-repository.file.txt.json', 'file.txt']);
+  });
+});
+
+it('test file system concurrent sidecar writes', function () {
+  var repository = getRepository();
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    var operations = [];
+    for (var i = 0; i < 20; i++) {
+      operations.push(repository.setMetadata(path, {title: 'title ' + i}));
+      operations.push(repository.updateAssetInfo(path, {}));
+      operations.push(repository.getInfo(path));
+    }
+    return Promise.all(operations);
+  }).then(function () {
+    return repository.getInfo(path);
+  }).then(function (info) {
+    assert(info.metadata.title);
+    assert.deepEqual(fs.readdirSync(repository.root).sort(), ['.asset-repository.test.txt.json', 'test.txt']);
+  });
+});
+
+it('test file system update asset info merges fields', function () {
+  var repository = getRepository();
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return Promise.all([
+      repository.setMetadata(path, {title: 'Title'}),
+      repository.updateAssetInfo(path, {description: 'first'})
+    ]);
+  }).then(function () {
+    return repository.updateAssetInfo(path, {status: 'draft'});
+  }).then(function (info) {
+    assert(info.metadata.title === 'Title');
+    assert(info.description === 'first');
+    assert(info.status === 'draft');
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    assert(info.hash === crypto.createHash('sha256').update('updated').digest('hex'));
+    assert(info.description === 'first');
+    var sidecar = JSON.parse(fs.readFileSync(Path.join(repository.root, '.asset-repository.test.txt.json'), 'utf8'));
+    assert(sidecar.size === undefined);
+    assert(sidecar.etag === undefined);
+  });
+});
+
+it('test file system removes stale uploads', function () {
+  var repository = getRepository();
+  var uploadsPath = Path.join(repository.root, '.asset-repository.uploads');
+  fs.mkdirSync(uploadsPath);
+  fs.mkdirSync(Path.join(uploadsPath, 'stale'));
+  fs.writeFileSync(Path.join(uploadsPath, 'stale', '0'), 'stale part');
+  fs.mkdirSync(Path.join(uploadsPath, 'recent'));
+  var staleTime = new Date(Date.now() - 60000);
+  fs.utimesSync(Path.join(uploadsPath, 'stale'), staleTime, staleTime);
+
+  new FileSystemRepository({root: repository.root, uploadTimeout: 30000});
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 50);
+  }).then(function () {
+    assert.deepEqual(fs.readdirSync(uploadsPath), ['recent']);
+  });
+});
@@ -1,9 +1,14 @@
 var assert = require('assert');
+var crypto = require('crypto');
 var MemoryStream = require('memorystream');
+var PassThrough = require('stream').PassThrough;
 
 var utils = require('../../../lib/utils');
+var Repository = require('../../../lib/repository');
 var InMemoryRepository = require('../../../lib/backends/in-memory/repository');
 var constants = require('../../../lib/constants');
+var errors = require('../../../lib/errors');
+var png = require('../../../lib/png');
 
 function getRepository() {
   var repository = new InMemoryRepository();
@@ -244,13 +249,61 @@ it('test update asset info', function (done) {
     assert(!info.checkedOutBy);
     repository.updateAssetInfo(getPath('/test.txt'), {checkedOut: true, checkedOutBy: 'unittest'}, function (err, info) {
       assert(!err);
-      assert(info.checkedOut);
-      assert(info.checkedOutBy === 'unittest');
+      assert(!info.checkedOut);
+      assert(!info.checkedOutBy);
       done();
     });
   });
 });
 
+it('test update asset info merges fields', function () {
+  var repository = getRepository();
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return Promise.all([
+      repository.setMetadata(path, {title: 'Title'}),
+      repository.updateAssetInfo(path, {description: 'first', content: 'ignored'})
+    ]);
+  }).then(function () {
+    return repository.updateAssetInfo(path, {status: 'draft'});
+  }).then(function (info) {
+    assert(info.metadata.title === 'Title');
+    assert(info.description === 'first');
+    assert(info.status === 'draft');
+    assert(info.size === 5);
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    assert(info.hash === getHash('updated'));
+    assert(info.description === 'first');
+  });
+});
+
+it('test update asset info check out fields', function () {
+  var repository = new InMemoryRepository({userId: 'alice'});
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return repository.updateAssetInfo(path, {checkedOut: true, checkedOutBy: 'mallory', checkedOutUntil: 1, path: getPath('/other.txt')});
+  }).then(function (info) {
+    assert(!info.checkedOut);
+    assert(!info.checkedOutBy);
+    assert(!info.checkedOutUntil);
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function () {
+    return repository.checkOut(path);
+  }).then(function () {
+    return repository.updateAssetInfo(path, {checkedOut: false, checkedOutBy: 'mallory'});
+  }).then(function (info) {
+    assert(info.checkedOut);
+    assert(info.checkedOutBy === 'alice');
+    return repository.updateAsset({path: path, userId: 'mallory'}, getReadStream('stolen'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+  });
+});
+
 it('test update asset info errors', function (done) {
   var repository = getRepository();
   repository.updateAssetInfo(getPath('/invalid.txt'), {checkedOut: true}, function (err, info) {
@@ -490,3 +543,2017 @@ it('test read no progress', function (done) {
     });
   });
 });
+
+it('test promises', function () {
+  var repository = getRepository();
+  return repository.createDirectory(getPath('/test')).then(function (info) {
+    assert(info.name === 'test');
+    return repository.createAsset(getPath('/test/test.txt'), getReadStream('hello promise'));
+  }).then(function (info) {
+    assert(info.size === 13);
+    return repository.list(getPath('/test'));
+  }).then(function (list) {
+    assert(list.length === 1);
+    assert(list[0].name === 'test.txt');
+    return repository.checkOut(getPath('/test/test.txt'));
+  }).then(function (info) {
+    assert(info.checkedOut);
+    return repository.findAssets('test');
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    return repository.getAssetThumbnail(getPath('/test/test.txt'));
+  }).then(function (thumbnail) {
+    assert(thumbnail.stream);
+    assert(thumbnail.contentType === 'text/plain');
+    return repository.getAsset(getPath('/test/test.txt'));
+  }).then(function (stream) {
+    return new Promise(function (resolve) {
+      readToEnd(stream, resolve);
+    });
+  }).then(function (data) {
+    assert(data === 'hello promise');
+    return repository.deleteAsset(getPath('/test/test.txt'));
+  }).then(function () {
+    return repository.deleteDirectory(getPath('/test'));
+  }).then(function () {
+    return repository.exists(getPath('/test'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test promise errors', function () {
+  var repository = getRepository();
+  return repository.getInfo(getPath('/invalid')).then(function () {
+    assert(false, 'info should not be retrieved');
+  }, function (err) {
+    assert(err);
+    assert(!Repository.isCancelled(err));
+    return repository.createAsset(getPath('/invalid/test.txt'), getReadStream('invalid'));
+  }).then(function () {
+    assert(false, 'asset should not be created');
+  }, function (err) {
+    assert(err);
+  });
+});
+
+it('test promise cancelled', function () {
+  var repository = getRepository();
+  var subscriberId = 'promise subscriber';
+  repository.subscribe(subscriberId);
+  var promise = repository.list({path: getPath('/'), subscriberId: subscriberId});
+  repository.unsubscribe(subscriberId);
+  return promise.then(function () {
+    assert(false, 'unsubscribed promise should not resolve');
+  }, function (err) {
+    assert(Repository.isCancelled(err));
+    assert(!repository.pendingPromises[subscriberId]);
+    return repository.exists({path: getPath('/'), subscriberId: subscriberId});
+  }).then(function () {
+    assert(false, 'non-subscriber promise should not resolve');
+  }, function (err) {
+    assert(Repository.isCancelled(err));
+  });
+});
+
+it('test move asset', function (done) {
+  var repository = new InMemoryRepository({userId: 'unittest'});
+  repository.createDirectory(getPath('/target'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/test.txt'), getReadStream('move me'), function (err, info) {
+      assert(!err);
+      var created = info.created;
+      repository.checkOut(getPath('/test.txt'), function (err) {
+        assert(!err);
+        repository.moveAsset(getPath('/test.txt'), getPath('/target/moved.txt'), function (err, info) {
+          assert(!err);
+          assert(info.name === 'moved.txt');
+          assert(info.created === created);
+          assert(info.checkedOut);
+          assert(info.checkedOutBy === 'unittest');
+          repository.exists(getPath('/test.txt'), function (err, exists) {
+            assert(!err);
+            assert(!exists);
+            verifyAssetContent(repository, getPath('/target/moved.txt'), 'move me', done);
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test move directory', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/source'), function (err) {
+    assert(!err);
+    repository.createDirectory(getPath('/target'), function (err) {
+      assert(!err);
+      repository.createAsset(getPath('/source/test.txt'), getReadStream('child'), function (err) {
+        assert(!err);
+        repository.moveDirectory(getPath('/source'), getPath('/target/source'), function (err, info) {
+          assert(!err);
+          assert(info.name === 'source');
+          assert(info.type === constants.DIR_TYPE);
+          repository.list(getPath('/'), function (err, list) {
+            assert(!err);
+            assert(list.length === 1);
+            verifyAssetContent(repository, getPath('/target/source/test.txt'), 'child', done);
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test rename', function () {
+  var repository = getRepository();
+  return repository.createDirectory(getPath('/dir')).then(function () {
+    return repository.createAsset(getPath('/dir/test.txt'), getReadStream('rename me'));
+  }).then(function () {
+    return repository.rename(getPath('/dir/test.txt'), 'renamed.txt');
+  }).then(function (info) {
+    assert(info.name === 'renamed.txt');
+    return repository.rename(getPath('/dir'), 'renamed');
+  }).then(function (info) {
+    assert(info.name === 'renamed');
+    return repository.exists(getPath('/renamed/renamed.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test move errors', function (done) {
+  var repository = getRepository();
+  repository.createDirectory(getPath('/dir'), function (err) {
+    assert(!err);
+    repository.createAsset(getPath('/dir/test.txt'), getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.moveDirectory(getPath('/dir'), getPath('/dir/sub'), function (err) {
+        assert(err);
+        repository.moveAsset(getPath('/dir'), getPath('/other'), function (err) {
+          assert(err);
+          repository.moveDirectory(getPath('/dir/test.txt'), getPath('/other'), function (err) {
+            assert(err);
+            repository.moveAsset(getPath('/dir/test.txt'), getPath('/dir/test.txt'), function (err) {
+              assert(err);
+              repository.moveAsset(getPath('/dir/test.txt'), getPath('/invalid/test.txt'), function (err) {
+                assert(err);
+                repository.moveAsset(getPath('/dir/test.txt'), getPath('/dir/test.txt/test.txt'), function (err) {
+                  assert(err);
+                  repository.moveDirectory(getPath('/'), getPath('/other'), function (err) {
+                    assert(err);
+                    repository.rename(getPath('/dir'), getPath('/invalid/name'), function (err) {
+                      assert(err);
+                      repository.moveAsset(getPath('/invalid.txt'), getPath('/other.txt'), function (err) {
+                        assert(err);
+                        done();
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test copy asset', function (done) {
+  var repository = getRepository();
+  repository.createAsset(getPath('/test.txt'), getReadStream('copy me'), function (err) {
+    assert(!err);
+    repository.copyAsset(getPath('/test.txt'), getPath('/copy.txt'), function (err, info) {
+      assert(!err);
+      assert(info.name === 'copy.txt');
+      assert(info.size === 7);
+      assert(repository.repository.children['copy.txt'].content[0] === repository.repository.children['test.txt'].content[0]);
+      verifyAssetContent(repository, getPath('/copy.txt'), 'copy me', function () {
+        verifyAssetContent(repository, getPath('/test.txt'), 'copy me', done);
+      });
+    });
+  });
+});
+
+it('test copy asset conflicts', function () {
+  var repository = getRepository();
+  return repository.createAsset(getPath('/test.txt'), getReadStream('source')).then(function () {
+    return repository.createAsset(getPath('/existing.txt'), getReadStream('existing'));
+  }).then(function () {
+    return repository.copyAsset(getPath('/test.txt'), getPath('/existing.txt'));
+  }).then(function () {
+    assert(false, 'copy should fail');
+  }, function (err) {
+    assert(err);
+    return repository.copyAsset({path: getPath('/test.txt'), conflict: constants.CONFLICT_SKIP}, getPath('/existing.txt'));
+  }).then(function (info) {
+    assert(info.size === 8);
+    return repository.copyAsset({path: getPath('/test.txt'), conflict: constants.CONFLICT_OVERWRITE}, getPath('/existing.txt'));
+  }).then(function (info) {
+    assert(info.size === 6);
+    return repository.createDirectory(getPath('/dir'));
+  }).then(function () {
+    return repository.copyAsset({path: getPath('/test.txt'), conflict: constants.CONFLICT_OVERWRITE}, getPath('/dir'));
+  }).then(function () {
+    assert(false, 'asset should not overwrite directory');
+  }, function (err) {
+    assert(err);
+    return repository.copyAsset(getPath('/test.txt'), getPath('/invalid/test.txt'));
+  }).then(function () {
+    assert(false, 'copy should fail');
+  }, function (err) {
+    assert(err);
+  });
+});
+
+it('test copy directory', function () {
+  var repository = getRepository();
+  return repository.createDirectory(getPath('/source')).then(function () {
+    return repository.createDirectory(getPath('/source/sub'));
+  }).then(function () {
+    return repository.createAsset(getPath('/source/sub/test.txt'), getReadStream('nested'));
+  }).then(function () {
+    return repository.createAsset(getPath('/source/test.txt'), getReadStream('top'));
+  }).then(function () {
+    return repository.copyDirectory(getPath('/source'), getPath('/source/sub/copy'));
+  }).then(function () {
+    assert(false, 'directory should not be copied beneath itself');
+  }, function (err) {
+    assert(err);
+    return repository.copyDirectory(getPath('/source'), getPath('/copy'));
+  }).then(function (info) {
+    assert(info.name === 'copy');
+    assert(info.type === constants.DIR_TYPE);
+    return repository.findAssets('test');
+  }).then(function (matches) {
+    assert(matches.length === 4);
+    return repository.copyDirectory(getPath('/source'), getPath('/copy'));
+  }).then(function () {
+    assert(false, 'copy should fail');
+  }, function (err) {
+    assert(err);
+    return repository.updateAsset(getPath('/source/test.txt'), getReadStream('updated'));
+  }).then(function () {
+    return repository.copyDirectory({path: getPath('/source'), conflict: constants.CONFLICT_SKIP}, getPath('/copy'));
+  }).then(function () {
+    return new Promise(function (resolve) {
+      verifyAssetContent(repository, getPath('/copy/test.txt'), 'top', resolve);
+    });
+  }).then(function () {
+    return repository.copyDirectory({path: getPath('/source'), conflict: constants.CONFLICT_OVERWRITE}, getPath('/copy'));
+  }).then(function () {
+    return new Promise(function (resolve) {
+      verifyAssetContent(repository, getPath('/copy/test.txt'), 'updated', resolve);
+    });
+  });
+});
+
+it('test copy progress', function (done) {
+  var repository = getRepository();
+  // use the default implementation, which streams the content
+  repository._copy = Repository.prototype._copy;
+  repository.createAsset(getPath('/test.txt'), getReadStream('copy progress'), function (err) {
+    assert(!err);
+    var progressCalls = [];
+    repository.on('transferprogress', function (progress) {
+      progressCalls.push(progress);
+    });
+    repository.copyAsset(getPath('/test.txt'), getPath('/copy.txt'), function (err, info) {
+      assert(!err);
+      assert(info.size === 13);
+      assert(progressCalls.length === 2);
+      assert(progressCalls[0].path === getPath('/copy.txt'));
+      assert(progressCalls[0].progress.type === 'copy');
+      assert(progressCalls[1].progress.read === 13);
+      verifyAssetContent(repository, getPath('/copy.txt'), 'copy progress', done);
+    });
+  });
+});
+
+it('test abort copy', function () {
+  var repository = getRepository();
+  // use the default implementation, which streams the content
+  repository._copy = Repository.prototype._copy;
+  var queuedController = new AbortController();
+  var controller = new AbortController();
+  var cancelled = [];
+  repository.on('transfercancelled', function (data) {
+    cancelled.push(data.path);
+  });
+  return repository.createAsset(getPath('/test.txt'), getReadStream('abort copy')).then(function () {
+    repository.pauseTransfers();
+    var copy = repository.copyAsset({path: getPath('/test.txt'), signal: queuedController.signal}, getPath('/queued.txt'));
+    repository.once('transferqueued', function (transfer) {
+      assert(transfer.type === 'copy');
+      queuedController.abort();
+    });
+    return copy;
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ECANCELED);
+    assert(repository.getTransferQueueState().pending === 0);
+    repository.resumeTransfers();
+    repository.once('transferprogress', function () {
+      controller.abort();
+    });
+    return repository.copyAsset({path: getPath('/test.txt'), signal: controller.signal}, getPath('/copy.txt'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ECANCELED);
+    assert.deepEqual(cancelled, [getPath('/queued.txt'), getPath('/copy.txt')]);
+    return Promise.all([repository.exists(getPath('/queued.txt')), repository.exists(getPath('/copy.txt'))]);
+  }).then(function (exists) {
+    assert.deepEqual(exists, [false, false]);
+  });
+});
+
+function createTree(repository) {
+  return repository.createDirectory(getPath('/tree')).then(function () {
+    return repository.createDirectory(getPath('/tree/sub'));
+  }).then(function () {
+    return repository.createAsset(getPath('/tree/sub/test.txt'), getReadStream('nested'));
+  }).then(function () {
+    return repository.createAsset(getPath('/tree/test.txt'), getReadStream('top'));
+  });
+}
+
+it('test delete non-empty directory', function () {
+  var repository = getRepository();
+  return createTree(repository).then(function () {
+    return repository.deleteDirectory(getPath('/tree'));
+  }).then(function () {
+    assert(false, 'non-empty directory should not be deleted');
+  }, function (err) {
+    assert(err.code === errors.ENOTEMPTY);
+    return repository.exists(getPath('/tree/sub/test.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test delete directory dry run', function () {
+  var repository = getRepository();
+  return createTree(repository).then(function () {
+    return repository.deleteDirectory({path: getPath('/tree'), recursive: true, dryRun: true});
+  }).then(function (result) {
+    var paths = result.removed.map(function (entry) {
+      return entry.path;
+    });
+    assert.deepEqual(paths, [getPath('/tree/sub/test.txt'), getPath('/tree/sub'), getPath('/tree/test.txt'), getPath('/tree')]);
+    assert(result.removed[0].info.type === constants.ASSET_TYPE);
+    assert(result.failed.length === 0);
+    return repository.exists(getPath('/tree/sub/test.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test delete directory recursive', function () {
+  var repository = getRepository();
+  var progressCalls = [];
+  repository.on('deleteprogress', function (progress) {
+    progressCalls.push(progress);
+  });
+  return createTree(repository).then(function () {
+    return repository.deleteDirectory({path: getPath('/tree'), recursive: true});
+  }).then(function (result) {
+    assert(result.removed.length === 4);
+    assert(result.failed.length === 0);
+    assert(progressCalls.length === 4);
+    assert(progressCalls[0].path === getPath('/tree'));
+    assert(progressCalls[0].entry === getPath('/tree/sub/test.txt'));
+    assert(progressCalls[3].progress.total === 4);
+    assert(progressCalls[3].progress.removed === 4);
+    return repository.exists(getPath('/tree'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test delete directory recursive failures', function (done) {
+  var repository = getRepository();
+  createTree(repository).then(function () {
+    var deleteAsset = repository._deleteAsset;
+    repository._deleteAsset = function (path, options, info, callback) {
+      if (path === getPath('/tree/sub/test.txt')) {
+        callback('unable to delete');
+        return;
+      }
+      deleteAsset.call(this, path, options, info, callback);
+    };
+    repository.deleteDirectory({path: getPath('/tree'), recursive: true}, function (err, result) {
+      assert(err);
+      assert(result.removed.length === 1);
+      assert(result.removed[0].path === getPath('/tree/test.txt'));
+      assert(result.failed.length === 3);
+      assert(result.failed[0].path === getPath('/tree/sub/test.txt'));
+      assert(result.failed[0].error === 'unable to delete');
+      assert(result.failed[2].path === getPath('/tree'));
+      assert(err.failed === result.failed);
+      assert(err.removed === result.removed);
+      done();
+    });
+  });
+});
+
+it('test check out', function () {
+  var repository = new InMemoryRepository({userId: 'owner'});
+  var other = {path: getPath('/test.txt'), userId: 'other'};
+  return repository.createAsset(getPath('/test.txt'), getReadStream('locked')).then(function () {
+    return repository.checkOut(getPath('/test.txt'));
+  }).then(function (info) {
+    assert(info.checkedOut);
+    assert(info.checkedOutBy === 'owner');
+    assert(!info.checkedOutUntil);
+    return repository.checkOut(other);
+  }).then(function () {
+    assert(false, 'other user should not check out');
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+    assert(err.message.indexOf('asset is checked out by owner') === 0);
+    return repository.updateAsset(other, getReadStream('other'));
+  }).then(function () {
+    assert(false, 'other user should not update');
+  }, function (err) {
+    assert(err);
+    return repository.updateAssetInfo(other, {checkedOut: false});
+  }).then(function () {
+    assert(false, 'other user should not update info');
+  }, function (err) {
+    assert(err);
+    return repository.deleteAsset(other);
+  }).then(function () {
+    assert(false, 'other user should not delete');
+  }, function (err) {
+    assert(err);
+    return repository.moveAsset(other, getPath('/moved.txt'));
+  }).then(function () {
+    assert(false, 'other user should not move');
+  }, function (err) {
+    assert(err);
+    return repository.cancelCheckOut(other);
+  }).then(function () {
+    assert(false, 'other user should not cancel check out');
+  }, function (err) {
+    assert(err);
+    return repository.updateAsset(getPath('/test.txt'), getReadStream('owner update'));
+  }).then(function () {
+    return repository.checkIn(getPath('/test.txt'), getReadStream('checked in'));
+  }).then(function (info) {
+    assert(!info.checkedOut);
+    assert(!info.checkedOutBy);
+    assert(info.size === 10);
+    return repository.checkIn(getPath('/test.txt'));
+  }).then(function () {
+    assert(false, 'asset is not checked out');
+  }, function (err) {
+    assert(err);
+    return repository.checkOut(other);
+  }).then(function (info) {
+    assert(info.checkedOutBy === 'other');
+    return repository.cancelCheckOut(other);
+  }).then(function (info) {
+    assert(!info.checkedOut);
+  });
+});
+
+it('test check out expiration', function () {
+  var repository = new InMemoryRepository({userId: 'owner', lockTimeout: 20});
+  var other = {path: getPath('/test.txt'), userId: 'other'};
+  return repository.createAsset(getPath('/test.txt'), getReadStream('locked')).then(function () {
+    return repository.checkOut(getPath('/test.txt'));
+  }).then(function (info) {
+    assert(info.checkedOutUntil > new Date().getTime());
+    return repository.deleteAsset(other);
+  }).then(function () {
+    assert(false, 'other user should not delete');
+  }, function (err) {
+    assert(err);
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 30);
+    });
+  }).then(function () {
+    return repository.checkOut(other);
+  }).then(function (info) {
+    assert(info.checkedOutBy === 'other');
+  });
+});
+
+it('test force check in', function () {
+  var repository = new InMemoryRepository({userId: 'owner'});
+  return repository.createAsset(getPath('/test.txt'), getReadStream('locked')).then(function () {
+    return repository.checkOut(getPath('/test.txt'));
+  }).then(function () {
+    return repository.forceCheckIn({path: getPath('/test.txt'), userId: 'admin'});
+  }).then(function (info) {
+    assert(!info.checkedOut);
+    return repository.deleteAsset({path: getPath('/test.txt'), userId: 'other'});
+  });
+});
+
+it('test delete directory with checked out asset', function () {
+  var repository = new InMemoryRepository({userId: 'owner'});
+  return createTree(repository).then(function () {
+    return repository.checkOut(getPath('/tree/test.txt'));
+  }).then(function () {
+    return repository.deleteDirectory({path: getPath('/tree'), recursive: true, userId: 'other'});
+  }).then(function () {
+    assert(false, 'directory should not be deleted');
+  }, function (err) {
+    assert(err);
+    return repository.exists(getPath('/tree/test.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+function readVersion(repository, path, versionId) {
+  return repository.getAssetVersion(path, versionId).then(function (stream) {
+    return new Promise(function (resolve) {
+      readToEnd(stream, resolve);
+    });
+  });
+}
+
+it('test versions', function () {
+  var repository = new InMemoryRepository({userId: 'author'});
+  var path = getPath('/test.txt');
+  var versions;
+  return repository.createAsset(path, getReadStream('first')).then(function () {
+    return repository.listVersions(path);
+  }).then(function (versions) {
+    assert(versions.length === 0);
+    return repository.updateAsset({path: path, userId: 'editor'}, getReadStream('second!'));
+  }).then(function () {
+    return repository.updateAsset(path, getReadStream('third'));
+  }).then(function () {
+    return repository.listVersions(path);
+  }).then(function (list) {
+    versions = list;
+    assert(versions.length === 2);
+    assert(versions[0].size === 7);
+    assert(versions[0].author === 'editor');
+    assert(versions[0].modified);
+    assert(versions[1].size === 5);
+    assert(versions[1].author === 'author');
+    return readVersion(repository, path, versions[1].id);
+  }).then(function (content) {
+    assert(content === 'first');
+    return repository.restoreVersion(path, versions[1].id);
+  }).then(function (info) {
+    assert(info.size === 5);
+    return repository.listVersions(path);
+  }).then(function (list) {
+    assert(list.length === 3);
+    return readVersion(repository, path, list[0].id);
+  }).then(function (content) {
+    assert(content === 'third');
+    return repository.deleteVersion(path, versions[0].id);
+  }).then(function () {
+    return repository.listVersions(path);
+  }).then(function (list) {
+    assert(list.length === 2);
+    return repository.getAssetVersion(path, versions[0].id);
+  }).then(function () {
+    assert(false, 'deleted version should not be retrieved');
+  }, function (err) {
+    assert(err);
+    return new Promise(function (resolve) {
+      verifyAssetContent(repository, path, 'first', resolve);
+    });
+  });
+});
+
+it('test max versions', function () {
+  var repository = new InMemoryRepository({maxVersions: 2});
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('1')).then(function () {
+    return repository.updateAsset(path, getReadStream('22'));
+  }).then(function () {
+    return repository.updateAsset(path, getReadStream('333'));
+  }).then(function () {
+    return repository.updateAsset(path, getReadStream('4444'));
+  }).then(function () {
+    return repository.listVersions(path);
+  }).then(function (versions) {
+    assert(versions.length === 2);
+    assert(versions[0].size === 3);
+    assert(versions[1].size === 2);
+  });
+});
+
+it('test version errors', function (done) {
+  var repository = new InMemoryRepository({userId: 'owner'});
+  repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+    assert(!err);
+    repository.restoreVersion(getPath('/test.txt'), '12', function (err) {
+      assert(err);
+      repository.listVersions(getPath('/'), function (err) {
+        assert(err);
+        repository.checkOut(getPath('/test.txt'), function (err) {
+          assert(!err);
+          repository.deleteVersion({path: getPath('/test.txt'), userId: 'other'}, '1', function (err) {
+            assert(err.code === errors.ELOCKED);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test metadata', function () {
+  var repository = getRepository();
+  var path = getPath('/test.txt');
+  return repository.createAsset({path: path, metadata: {author: 'me'}}, getReadStream('hello')).then(function (info) {
+    assert(info.metadata.author === 'me');
+    return repository.setMetadata(path, {title: 'Test', rating: 5});
+  }).then(function (metadata) {
+    assert(metadata.author === 'me');
+    assert(metadata.title === 'Test');
+    assert(metadata.rating === 5);
+    return repository.removeMetadata(path, ['author', 'rating']);
+  }).then(function (metadata) {
+    assert.deepEqual(metadata, {title: 'Test'});
+    return repository.setMetadata({path: path, replace: true}, {tags: ['a', 'b']});
+  }).then(function (metadata) {
+    assert.deepEqual(metadata, {tags: ['a', 'b']});
+    return repository.updateAssetInfo(path, {size: 100, metadata: {}});
+  }).then(function (info) {
+    assert(info.size === 5);
+    assert.deepEqual(info.metadata, {tags: ['a', 'b']});
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function () {
+    return repository.getMetadata(path);
+  }).then(function (metadata) {
+    assert.deepEqual(metadata, {tags: ['a', 'b']});
+  });
+});
+
+it('test directory metadata', function () {
+  var repository = getRepository();
+  return repository.createDirectory({path: getPath('/test'), metadata: {project: 'x'}}).then(function (info) {
+    assert(info.metadata.project === 'x');
+    return repository.createAsset({path: getPath('/test/test.txt'), metadata: {author: 'me'}}, getReadStream('hello'));
+  }).then(function () {
+    return repository.copyDirectory(getPath('/test'), getPath('/copy'));
+  }).then(function (info) {
+    assert(info.metadata.project === 'x');
+    return repository.getMetadata(getPath('/copy/test.txt'));
+  }).then(function (metadata) {
+    assert(metadata.author === 'me');
+    return repository.moveDirectory(getPath('/copy'), getPath('/moved'));
+  }).then(function (info) {
+    assert(info.metadata.project === 'x');
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(list[0].metadata);
+  });
+});
+
+it('test metadata errors', function (done) {
+  var repository = new InMemoryRepository({userId: 'owner'});
+  repository.createAsset({path: getPath('/test.txt'), metadata: {size: 1}}, getReadStream('hello'), function (err) {
+    assert(err);
+    repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+      assert(!err);
+      repository.setMetadata(getPath('/test.txt'), 'invalid', function (err) {
+        assert(err);
+        repository.setMetadata(getPath('/test.txt'), {name: 'invalid'}, function (err) {
+          assert(err);
+          repository.getMetadata(getPath('/missing.txt'), function (err) {
+            assert(err);
+            repository.checkOut(getPath('/test.txt'), function (err) {
+              assert(!err);
+              repository.setMetadata({path: getPath('/test.txt'), userId: 'other'}, {title: 'Test'}, function (err) {
+                assert(err.code === errors.ELOCKED);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+it('test find assets query', function () {
+  var repository = getRepository();
+  return repository.createAsset({path: getPath('/small.txt'), metadata: {rating: 2}}, getReadStream('hi')).then(function () {
+    return repository.createDirectory(getPath('/dir'));
+  }).then(function () {
+    return repository.createAsset({path: getPath('/dir/large.jpg'), metadata: {rating: 5}}, getReadStream('hello world'));
+  }).then(function () {
+    return repository.findAssets({query: {size: {min: 5}}});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].name === 'large.jpg');
+    return repository.findAssets({searchTerm: 'txt', query: {or: [{contentType: 'image/jpeg'}, {metadata: {rating: 2}}]}});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].name === 'small.txt');
+    return repository.findAssets({query: {not: {metadata: {rating: {max: 3}}}, created: {max: new Date()}}});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].name === 'large.jpg');
+    return repository.findAssets({query: {invalid: true}}).then(function () {
+      assert(false);
+    }, function (err) {
+      assert(err);
+    });
+  });
+});
+
+it('test list paging', function () {
+  var repository = getRepository();
+  return repository.createDirectory(getPath('/dir')).then(function () {
+    return repository.createAsset(getPath('/b.txt'), getReadStream('hello'));
+  }).then(function () {
+    return repository.createAsset(getPath('/a.txt'), getReadStream('hi'));
+  }).then(function () {
+    return repository.list({path: getPath('/'), limit: 2, directoriesFirst: true});
+  }).then(function (list) {
+    assert(list.length === 2);
+    assert(list[0].name === 'dir');
+    assert(list[1].name === 'a.txt');
+    assert(list.total === 3);
+    return repository.list({path: getPath('/'), limit: 2, directoriesFirst: true, cursor: list.nextCursor});
+  }).then(function (list) {
+    assert(list.length === 1);
+    assert(list[0].name === 'b.txt');
+    assert(!list.nextCursor);
+    return repository.findAssets({searchTerm: 'txt', sortBy: 'size', sortOrder: constants.SORT_DESCENDING, offset: 1});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].name === 'a.txt');
+    assert(matches.total === 2);
+    return repository.list({path: getPath('/'), sortBy: 'invalid'}).then(function () {
+      assert(false);
+    }, function (err) {
+      assert(err);
+    });
+  });
+});
+
+it('test find assets scope', function () {
+  var repository = getRepository();
+  return createTree(repository).then(function () {
+    return repository.findAssets({searchTerm: 'test', path: getPath('/tree'), maxDepth: 1});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].path === getPath('/tree/test.txt'));
+    return repository.findAssets({path: getPath('/tree/sub'), searchTerm: 'test'});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].path === getPath('/tree/sub/test.txt'));
+    return repository.findAssets({searchTerm: /^(sub|test\.txt)$/, includeDirectories: true, sortBy: 'type'});
+  }).then(function (matches) {
+    assert(matches.length === 3);
+    assert(matches[0].type === constants.ASSET_TYPE);
+    assert(matches[2].path === getPath('/tree/sub'));
+    return repository.findAssets({query: {type: constants.DIR_TYPE}, includeDirectories: true, maxDepth: 1});
+  }).then(function (matches) {
+    assert(matches.length === 1);
+    assert(matches[0].path === getPath('/tree'));
+    return repository.findAssets({searchTerm: 'test', path: getPath('/tree/test.txt')}).then(function () {
+      assert(false);
+    }, function (err) {
+      assert(err);
+    });
+  });
+});
+
+it('test change events', function () {
+  var repository = getRepository();
+  var events = [];
+  repository.on('change', function (event) {
+    events.push(event);
+  });
+  var moved;
+  repository.on('moved', function (event) {
+    moved = event;
+  });
+
+  var path = getPath('/test.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return repository.updateAsset(path, getReadStream('updated'));
+  }).then(function () {
+    return repository.setMetadata(path, {title: 'Test'});
+  }).then(function () {
+    return repository.checkOut(path);
+  }).then(function () {
+    return repository.checkIn(path);
+  }).then(function () {
+    return repository.moveAsset(path, getPath('/moved.txt'));
+  }).then(function () {
+    return repository.deleteAsset(getPath('/moved.txt'));
+  }).then(function () {
+    return repository.updateAsset(path, getReadStream('missing')).catch(function (err) {
+      assert(err);
+    });
+  }).then(function () {
+    var types = events.map(function (event) {
+      return event.type;
+    });
+    assert.deepEqual(types, ['created', 'updated', 'infoupdated', 'checkedout', 'checkedin', 'moved', 'deleted']);
+    assert(!events[0].oldInfo);
+    assert(events[0].newInfo.size === 5);
+    assert(events[1].oldInfo.size === 5);
+    assert(events[1].newInfo.size === 7);
+    assert(events[2].newInfo.metadata.title === 'Test');
+    assert(moved.path === path);
+    assert(moved.targetPath === getPath('/moved.txt'));
+    assert(moved.newInfo.name === 'moved.txt');
+    assert(events[6].oldInfo.name === 'moved.txt');
+    assert(!events[6].newInfo);
+  });
+});
+
+it('test watch', function () {
+  var repository = getRepository();
+  var events = [];
+  var recursiveEvents = [];
+  var watcher = repository.watch(getPath('/tree'), function (event) {
+    events.push(event.path);
+  });
+  var recursive = repository.watch({path: getPath('/tree'), recursive: true, subscriberId: 'watcher'}, function (event) {
+    recursiveEvents.push(event.path);
+  });
+  repository.subscribe('watcher');
+
+  return createTree(repository).then(function () {
+    assert.deepEqual(events, [getPath('/tree'), getPath('/tree/sub'), getPath('/tree/test.txt')]);
+    assert(recursiveEvents.length === 4);
+    repository.unsubscribe('watcher');
+    return repository.deleteDirectory({path: getPath('/tree'), recursive: true});
+  }).then(function () {
+    assert(events.length === 6);
+    assert(recursiveEvents.length === 4);
+    watcher.close();
+    recursive.close();
+    return repository.createDirectory(getPath('/tree'));
+  }).then(function () {
+    assert(events.length === 6);
+  });
+});
+
+it('test errors', function () {
+  var repository = getRepository();
+  return repository.getInfo({path: getPath('/missing'), contextId: 'context'}).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err instanceof errors.NotFoundError);
+    assert(err.code === errors.ENOTFOUND);
+    assert(err.path === getPath('/missing'));
+    assert(err.contextId === 'context');
+    return repository.createDirectory(getPath('/'));
+  }).catch(function (err) {
+    assert(err.code === errors.EROOT);
+    return repository.createAsset(getPath('/test.txt'), getReadStream('hello'));
+  }).then(function () {
+    return repository.createAsset(getPath('/test.txt'), getReadStream('hello'));
+  }).catch(function (err) {
+    assert(err.code === errors.EEXIST);
+    return repository.list(getPath('/test.txt'));
+  }).catch(function (err) {
+    assert(err.code === errors.ENOTDIR);
+    return repository.getAsset(getPath('/'));
+  }).catch(function (err) {
+    assert(err.code === errors.ENOTASSET);
+    return repository.getAssetVersion({path: getPath('/test.txt'), contextId: 'version'}, '100');
+  }).catch(function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    assert(err.path === getPath('/test.txt'));
+    assert(err.contextId === 'version');
+    return repository.checkIn(getPath('/test.txt'));
+  }).catch(function (err) {
+    assert(err.code === errors.ENOTLOCKED);
+    return new Repository().getInfo(getPath('/'));
+  }).catch(function (err) {
+    assert(err.code === errors.ENOTIMPL);
+  });
+});
+
+it('test asset range', function () {
+  var repository = getRepository();
+  var progressCalls = [];
+  function _readRange(options) {
+    options.path = getPath('/range.txt');
+    return repository.getAsset(options).then(function (stream) {
+      return new Promise(function (resolve) {
+        readToEnd(stream, resolve);
+      });
+    });
+  }
+  return repository.createAsset(getPath('/range.txt'), getReadStream(['hello ', 'range ', 'world!'])).then(function () {
+    return _readRange({start: 2, end: 3});
+  }).then(function (data) {
+    assert(data === 'll');
+    return _readRange({start: 4, end: 13});
+  }).then(function (data) {
+    assert(data === 'o range wo');
+    return _readRange({start: 12});
+  }).then(function (data) {
+    assert(data === 'world!');
+    return _readRange({end: 5});
+  }).then(function (data) {
+    assert(data === 'hello ');
+    repository.on('transferprogress', function (progress) {
+      progressCalls.push(progress);
+    });
+    return _readRange({start: 6, end: 100});
+  }).then(function (data) {
+    assert(data === 'range world!');
+    assert(progressCalls.length === 2);
+    _verifyProgressEvent(progressCalls[0], getPath('/range.txt'), 'read', 'range.txt', 0);
+    _verifyProgressEvent(progressCalls[1], getPath('/range.txt'), 'read', 'range.txt', 12);
+    assert(progressCalls[1].progress.total === 12);
+    assert(progressCalls[1].progress.start === 6);
+    assert(progressCalls[1].progress.end === 17);
+    return _readRange({start: 18});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return _readRange({start: 5, end: 4});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return _readRange({start: -1});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return _readRange({});
+  }).then(function (data) {
+    assert(data === 'hello range world!');
+  });
+});
+
+it('test resumable upload', function () {
+  var repository = getRepository();
+  var uploadId;
+  var events = [];
+  repository.on('change', function (event) {
+    events.push(event);
+  });
+  return repository.initiateUpload({path: getPath('/upload.txt'), size: 11, metadata: {source: 'upload'}}).then(function (id) {
+    uploadId = id;
+    assert(uploadId);
+    return repository.uploadPart(uploadId, 2, getReadStream('rld'));
+  }).then(function (status) {
+    assert(status.uploadId === uploadId);
+    assert(status.path === getPath('/upload.txt'));
+    assert(status.uploaded === 3);
+    assert.deepEqual(status.missing, [0, 1]);
+    return repository.completeUpload(uploadId);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.uploadPart(uploadId, 0, getReadStream('hello'));
+  }).then(function () {
+    return repository.uploadPart(uploadId, 1, getReadStream(' wo'));
+  }).then(function () {
+    return repository.getUploadStatus(uploadId);
+  }).then(function (status) {
+    assert(status.size === 11);
+    assert(status.uploaded === 11);
+    assert(!status.missing.length);
+    assert.deepEqual(status.parts, [{index: 0, size: 5}, {index: 1, size: 3}, {index: 2, size: 3}]);
+    assert(status.expires > status.created);
+    assert(!events.length);
+    return repository.completeUpload(uploadId);
+  }).then(function (info) {
+    assert(info.name === 'upload.txt');
+    assert(info.size === 11);
+    assert(info.metadata.source === 'upload');
+    assert(events.length === 1);
+    assert(events[0].type === 'created');
+    return new Promise(function (resolve) {
+      verifyAssetContent(repository, getPath('/upload.txt'), 'hello world', resolve);
+    });
+  }).then(function () {
+    return repository.getUploadStatus(uploadId);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.initiateUpload({path: getPath('/upload.txt'), size: 2});
+  }).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 0, getReadStream('hi!'));
+  }).then(function () {
+    return repository.completeUpload(uploadId);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.uploadPart(uploadId, 0, getReadStream('hi'));
+  }).then(function () {
+    return repository.completeUpload({uploadId: uploadId});
+  }).then(function (info) {
+    assert(info.size === 2);
+    assert(events.length === 2);
+    assert(events[1].type === 'updated');
+    return new Promise(function (resolve) {
+      verifyAssetContent(repository, getPath('/upload.txt'), 'hi', resolve);
+    });
+  });
+});
+
+it('test abort upload', function () {
+  var repository = new InMemoryRepository({uploadTimeout: 50});
+  var uploadId;
+  return repository.initiateUpload(getPath('/missing/upload.txt')).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.initiateUpload({path: getPath('/upload.txt'), size: -1});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.initiateUpload(getPath('/upload.txt'));
+  }).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 'first', getReadStream('hello'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.abortUpload(uploadId);
+  }).then(function () {
+    return repository.uploadPart(uploadId, 0, getReadStream('hello'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.initiateUpload(getPath('/upload.txt'));
+  }).then(function (id) {
+    uploadId = id;
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 100);
+    });
+  }).then(function () {
+    return repository.getUploadStatus(uploadId);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.exists(getPath('/upload.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test complete upload write error', function () {
+  var repository = getRepository();
+  var uploadId;
+  var content = Buffer.alloc(100000, 'a');
+  var getAssetWriteStream = repository._getAssetWriteStream;
+  repository._getAssetWriteStream = function (path, isCreate, options, info, streamCallback, finishedCallback) {
+    var stream = new PassThrough({highWaterMark: 16});
+    stream.once('data', function () {
+      stream.emit('error', 'disk full');
+    });
+    streamCallback(undefined, stream);
+  };
+  return repository.initiateUpload(getPath('/upload.txt')).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 0, getReadStream(content));
+  }).then(function () {
+    return repository.completeUpload(uploadId);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err === 'disk full');
+    repository._getAssetWriteStream = getAssetWriteStream;
+    return repository.completeUpload(uploadId);
+  }).then(function (info) {
+    assert(info.size === content.length);
+  });
+});
+
+it('test upload expires without further calls', function () {
+  var repository = new InMemoryRepository({uploadTimeout: 50});
+  var aborted = [];
+  repository._abortUpload = function (path, options, upload, callback) {
+    aborted.push(upload.id);
+    callback();
+  };
+  var uploadId;
+  return repository.initiateUpload(getPath('/upload.txt')).then(function (id) {
+    uploadId = id;
+    return repository.uploadPart(uploadId, 0, getReadStream('hello'));
+  }).then(function () {
+    assert(repository.uploadTimer);
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 100);
+    });
+  }).then(function () {
+    assert(!repository.uploads[uploadId]);
+    assert.deepEqual(aborted, [uploadId]);
+    assert(!repository.uploadTimer);
+  });
+});
+
+function getHash(content, algorithm) {
+  return crypto.createHash(algorithm || 'sha256').update(content).digest('hex');
+}
+
+it('test content hash', function () {
+  var repository = new InMemoryRepository({md5: true});
+  var path = getPath('/hash.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function (info) {
+    assert(info.hash === getHash('hello'));
+    assert(info.md5 === getHash('hello', 'md5'));
+    assert(info.etag === '"' + info.hash + '"');
+    return repository.updateAsset(path, getReadStream('goodbye'));
+  }).then(function (info) {
+    assert(info.hash === getHash('goodbye'));
+    return repository.copyAsset(path, getPath('/copy.txt'));
+  }).then(function (info) {
+    assert(info.hash === getHash('goodbye'));
+    return repository.findAssets({query: {hash: getHash('goodbye')}});
+  }).then(function (matches) {
+    assert(matches.length === 2);
+    return repository.listVersions(path);
+  }).then(function (versions) {
+    return repository.restoreVersion(path, versions[0].id);
+  }).then(function (info) {
+    assert(info.hash === getHash('hello'));
+    return repository.updateAssetInfo(path, {hash: 'invalid'});
+  }).then(function (info) {
+    assert(info.hash === getHash('hello'));
+    return repository.initiateUpload(getPath('/upload.txt'));
+  }).then(function (uploadId) {
+    return repository.uploadPart(uploadId, 0, getReadStream('hi')).then(function () {
+      return repository.completeUpload(uploadId);
+    });
+  }).then(function (info) {
+    assert(info.hash === getHash('hi'));
+    assert(info.md5 === getHash('hi', 'md5'));
+  });
+});
+
+it('test verify asset', function () {
+  var repository = getRepository();
+  var path = getPath('/verify.txt');
+  return repository.createAsset(path, getReadStream('hello')).then(function () {
+    return repository.getAsset({path: path, verify: true});
+  }).then(function (stream) {
+    return new Promise(function (resolve) {
+      readToEnd(stream, resolve);
+    });
+  }).then(function (data) {
+    assert(data === 'hello');
+    return repository.getAsset({path: path, verify: true, start: 1});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    // simulate corruption of the stored content
+    repository.repository.children['verify.txt'].content = [Buffer.from('hellp')];
+    return repository.getAsset({path: path, verify: true});
+  }).then(function (stream) {
+    return new Promise(function (resolve) {
+      stream.on('data', function () {});
+      stream.on('end', function () {
+        assert(false);
+      });
+      stream.on('error', resolve);
+    });
+  }).then(function (err) {
+    assert(err instanceof errors.IntegrityError);
+    assert(err.code === errors.EINTEGRITY);
+    assert(err.path === path);
+  });
+});
+
+it('test preconditions', function () {
+  var repository = getRepository();
+  var path = getPath('/precondition.txt');
+  var etag;
+  var modified;
+  return repository.createAsset({path: path, ifMatch: '*'}, getReadStream('hello')).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    assert(!err.info);
+    return repository.createAsset({path: path, ifNoneMatch: '*'}, getReadStream('hello'));
+  }).then(function (info) {
+    etag = info.etag;
+    modified = info.modified;
+    return repository.createAsset({path: path, ifNoneMatch: '*'}, getReadStream('hello'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err instanceof errors.PreconditionFailedError);
+    assert(err.info.etag === etag);
+    return repository.updateAsset({path: path, ifMatch: '"invalid"'}, getReadStream('goodbye'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    assert(err.path === path);
+    assert(err.info.etag === etag);
+    // etags are compared without their quotes
+    return repository.updateAsset({path: path, ifMatch: etag.replace(/"/g, '')}, getReadStream('goodbye'));
+  }).then(function (info) {
+    assert(info.etag !== etag);
+    return repository.updateAssetInfo({path: path, ifMatch: etag}, {description: 'edited'});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    assert(err.info.hash === getHash('goodbye'));
+    return repository.updateAssetInfo({path: path, ifUnmodifiedSince: modified - 1000}, {description: 'edited'});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    return repository.updateAssetInfo({path: path, ifUnmodifiedSince: 'invalid'}, {description: 'edited'});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.updateAssetInfo({path: path, ifUnmodifiedSince: new Date(Date.now() + 1000)}, {description: 'edited'});
+  }).then(function (info) {
+    assert(info.description === 'edited');
+    return repository.deleteAsset({path: path, ifMatch: ['"invalid"', etag]});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    return repository.getInfo(path);
+  }).then(function (info) {
+    return repository.deleteAsset({path: path, ifMatch: ['"invalid"', info.etag]});
+  }).then(function () {
+    return repository.exists(path);
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test generated renditions', function () {
+  var repository = getRepository();
+  var image = {width: 600, height: 300, bitDepth: 8, colorType: 2, bytesPerPixel: 3, data: Buffer.alloc(600 * 300 * 3, 64)};
+  var generated = 0;
+
+  function readRendition(result) {
+    return new Promise(function (resolve) {
+      var chunks = [];
+      result.stream.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      result.stream.on('end', function () {
+        resolve({content: Buffer.concat(chunks), contentType: result.contentType});
+      });
+    });
+  }
+
+  return repository.createAsset(getPath('/image.png'), getReadStream(png.encode(image))).then(function () {
+    return repository.getAssetThumbnail(getPath('/image.png'));
+  }).then(readRendition).then(function (result) {
+    assert(result.contentType === 'image/png');
+    var thumbnail = png.decode(result.content);
+    assert(thumbnail.width === 256);
+    assert(thumbnail.height === 128);
+    return repository.getAssetPreview(getPath('/image.png'));
+  }).then(readRendition).then(function (result) {
+    // the image already fits within the preview's size
+    assert(png.decode(result.content).width === 600);
+    return repository.createAsset(getPath('/data.bin'), getReadStream('binary'));
+  }).then(function () {
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    repository.registerRenditionGenerator(constants.RENDITION_THUMBNAIL, '*/*', function (stream, info) {
+      generated++;
+      stream.resume();
+      return Promise.resolve({content: Buffer.from(info.name + ' ' + info.size), contentType: 'text/plain'});
+    });
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(readRendition).then(function (result) {
+    assert(result.content.toString() === 'data.bin 6');
+    assert(result.contentType === 'text/plain');
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(readRendition).then(function (result) {
+    // the cached rendition is used
+    assert(result.content.toString() === 'data.bin 6');
+    assert(generated === 1);
+    return repository.updateAsset(getPath('/data.bin'), getReadStream('new binary'));
+  }).then(function () {
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(readRendition).then(function (result) {
+    assert(result.content.toString() === 'data.bin 10');
+    assert(generated === 2);
+    repository.unregisterRenditionGenerator(constants.RENDITION_THUMBNAIL, '*/*');
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+  });
+});
+
+it('test named renditions', function () {
+  var repository = getRepository();
+  var path = getPath('/test/photo.txt');
+
+  function readRendition(result) {
+    return new Promise(function (resolve) {
+      readToEnd(result.stream, function (content) {
+        resolve({content: content, contentType: result.contentType});
+      });
+    });
+  }
+
+  return repository.createDirectory(getPath('/test')).then(function () {
+    return repository.createAsset(path, getReadStream('original'));
+  }).then(function () {
+    return repository.putRendition({path: path, contentType: 'image/jpeg'}, 'web', getReadStream('web version'));
+  }).then(function () {
+    return repository.putRendition(path, constants.RENDITION_THUMBNAIL, getReadStream('stored thumbnail'));
+  }).then(function () {
+    return repository.getRendition(path, 'web');
+  }).then(readRendition).then(function (result) {
+    assert(result.content === 'web version');
+    assert(result.contentType === 'image/jpeg');
+    // the stored thumbnail is used instead of a generated one
+    return repository.getAssetThumbnail(path);
+  }).then(readRendition).then(function (result) {
+    assert(result.content === 'stored thumbnail');
+    assert(result.contentType === 'text/plain');
+    return repository.getAssetPreview(path);
+  }).then(readRendition).then(function (result) {
+    assert(result.content === 'original');
+    return repository.listRenditions(path);
+  }).then(function (renditions) {
+    assert(renditions.length === 2);
+    assert(renditions[0].name === constants.RENDITION_THUMBNAIL);
+    assert(renditions[0].size === 16);
+    assert(renditions[1].name === 'web');
+    assert(renditions[1].contentType === 'image/jpeg');
+    assert(renditions[1].size === 11);
+    assert(renditions[1].modified);
+    return repository.getRendition(path, 'print');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.putRendition(path, '', getReadStream('invalid'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.moveDirectory(getPath('/test'), getPath('/moved'));
+  }).then(function () {
+    return repository.getRendition(getPath('/moved/photo.txt'), 'web');
+  }).then(readRendition).then(function (result) {
+    assert(result.content === 'web version');
+    return repository.deleteRendition(getPath('/moved/photo.txt'), 'web');
+  }).then(function () {
+    return repository.deleteRendition(getPath('/moved/photo.txt'), 'web');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.listRenditions(getPath('/moved/photo.txt'));
+  }).then(function (renditions) {
+    assert(renditions.length === 1);
+    return repository.deleteAsset(getPath('/moved/photo.txt'));
+  }).then(function () {
+    return repository.createAsset(getPath('/moved/photo.txt'), getReadStream('replacement'));
+  }).then(function () {
+    // renditions are removed with their asset
+    return repository.listRenditions(getPath('/moved/photo.txt'));
+  }).then(function (renditions) {
+    assert(renditions.length === 0);
+  });
+});
+
+it('test named renditions locked', function () {
+  var repository = getRepository();
+  var path = getPath('/locked.txt');
+  return repository.createAsset(path, getReadStream('content')).then(function () {
+    return repository.checkOut({path: path, userId: 'owner'});
+  }).then(function () {
+    return repository.putRendition({path: path, userId: 'other'}, 'web', getReadStream('web'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+    return repository.putRendition({path: path, userId: 'owner'}, 'web', getReadStream('web'));
+  }).then(function () {
+    return repository.deleteRendition({path: path, userId: 'other'}, 'web');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+  });
+});
+
+it('test abort create asset', function () {
+  var repository = getRepository();
+  var controller = new AbortController();
+  var readStream = new PassThrough();
+  var cancelled = [];
+  var aborted = [];
+
+  repository.on('transferprogress', function () {
+    if (!readStream.destroyed) {
+      readStream.write('partial content');
+      controller.abort();
+    }
+  });
+  repository.on('transfercancelled', function (data) {
+    cancelled.push(data);
+  });
+  repository._abortWrite = function (path, isCreate, options, info, writeStream, callback) {
+    aborted.push({path: path, isCreate: isCreate});
+    callback();
+  };
+
+  return repository.createAsset({path: getPath('/aborted.txt'), signal: controller.signal}, readStream).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ECANCELED);
+    assert(Repository.isCancelled(err));
+    assert(readStream.destroyed);
+    assert(cancelled.length === 1);
+    assert(cancelled[0].path === getPath('/aborted.txt'));
+    assert(cancelled[0].progress.type === 'create');
+    assert(aborted.length === 1);
+    assert(aborted[0].isCreate);
+    return repository.exists(getPath('/aborted.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+    // a signal that's already aborted prevents the transfer from starting
+    return repository.createAsset({path: getPath('/aborted.txt'), signal: controller.signal}, getReadStream('content'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ECANCELED);
+    assert(aborted.length === 1);
+    return repository.exists(getPath('/aborted.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test abort get asset', function (done) {
+  var repository = getRepository();
+  var controller = new AbortController();
+  var cancelled = 0;
+  repository.on('transfercancelled', function (data) {
+    assert(data.progress.type === 'read');
+    cancelled++;
+  });
+  repository.createAsset(getPath('/test.txt'), getReadStream('hello'), function (err) {
+    assert(!err);
+    repository.getAsset({path: getPath('/test.txt'), signal: controller.signal}, function (err, stream) {
+      assert(!err);
+      stream.on('error', function (err) {
+        assert(err.code === errors.ECANCELED);
+        assert(cancelled === 1);
+        // aborting a finished transfer has no effect
+        controller.abort();
+        assert(cancelled === 1);
+        done();
+      });
+      controller.abort();
+    });
+  });
+});
+
+it('test unsubscribe aborts transfers', function () {
+  var repository = getRepository();
+  var subscriberId = 'transfers';
+  var abortStream = new PassThrough();
+  var continueStream = new PassThrough();
+  var started = 0;
+  var abortPromise;
+
+  repository.subscribe(subscriberId);
+  repository.subscribe('other');
+  var continuePromise = repository.createAsset({path: getPath('/continue.txt'), subscriberId: 'other'}, continueStream).then(function () {
+    assert(false);
+  }, function (err) {
+    return err;
+  });
+  return new Promise(function (resolve) {
+    repository.on('transferprogress', function () {
+      if (++started === 2) {
+        resolve();
+      }
+    });
+    abortPromise = repository.createAsset({path: getPath('/aborted.txt'), subscriberId: subscriberId}, abortStream);
+  }).then(function () {
+    repository.unsubscribe(subscriberId, true);
+    repository.unsubscribe('other');
+    assert(abortStream.destroyed);
+    assert(!continueStream.destroyed);
+    continueStream.end('content');
+    return abortPromise;
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(Repository.isCancelled(err));
+    return continuePromise;
+  }).then(function (err) {
+    // the subscriber's promise is cancelled, but its transfer continues
+    assert(Repository.isCancelled(err));
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 10);
+    });
+  }).then(function () {
+    return repository.exists(getPath('/aborted.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+    return repository.exists(getPath('/continue.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test transfer queue', function () {
+  var repository = new InMemoryRepository({maxConcurrentTransfers: 1});
+  var streams = {};
+  var queued = [];
+  var started = [];
+
+  repository.on('transferqueued', function (transfer) {
+    queued.push(transfer.path);
+  });
+  repository.on('transferstarted', function (transfer) {
+    started.push(transfer.path);
+    if (transfer.type === 'create') {
+      // provide each asset's content once its transfer starts
+      streams[transfer.path].end('content of ' + transfer.path);
+    }
+  });
+
+  function createAsset(path, priority) {
+    streams[path] = new PassThrough();
+    return repository.createAsset({path: path, priority: priority}, streams[path]);
+  }
+
+  repository.pauseTransfers();
+  var creates = [
+    createAsset(getPath('/low.txt'), 0),
+    createAsset(getPath('/high.txt'), 10),
+    createAsset(getPath('/medium.txt'), 5)
+  ];
+  var state = repository.getTransferQueueState();
+  assert(state.paused);
+  assert(state.pending === 3);
+  assert(state.active === 0);
+  assert(started.length === 0);
+  assert(queued.length === 3);
+
+  repository.resumeTransfers();
+  return Promise.all(creates).then(function () {
+    assert.deepEqual(started, [getPath('/high.txt'), getPath('/medium.txt'), getPath('/low.txt')]);
+    state = repository.getTransferQueueState();
+    assert(state.pending === 0);
+    assert(state.active === 0);
+    assert(state.completed === 3);
+    assert(state.failed === 0);
+    return repository.getAsset(getPath('/high.txt'));
+  }).then(function (stream) {
+    return new Promise(function (resolve) {
+      readToEnd(stream, resolve);
+    });
+  }).then(function (content) {
+    assert(content === 'content of ' + getPath('/high.txt'));
+    assert(repository.getTransferQueueState().completed === 4);
+    return repository.getAsset(getPath('/missing.txt'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    assert(repository.getTransferQueueState().failed === 1);
+  });
+});
+
+it('test abort queued transfer', function () {
+  var repository = new InMemoryRepository();
+  var controller = new AbortController();
+  var cancelled = [];
+  repository.on('transfercancelled', function (data) {
+    cancelled.push(data.path);
+  });
+
+  repository.pauseTransfers();
+  var create = repository.createAsset({path: getPath('/queued.txt'), signal: controller.signal}, getReadStream('content'));
+  assert(repository.getTransferQueueState().pending === 1);
+  controller.abort();
+  assert(repository.getTransferQueueState().pending === 0);
+  return create.then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ECANCELED);
+    assert.deepEqual(cancelled, [getPath('/queued.txt')]);
+    repository.resumeTransfers();
+    return repository.exists(getPath('/queued.txt'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test batch', function () {
+  var repository = getRepository();
+  return repository.batch([
+    {op: 'createAsset', path: getPath('/a/b/file.txt'), stream: getReadStream('content')},
+    {op: 'createDirectory', path: getPath('/a/b')},
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'checkOut', path: getPath('/a/b/file.txt')},
+    {op: 'unknown', path: getPath('/a')},
+    {op: 'deleteAsset', path: getPath('/missing.txt')}
+  ], {concurrency: 2}).then(function (results) {
+    assert(results.length === 6);
+    assert(results[0].success);
+    assert(results[0].op === 'createAsset');
+    assert(results[0].path === getPath('/a/b/file.txt'));
+    assert(results[1].success);
+    assert(results[2].success);
+    assert(results[3].success);
+    assert(!results[4].success);
+    assert(results[4].error.code === errors.EINVAL);
+    assert(!results[5].success);
+    assert(results[5].error.code === errors.ENOTFOUND);
+    return repository.getInfo(getPath('/a/b/file.txt'));
+  }).then(function (info) {
+    assert(info.checkedOut);
+  });
+});
+
+it('test batch stop on error', function () {
+  var repository = getRepository();
+  return repository.batch([
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'createDirectory', path: getPath('/b')}
+  ], {stopOnError: true}).then(function (results) {
+    assert(results[0].success);
+    assert(results[1].error.code === errors.EEXIST);
+    assert(results[2].skipped);
+    assert(results[2].error.code === errors.ECANCELED);
+    return repository.exists(getPath('/b'));
+  }).then(function (exists) {
+    assert(!exists);
+    return repository.batch('invalid');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+  });
+});
+
+it('test batch skips dependents of failed operation', function () {
+  var repository = getRepository();
+  return repository.createDirectory(getPath('/a')).then(function () {
+    return repository.batch([
+      {op: 'createDirectory', path: getPath('/a')},
+      {op: 'createAsset', path: getPath('/a/b.txt'), stream: getReadStream('content')},
+      {op: 'copyAsset', path: getPath('/a/b.txt'), targetPath: getPath('/c.txt')},
+      {op: 'createDirectory', path: getPath('/d')}
+    ]);
+  }).then(function (results) {
+    assert(results[0].error.code === errors.EEXIST);
+    assert(results[1].skipped);
+    assert(results[1].error.code === errors.ECANCELED);
+    assert(results[1].error.message.indexOf('batch operation 0') >= 0);
+    assert(results[2].skipped);
+    assert(results[2].error.message.indexOf('batch operation 0') >= 0);
+    assert(results[3].success);
+    return Promise.all([repository.exists(getPath('/a/b.txt')), repository.exists(getPath('/c.txt'))]);
+  }).then(function (exists) {
+    assert.deepEqual(exists, [false, false]);
+  });
+});
+
+it('test transaction commit', function () {
+  var repository = getRepository();
+  var changes = [];
+  return repository.createDirectory(getPath('/existing')).then(function () {
+    repository.on('change', function (event) {
+      changes.push(event.path);
+    });
+    return repository.transaction(function (tx) {
+      return tx.createDirectory(getPath('/folder')).then(function () {
+        return tx.createAsset(getPath('/folder/file.txt'), getReadStream('content'));
+      }).then(function () {
+        return tx.setMetadata(getPath('/existing'), {tag: 'value'});
+      }).then(function () {
+        return repository.exists(getPath('/folder'));
+      }).then(function (exists) {
+        assert(!exists);
+        assert(!changes.length);
+        return repository.getInfo(getPath('/existing'));
+      }).then(function (info) {
+        assert(!info.metadata.tag);
+        return 'result';
+      });
+    });
+  }).then(function (result) {
+    assert(result === 'result');
+    assert.deepEqual(changes, [getPath('/folder'), getPath('/folder/file.txt'), getPath('/existing')]);
+    return repository.getInfo(getPath('/folder/file.txt'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    return repository.getInfo(getPath('/existing'));
+  }).then(function (info) {
+    assert(info.metadata.tag === 'value');
+  });
+});
+
+it('test transaction rollback', function () {
+  var repository = getRepository();
+  return repository.createAsset(getPath('/file.txt'), getReadStream('content')).then(function () {
+    return repository.transaction(function (tx, done) {
+      tx.createDirectory(getPath('/folder'), function (err) {
+        assert(!err);
+        tx.deleteAsset(getPath('/file.txt'), function (err) {
+          assert(!err);
+          tx.createDirectory(getPath('/folder'), done);
+        });
+      });
+    });
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EEXIST);
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(list.length === 1);
+    assert(list[0].name === 'file.txt');
+  });
+});
+
+it('test transaction without result', function () {
+  var repository = getRepository();
+  return repository.transaction(function (tx) {
+    tx.createDirectory(getPath('/staged'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+    return repository.transaction(function (tx, done) {
+      setTimeout(function () {
+        done(undefined, 'done later');
+      }, 10);
+    });
+  }).then(function (result) {
+    assert(result === 'done later');
+    return repository.exists(getPath('/staged'));
+  }).then(function (exists) {
+    assert(!exists);
+  });
+});
+
+it('test transaction conflict', function () {
+  var repository = getRepository();
+  // any change made directly to the repository prevents the commit, even to an unrelated path
+  return repository.transaction(function (tx) {
+    return tx.createDirectory(getPath('/staged')).then(function () {
+      return repository.createDirectory(getPath('/direct'));
+    });
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EPRECONDITION);
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(list.length === 1);
+    assert(list[0].name === 'direct');
+    return repository.createDirectory(getPath('/after'));
+  });
+});
+
+it('test trash', function () {
+  var repository = new InMemoryRepository({trash: true, userId: 'unittest'});
+  var deleted = [];
+  var assetEntry;
+  var directoryEntry;
+  repository.on('change', function (event) {
+    if (event.type === 'deleted') {
+      deleted.push(event.path);
+    }
+  });
+  return repository.createDirectory(getPath('/folder')).then(function () {
+    return repository.createAsset(getPath('/folder/file.txt'), getReadStream('content'));
+  }).then(function () {
+    return repository.createAsset(getPath('/other.txt'), getReadStream('other'));
+  }).then(function () {
+    return repository.deleteAsset(getPath('/other.txt'));
+  }).then(function (entry) {
+    assetEntry = entry;
+    assert(entry.id);
+    assert(entry.path === getPath('/other.txt'));
+    assert(entry.deletedBy === 'unittest');
+    return repository.deleteDirectory({path: getPath('/folder'), recursive: true});
+  }).then(function (result) {
+    directoryEntry = result.trashEntry;
+    assert(result.removed.length === 2);
+    assert.deepEqual(deleted, [getPath('/other.txt'), getPath('/folder/file.txt'), getPath('/folder')]);
+    return repository.list(getPath('/'));
+  }).then(function (list) {
+    assert(!list.length);
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(entries.length === 2);
+    return repository.restoreFromTrash(directoryEntry.id);
+  }).then(function (info) {
+    assert(info.name === 'folder');
+    return repository.getInfo(getPath('/folder/file.txt'));
+  }).then(function (info) {
+    assert(info.size === 7);
+    return repository.restoreFromTrash(assetEntry.id, {targetPath: getPath('/folder/restored.txt')});
+  }).then(function (info) {
+    assert(info.name === 'restored.txt');
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(!entries.length);
+    return repository.deleteAsset({path: getPath('/folder/restored.txt'), permanent: true});
+  }).then(function (entry) {
+    assert(!entry);
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(!entries.length);
+  });
+});
+
+it('test trash restore conflicts', function () {
+  var repository = new InMemoryRepository({trash: true});
+  var entry;
+  return repository.createDirectory(getPath('/folder')).then(function () {
+    return repository.createAsset(getPath('/folder/file.txt'), getReadStream('content'));
+  }).then(function () {
+    return repository.deleteAsset(getPath('/folder/file.txt'));
+  }).then(function (trashEntry) {
+    entry = trashEntry;
+    return repository.createAsset(getPath('/folder/file.txt'), getReadStream('replacement'));
+  }).then(function () {
+    return repository.restoreFromTrash(entry.id);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EEXIST);
+    assert(err.path === getPath('/folder/file.txt'));
+    return repository.restoreFromTrash(entry.id, {targetPath: getPath('/missing/file.txt')});
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.restoreFromTrash('missing');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(entries.length === 1);
+  });
+});
+
+it('test trash purge and empty', function () {
+  var repository = new InMemoryRepository({trash: true});
+  var entries = [];
+  return repository.createDirectory(getPath('/first')).then(function () {
+    return repository.createDirectory(getPath('/second'));
+  }).then(function () {
+    return repository.createDirectory(getPath('/third'));
+  }).then(function () {
+    return repository.deleteDirectory(getPath('/first'));
+  }).then(function (result) {
+    entries.push(result.trashEntry);
+    return repository.deleteDirectory(getPath('/second'));
+  }).then(function (result) {
+    entries.push(result.trashEntry);
+    return repository.purgeTrash(entries[0].id);
+  }).then(function () {
+    return repository.purgeTrash(entries[0].id);
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTFOUND);
+    return repository.deleteDirectory(getPath('/third'));
+  }).then(function () {
+    return repository.emptyTrash({olderThan: entries[1].deleted + 1});
+  }).then(function (purged) {
+    assert(purged.length >= 1);
+    assert(purged.some(function (entry) {
+      return entry.id === entries[1].id;
+    }));
+    return repository.emptyTrash();
+  }).then(function () {
+    return repository.listTrash();
+  }).then(function (trash) {
+    assert(!trash.length);
+  });
+});
+
+it('test trash not supported', function () {
+  var repository = new Repository();
+  return repository.listTrash().then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ENOTIMPL);
+  });
+});
+
+it('test trash transaction', function () {
+  var repository = new InMemoryRepository({trash: true});
+  return repository.createDirectory(getPath('/folder')).then(function () {
+    return repository.transaction(function (tx) {
+      return tx.deleteDirectory(getPath('/folder')).then(function () {
+        return repository.listTrash();
+      }).then(function (entries) {
+        assert(!entries.length);
+        return tx.listTrash();
+      }).then(function (entries) {
+        assert(entries.length === 1);
+        throw new Error('rolled back');
+      });
+    });
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.message === 'rolled back');
+    return repository.listTrash();
+  }).then(function (entries) {
+    assert(!entries.length);
+    return repository.exists(getPath('/folder'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
+
+it('test generated rendition content', function () {
+  var repository = getRepository();
+  repository.registerRenditionGenerator(constants.RENDITION_THUMBNAIL, '*/*', function (stream, info, options, callback) {
+    stream.resume();
+    callback(undefined, 'thumbnail', 'text/plain');
+  });
+  repository.registerRenditionGenerator(constants.RENDITION_PREVIEW, '*/*', function (stream, info, options, callback) {
+    stream.resume();
+    callback(undefined, {});
+  });
+  return repository.createAsset(getPath('/data.bin'), getReadStream('binary')).then(function () {
+    return repository.getAssetThumbnail(getPath('/data.bin'));
+  }).then(function (result) {
+    return new Promise(function (resolve) {
+      var chunks = [];
+      result.stream.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      result.stream.on('end', function () {
+        resolve(Buffer.concat(chunks).toString());
+      });
+    });
+  }).then(function (content) {
+    assert(content === 'thumbnail');
+    return repository.getAssetPreview(getPath('/data.bin'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.EINVAL);
+  });
+});
+
+it('test move directory containing checked out asset', function () {
+  var repository = new InMemoryRepository({userId: 'alice'});
+  return repository.createDirectory(getPath('/d')).then(function () {
+    return repository.createDirectory(getPath('/d/sub'));
+  }).then(function () {
+    return repository.createAsset(getPath('/d/sub/file.txt'), getReadStream('locked'));
+  }).then(function () {
+    return repository.checkOut(getPath('/d/sub/file.txt'));
+  }).then(function () {
+    return repository.moveDirectory({path: getPath('/d'), userId: 'bob'}, getPath('/e'));
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+    assert(err.path === getPath('/d/sub/file.txt'));
+    return repository.rename({path: getPath('/d'), userId: 'bob'}, 'f');
+  }).then(function () {
+    assert(false);
+  }, function (err) {
+    assert(err.code === errors.ELOCKED);
+    return repository.moveDirectory(getPath('/d'), getPath('/e'));
+  }).then(function () {
+    return repository.exists(getPath('/e/sub/file.txt'));
+  }).then(function (exists) {
+    assert(exists);
+  });
+});
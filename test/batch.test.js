@@ -0,0 +1,101 @@
+var assert = require('assert');
+
+var batch = require('../lib/batch');
+var utils = require('../lib/utils');
+
+function getPath(path) {
+  return path.replace(/\//g, utils.sep());
+}
+
+function getOrder(steps) {
+  return steps.map(function (step) {
+    return step.index;
+  });
+}
+
+it('test batch validate', function () {
+  assert(batch.validate());
+  assert(batch.validate('createDirectory'));
+  assert(batch.validate({op: 'unknown', path: getPath('/a')}));
+  assert(batch.validate({op: 'createDirectory'}));
+  assert(batch.validate({op: 'rename', path: getPath('/a')}));
+  assert(!batch.validate({op: 'createDirectory', path: getPath('/a')}));
+  assert(!batch.validate({op: 'rename', path: getPath('/a'), name: 'b'}));
+});
+
+it('test batch plan', function () {
+  var steps = batch.plan([
+    {op: 'createAsset', path: getPath('/a/b/file.jpg'), stream: {}},
+    {op: 'createDirectory', path: getPath('/a/b')},
+    {op: 'createAsset', path: getPath('/other.jpg'), stream: {}},
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'moveAsset', path: getPath('/other.jpg'), targetPath: getPath('/a/other.jpg')}
+  ]);
+  assert.deepEqual(getOrder(steps), [3, 1, 0, 2, 4]);
+  assert.deepEqual(steps[0].dependencies, []);
+  assert.deepEqual(steps[1].dependencies, [3]);
+  assert.deepEqual(steps[2].dependencies, [3, 1]);
+  assert.deepEqual(steps[3].dependencies, []);
+  assert.deepEqual(steps[4].dependencies, [3, 2]);
+});
+
+it('test batch run', function (done) {
+  var steps = batch.plan([
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'createDirectory', path: getPath('/b')},
+    {op: 'createDirectory', path: getPath('/a/c')}
+  ]);
+  var callbacks = {};
+  var started = [];
+  batch.run(steps, {concurrency: 2}, function (index, callback) {
+    started.push(index);
+    callbacks[index] = callback;
+  }, function (outcomes) {
+    assert.deepEqual(started, [0, 1, 2]);
+    assert.deepEqual(outcomes, {0: {result: 'a'}, 1: {error: 'failed'}, 2: {result: 'c'}});
+    done();
+  });
+
+  assert.deepEqual(started, [0, 1]);
+  callbacks[1]('failed');
+  assert.deepEqual(started, [0, 1]);
+  callbacks[0](undefined, 'a');
+  assert.deepEqual(started, [0, 1, 2]);
+  callbacks[2](undefined, 'c');
+});
+
+it('test batch run stop on error', function (done) {
+  var steps = batch.plan([
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'createDirectory', path: getPath('/b')}
+  ]);
+  batch.run(steps, {stopOnError: true}, function (index, callback) {
+    callback('failed');
+  }, function (outcomes) {
+    assert.deepEqual(outcomes, {0: {error: 'failed'}, 1: {skipped: true}});
+    done();
+  });
+});
+
+it('test batch run skips dependents', function (done) {
+  var steps = batch.plan([
+    {op: 'createAsset', path: getPath('/a/file.txt'), stream: 'content'},
+    {op: 'createDirectory', path: getPath('/a')},
+    {op: 'setMetadata', path: getPath('/a/file.txt'), metadata: {}},
+    {op: 'createDirectory', path: getPath('/b')}
+  ]);
+  var started = [];
+  batch.run(steps, {}, function (index, callback) {
+    started.push(index);
+    callback(index === 1 ? 'failed' : undefined, index);
+  }, function (outcomes) {
+    assert.deepEqual(started, [1, 3]);
+    assert.deepEqual(outcomes, {
+      0: {skipped: true, dependency: 1},
+      1: {error: 'failed'},
+      2: {skipped: true, dependency: 1},
+      3: {result: 3}
+    });
+    done();
+  });
+});
@@ -0,0 +1,32 @@
+var assert = require('assert');
+var errors = require('../lib/errors');
+
+it('test error classes', function () {
+  var err = new errors.NotFoundError('path does not exist /test', '/test', 'context');
+  assert(err instanceof Error);
+  assert(err instanceof errors.RepositoryError);
+  assert(err instanceof errors.NotFoundError);
+  assert(!(err instanceof errors.AlreadyExistsError));
+  assert(err.code === errors.ENOTFOUND);
+  assert(err.name === 'NotFoundError');
+  assert(err.message === 'path does not exist /test');
+  assert(err.path === '/test');
+  assert(err.contextId === 'context');
+  assert(err.stack);
+  assert(String(err) === 'NotFoundError: path does not exist /test');
+  assert(errors.NotFoundError.code === errors.ENOTFOUND);
+});
+
+it('test error codes', function () {
+  assert(new errors.AlreadyExistsError('exists').code === errors.EEXIST);
+  assert(new errors.NotDirectoryError('not a directory').code === errors.ENOTDIR);
+  assert(new errors.NotAssetError('not an asset').code === errors.ENOTASSET);
+  assert(new errors.LockedError('locked').code === errors.ELOCKED);
+  assert(new errors.NotImplementedError('not implemented').code === errors.ENOTIMPL);
+  assert(new errors.RootError('root').code === errors.EROOT);
+  assert(new errors.IntegrityError('mismatch').code === errors.EINTEGRITY);
+  assert(new errors.PreconditionFailedError('modified').code === errors.EPRECONDITION);
+  assert(errors.hasCode(new errors.InvalidArgumentError('invalid'), errors.EINVAL));
+  assert(!errors.hasCode('invalid', errors.EINVAL));
+  assert(!errors.hasCode(undefined, errors.EINVAL));
+});
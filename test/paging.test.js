@@ -0,0 +1,61 @@
+var assert = require('assert');
+var paging = require('../lib/paging');
+var constants = require('../lib/constants');
+
+var items = [
+  {name: 'b.txt', type: constants.ASSET_TYPE, size: 2, created: 1},
+  {name: 'dir', type: constants.DIR_TYPE, created: 2},
+  {name: 'A.txt', type: constants.ASSET_TYPE, size: 3, created: 2},
+  {name: 'c.txt', type: constants.ASSET_TYPE, size: 2, created: 3}
+];
+
+function getNames(list) {
+  return list.map(function (item) {
+    return item.name;
+  });
+}
+
+it('test paging validate', function () {
+  assert(!paging.validate({limit: 1, offset: 0, sortBy: 'size', sortOrder: constants.SORT_DESCENDING}));
+  assert(!paging.validate({cursor: paging.encodeCursor(2)}));
+  assert(paging.validate({limit: -1}));
+  assert(paging.validate({offset: 1.5}));
+  assert(paging.validate({cursor: 'invalid'}));
+  assert(paging.validate({sortBy: 'invalid'}));
+  assert(paging.validate({sortOrder: 'invalid'}));
+});
+
+it('test paging is requested', function () {
+  assert(!paging.isRequested({path: '/'}));
+  assert(paging.isRequested({limit: 10}));
+  assert(paging.isRequested({directoriesFirst: true}));
+  assert.deepEqual(paging.withoutPaging({path: '/', limit: 10, cursor: 'abc'}), {path: '/'});
+});
+
+it('test paging sort', function () {
+  assert.deepEqual(getNames(paging.sort(items, {})), ['A.txt', 'b.txt', 'c.txt', 'dir']);
+  assert.deepEqual(getNames(paging.sort(items, {sortOrder: constants.SORT_DESCENDING})), ['dir', 'c.txt', 'b.txt', 'A.txt']);
+  assert.deepEqual(getNames(paging.sort(items, {sortBy: 'size'})), ['b.txt', 'c.txt', 'A.txt', 'dir']);
+  assert.deepEqual(getNames(paging.sort(items, {sortBy: 'created', directoriesFirst: true})), ['dir', 'b.txt', 'A.txt', 'c.txt']);
+  assert.deepEqual(getNames(items), ['b.txt', 'dir', 'A.txt', 'c.txt']);
+});
+
+it('test paging apply', function () {
+  var page = paging.apply(items, {limit: 3});
+  assert.deepEqual(getNames(page), ['A.txt', 'b.txt', 'c.txt']);
+  assert(page.total === 4);
+  assert(page.nextCursor);
+
+  page = paging.apply(items, {limit: 3, cursor: page.nextCursor});
+  assert.deepEqual(getNames(page), ['dir']);
+  assert(page.total === 4);
+  assert(page.nextCursor === undefined);
+
+  page = paging.apply(items, {offset: 1, limit: 2});
+  assert.deepEqual(getNames(page), ['b.txt', 'c.txt']);
+  assert(page.nextCursor);
+  page = paging.apply(items, {limit: 0});
+  assert(!page.length);
+  assert(page.total === 4);
+  assert(page.nextCursor === undefined);
+});
@@ -0,0 +1,86 @@
+var assert = require('assert');
+var zlib = require('zlib');
+
+var png = require('../lib/png');
+
+function getImage(width, height) {
+  var data = Buffer.alloc(width * height * 4);
+  for (var i = 0; i < width * height; i++) {
+    data[i * 4] = i % 256;
+    data[i * 4 + 1] = (i * 7) % 256;
+    data[i * 4 + 2] = (i * 13) % 256;
+    data[i * 4 + 3] = 255;
+  }
+  return {width: width, height: height, bitDepth: 8, colorType: 6, bytesPerPixel: 4, data: data};
+}
+
+it('test png encode and decode', function () {
+  var image = getImage(5, 3);
+  var decoded = png.decode(png.encode(image));
+  assert(decoded.width === 5);
+  assert(decoded.height === 3);
+  assert(decoded.colorType === 6);
+  assert(decoded.bytesPerPixel === 4);
+  assert(decoded.data.equals(image.data));
+});
+
+it('test png decode filters', function () {
+  var image = getImage(3, 5);
+  var encoded = png.encode(image);
+  // re-encode the rows using the sub, up, average, and paeth filters
+  var stride = 12;
+  var filtered = Buffer.alloc((stride + 1) * 5);
+  for (var y = 0; y < 5; y++) {
+    filtered[y * (stride + 1)] = y;
+    for (var x = 0; x < stride; x++) {
+      var value = image.data[y * stride + x];
+      var left = x >= 4 ? image.data[y * stride + x - 4] : 0;
+      var up = y > 0 ? image.data[(y - 1) * stride + x] : 0;
+      var upLeft = (y > 0 && x >= 4) ? image.data[(y - 1) * stride + x - 4] : 0;
+      var predicted = 0;
+      if (y === 1) {
+        predicted = left;
+      } else if (y === 2) {
+        predicted = up;
+      } else if (y === 3) {
+        predicted = (left + up) >> 1;
+      } else if (y === 4) {
+        var p = left + up - upLeft;
+        var pLeft = Math.abs(p - left);
+        var pUp = Math.abs(p - up);
+        var pUpLeft = Math.abs(p - upLeft);
+        predicted = (pLeft <= pUp && pLeft <= pUpLeft) ? left : (pUp <= pUpLeft ? up : upLeft);
+      }
+      filtered[y * (stride + 1) + 1 + x] = (value - predicted) & 0xff;
+    }
+  }
+  // replace the IDAT chunk's data; the decoder doesn't check CRCs
+  var idat = zlib.deflateSync(filtered);
+  var header = encoded.slice(0, 33);
+  var length = Buffer.alloc(4);
+  length.writeUInt32BE(idat.length, 0);
+  var modified = Buffer.concat([header, length, Buffer.from('IDAT'), idat, Buffer.alloc(4), encoded.slice(encoded.length - 12)]);
+  assert(png.decode(modified).data.equals(image.data));
+});
+
+it('test png scale', function () {
+  var image = getImage(40, 20);
+  var scaled = png.scale(image, 10);
+  assert(scaled.width === 10);
+  assert(scaled.height === 5);
+  assert(scaled.data.length === 10 * 5 * 4);
+  // the first pixel is sampled from the first source pixel
+  assert(scaled.data.slice(0, 4).equals(image.data.slice(0, 4)));
+  assert(png.scale(image, 40) === image);
+});
+
+it('test png errors', function () {
+  assert.throws(function () {
+    png.decode(Buffer.from('not a png'));
+  });
+  var image = getImage(2, 2);
+  image.bitDepth = 4;
+  assert.throws(function () {
+    png.decode(png.encode(image));
+  });
+});
@@ -0,0 +1,58 @@
+var assert = require('assert');
+var query = require('../lib/query');
+
+var info = {
+  name: 'beach.jpg',
+  contentType: 'image/jpeg',
+  size: 2048,
+  created: new Date(2018, 0, 1).getTime(),
+  modified: new Date(2018, 5, 1).getTime(),
+  checkedOut: true,
+  checkedOutBy: 'unittest',
+  metadata: {
+    title: 'Beach',
+    rating: 4,
+    tags: ['summer', 'vacation']
+  }
+};
+
+it('test query validate', function () {
+  assert(!query.validate({name: /beach/, and: [{size: {min: 1}}], not: {checkedOut: false}, metadata: {title: 'Beach'}}));
+  assert(query.validate('invalid'));
+  assert(query.validate({invalid: true}));
+  assert(query.validate({and: {size: 1}}));
+  assert(query.validate({or: [{invalid: true}]}));
+  assert(query.validate({not: {invalid: true}}));
+  assert(query.validate({metadata: 'invalid'}));
+});
+
+it('test query fields', function () {
+  assert(query.matches(info, {}));
+  assert(query.matches(info, {contentType: 'image/jpeg'}));
+  assert(!query.matches(info, {contentType: 'image/png'}));
+  assert(query.matches(info, {contentType: /^image\//g}));
+  assert(query.matches(info, {contentType: /^image\//g}));
+  assert(query.matches(info, {size: {min: 1024, max: 2048}}));
+  assert(!query.matches(info, {size: {max: 1024}}));
+  assert(query.matches(info, {created: {min: new Date(2017, 0, 1), max: new Date(2018, 0, 1)}}));
+  assert(!query.matches(info, {modified: {max: new Date(2018, 0, 1)}}));
+  assert(query.matches(info, {checkedOut: true, checkedOutBy: 'unittest'}));
+  assert(!query.matches(info, {checkedOut: true, checkedOutBy: 'other'}));
+});
+
+it('test query metadata', function () {
+  assert(query.matches(info, {metadata: {title: 'Beach', rating: {min: 3}}}));
+  assert(query.matches(info, {metadata: {tags: 'summer'}}));
+  assert(!query.matches(info, {metadata: {tags: 'winter'}}));
+  assert(!query.matches(info, {metadata: {missing: /.*/}}));
+  assert(!query.matches({name: 'test'}, {metadata: {rating: {min: 1}}}));
+});
+
+it('test query operators', function () {
+  assert(query.matches(info, {and: [{size: 2048}, {name: /beach/}]}));
+  assert(!query.matches(info, {and: [{size: 2048}, {name: /mountain/}]}));
+  assert(query.matches(info, {or: [{size: 1}, {name: /beach/}]}));
+  assert(!query.matches(info, {or: [{size: 1}, {name: /mountain/}]}));
+  assert(query.matches(info, {not: {contentType: 'image/png'}}));
+  assert(!query.matches(info, {not: {or: [{size: 1}, {metadata: {rating: 4}}]}}));
+});
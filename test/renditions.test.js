@@ -0,0 +1,60 @@
+var assert = require('assert');
+var MemoryStream = require('memorystream');
+
+var renditions = require('../lib/renditions');
+var png = require('../lib/png');
+var constants = require('../lib/constants');
+
+function getReadStream(content) {
+  return new MemoryStream(content, {readable: true, writable: false});
+}
+
+it('test rendition registry', function () {
+  var registry = new renditions.RenditionRegistry();
+  function exact() {}
+  function family() {}
+  function all() {}
+  registry.register(constants.RENDITION_THUMBNAIL, '*/*', all);
+  registry.register(constants.RENDITION_THUMBNAIL, 'image/*', family);
+  registry.register(constants.RENDITION_THUMBNAIL, 'image/png', exact);
+  assert(registry.find(constants.RENDITION_THUMBNAIL, 'image/png') === exact);
+  assert(registry.find(constants.RENDITION_THUMBNAIL, 'IMAGE/JPEG') === family);
+  assert(registry.find(constants.RENDITION_THUMBNAIL, 'text/plain') === all);
+  assert(registry.find(constants.RENDITION_PREVIEW, 'image/png') === undefined);
+  registry.unregister(constants.RENDITION_THUMBNAIL, 'image/png');
+  assert(registry.find(constants.RENDITION_THUMBNAIL, 'image/png') === family);
+
+  var defaults = renditions.createDefaultRegistry();
+  assert(defaults.find(constants.RENDITION_THUMBNAIL, 'image/png'));
+  assert(defaults.find(constants.RENDITION_PREVIEW, 'text/csv'));
+  assert(!defaults.find(constants.RENDITION_THUMBNAIL, 'application/octet-stream'));
+});
+
+it('test text lines generator', function (done) {
+  var generator = renditions.textLines(2);
+  generator(getReadStream(['line 1\nli', 'ne 2\nline 3\n']), {}, {}, function (err, content, contentType) {
+    assert(!err);
+    assert(content.toString() === 'line 1\nline 2\n');
+    assert(contentType === 'text/plain');
+    generator(getReadStream('short'), {}, {}, function (err, content) {
+      assert(!err);
+      assert(content.toString() === 'short');
+      done();
+    });
+  });
+});
+
+it('test png scale generator', function (done) {
+  var image = {width: 20, height: 10, bitDepth: 8, colorType: 0, bytesPerPixel: 1, data: Buffer.alloc(200, 128)};
+  renditions.pngScale(5)(getReadStream(png.encode(image)), {}, {}, function (err, content, contentType) {
+    assert(!err);
+    assert(contentType === 'image/png');
+    var scaled = png.decode(content);
+    assert(scaled.width === 5);
+    assert(scaled.height === 3);
+    renditions.pngScale(5)(getReadStream('invalid'), {}, {}, function (err) {
+      assert(err);
+      done();
+    });
+  });
+});
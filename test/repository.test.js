@@ -0,0 +1,88 @@
+var assert = require('assert');
+var util = require('util');
+var MemoryStream = require('memorystream');
+
+var Repository = require('../lib/repository');
+var utils = require('../lib/utils');
+var constants = require('../lib/constants');
+
+/**
+ * Minimal repository whose methods return promises instead of invoking their callbacks.
+ */
+function PromiseRepository() {
+  Repository.call(this);
+  this.content = {};
+}
+
+util.inherits(PromiseRepository, Repository);
+
+PromiseRepository.prototype._exists = function (path) {
+  return Promise.resolve(utils.isRoot(path) || this.content[path] !== undefined);
+};
+
+PromiseRepository.prototype._getInfo = function (path) {
+  if (utils.isRoot(path)) {
+    return Promise.resolve({name: '', type: constants.DIR_TYPE});
+  }
+  return Promise.resolve({name: utils.getPathName(path), type: constants.ASSET_TYPE, size: this.content[path].length});
+};
+
+PromiseRepository.prototype._list = function () {
+  return Promise.reject('list failed');
+};
+
+PromiseRepository.prototype._getAssetWriteStream = function (path) {
+  var self = this;
+  var stream = new MemoryStream(undefined, {readable: false, writable: true});
+  stream.on('finish', function () {
+    self.content[path] = stream.toString();
+  });
+  return Promise.resolve(stream);
+};
+
+function getPath(path) {
+  return path.replace(/\//g, utils.sep());
+}
+
+it('test promise hooks', function () {
+  var repository = new PromiseRepository();
+  var stream = new MemoryStream('promise hook', {readable: true, writable: false});
+  return repository.createAsset(getPath('/test.txt'), stream).then(function (info) {
+    assert(info.name === 'test.txt');
+    assert(info.size === 12);
+    return repository.list(getPath('/'));
+  }).then(function () {
+    assert(false, 'list should fail');
+  }, function (err) {
+    assert(err === 'list failed');
+  });
+});
+
+it('test promise hooks with callbacks', function (done) {
+  var repository = new PromiseRepository();
+  repository.getInfo(getPath('/'), function (err, info) {
+    assert(!err);
+    assert(info.type === constants.DIR_TYPE);
+    repository.getAsset(getPath('/'), function (err) {
+      assert(err);
+      done();
+    });
+  });
+});
+
+it('test promise hook paged list', function () {
+  var repository = new PromiseRepository();
+  repository._list = function () {
+    var page = [{name: 'b.txt', type: constants.ASSET_TYPE}];
+    page.total = 3;
+    page.nextCursor = 'next';
+    page.paged = true;
+    return Promise.resolve(page);
+  };
+  return repository.list({path: getPath('/'), limit: 1, offset: 1}).then(function (list) {
+    assert(list.length === 1);
+    assert(list[0].name === 'b.txt');
+    assert(list.total === 3);
+    assert(list.nextCursor === 'next');
+  });
+});
@@ -0,0 +1,83 @@
+var assert = require('assert');
+
+var TransferQueue = require('../lib/transferqueue');
+
+function addTransfer(queue, path, priority, started) {
+  var finish;
+  queue.add({path: path, type: 'create', priority: priority}, function (done) {
+    started.push(path);
+    finish = done;
+  });
+  return function (err) {
+    finish(err);
+  };
+}
+
+it('test transfer queue concurrency and priority', function () {
+  var queue = new TransferQueue({maxConcurrent: 2});
+  var started = [];
+  var queued = [];
+  queue.on('queued', function (transfer) {
+    assert(transfer.state === 'pending');
+    queued.push(transfer.path);
+  });
+
+  var first = addTransfer(queue, '/first', 0, started);
+  var second = addTransfer(queue, '/second', 0, started);
+  addTransfer(queue, '/low', 0, started);
+  addTransfer(queue, '/high', 5, started);
+  addTransfer(queue, '/higher', 10, started);
+  assert.deepEqual(queued, ['/first', '/second', '/low', '/high', '/higher']);
+  assert.deepEqual(started, ['/first', '/second']);
+
+  var state = queue.getState();
+  assert(state.pending === 3);
+  assert(state.active === 2);
+  assert.deepEqual(state.transfers.map(function (transfer) {
+    return transfer.path;
+  }), ['/first', '/second', '/higher', '/high', '/low']);
+  assert(state.transfers[0].state === 'active');
+  assert(state.transfers[0].started);
+  assert(state.transfers[2].state === 'pending');
+  assert(!state.transfers[2].started);
+
+  first();
+  second('failed');
+  second();
+  assert.deepEqual(started, ['/first', '/second', '/higher', '/high']);
+  state = queue.getState();
+  assert(state.completed === 1);
+  assert(state.failed === 1);
+  assert(state.pending === 1);
+});
+
+it('test transfer queue pause and resume', function () {
+  var queue = new TransferQueue();
+  var started = [];
+  queue.pause();
+  addTransfer(queue, '/paused', 0, started);
+  var entry = queue.add({path: '/removed', type: 'read'}, function () {
+    assert(false);
+  });
+  assert(started.length === 0);
+  assert(queue.getState().paused);
+  assert(queue.remove(entry));
+  assert(!queue.remove(entry));
+  queue.resume();
+  assert.deepEqual(started, ['/paused']);
+  assert(queue.getState().pending === 0);
+});
+
+it('test transfer queue max concurrent', function () {
+  var queue = new TransferQueue({maxConcurrent: 1});
+  var started = [];
+  addTransfer(queue, '/first', 0, started);
+  addTransfer(queue, '/second', 0, started);
+  addTransfer(queue, '/third', 0, started);
+  assert(started.length === 1);
+  queue.setMaxConcurrent(2);
+  assert(started.length === 2);
+  queue.setMaxConcurrent(0);
+  assert(started.length === 3);
+  assert(queue.getState().maxConcurrent === 0);
+});
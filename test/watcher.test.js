@@ -0,0 +1,89 @@
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+
+var Repository = require('../lib/repository');
+var Watcher = require('../lib/watcher');
+var utils = require('../lib/utils');
+
+function getPath(path) {
+  return path.replace(/\//g, utils.sep());
+}
+
+it('test watcher is watching', function () {
+  var repository = new Repository();
+  var watcher = new Watcher(repository, {path: getPath('/test')});
+  assert(watcher.isWatching(getPath('/test')));
+  assert(watcher.isWatching(getPath('/test/file.txt')));
+  assert(!watcher.isWatching(getPath('/test/sub/file.txt')));
+  assert(!watcher.isWatching(getPath('/other')));
+  assert(!watcher.isWatching(getPath('/testing')));
+
+  var recursive = new Watcher(repository, {path: getPath('/test'), recursive: true});
+  assert(recursive.isWatching(getPath('/test/sub/file.txt')));
+  assert(!recursive.isWatching(getPath('/testing/file.txt')));
+
+  var root = new Watcher(repository, {path: getPath('/'), recursive: true});
+  assert(root.isWatching(getPath('/test/sub/file.txt')));
+
+  watcher.close();
+  assert(!watcher.isWatching(getPath('/test')));
+});
+
+it('test watcher events', function () {
+  var repository = new Repository();
+  var changes = [];
+  var created = 0;
+  var watcher = new Watcher(repository, {path: getPath('/test'), subscriberId: 'watcher'}, function (event) {
+    changes.push(event);
+  });
+  watcher.on('created', function () {
+    created++;
+  });
+  assert(watcher instanceof EventEmitter);
+
+  repository.subscribe('watcher');
+  repository.emit('change', {type: 'created', path: getPath('/test/file.txt')});
+  repository.emit('change', {type: 'created', path: getPath('/other/file.txt')});
+  repository.emit('change', {type: 'moved', path: getPath('/other/file.txt'), targetPath: getPath('/test/moved.txt')});
+  assert(changes.length === 2);
+  assert(created === 1);
+
+  repository.unsubscribe('watcher');
+  repository.emit('change', {type: 'created', path: getPath('/test/file.txt')});
+  assert(changes.length === 2);
+
+  // the watch was closed when its subscriber unsubscribed
+  repository.subscribe('watcher');
+  repository.emit('change', {type: 'created', path: getPath('/test/file.txt')});
+  assert(changes.length === 2);
+  assert(watcher.closed);
+  assert(repository.listenerCount('change') === 0);
+});
+
+it('test watcher shares listener', function () {
+  var repository = new Repository();
+  var changes = 0;
+  var watchers = [];
+  for (var i = 0; i < 20; i++) {
+    watchers.push(new Watcher(repository, {path: getPath('/test'), subscriberId: i % 2 ? 'odd' : 'even'}, function () {
+      changes++;
+    }));
+  }
+  assert(repository.listenerCount('change') === 1);
+
+  repository.subscribe('odd');
+  repository.subscribe('even');
+  repository.emit('change', {type: 'created', path: getPath('/test/file.txt')});
+  assert(changes === 20);
+
+  repository.unsubscribe('odd');
+  assert(repository.watchers.length === 10);
+  repository.emit('change', {type: 'created', path: getPath('/test/file.txt')});
+  assert(changes === 30);
+
+  watchers.forEach(function (watcher) {
+    watcher.close();
+  });
+  assert(!repository.watchers.length);
+  assert(repository.listenerCount('change') === 0);
+});